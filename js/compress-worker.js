@@ -0,0 +1,116 @@
+/**
+ * js/compress-worker.js
+ *
+ * VideoCompressionEngine を Web Worker 内で実行する
+ * メインスレッドの VideoCompressionEngine（useWorker: true）が以下のメッセージで操作する
+ *
+ * @ffmpeg/ffmpeg の UMD は document を参照するため Worker 内では読み込めない。
+ * ffmpeg-core を直接読み込み（FFmpegCoreAdapter）、FFmpeg はこの Worker のスレッドで実行する。
+ * 実行中はメッセージを受け取れないため、実行中のジョブはメインスレッドが Worker ごと終了して中断する。
+ *
+ * メインスレッド → Worker
+ * - { type: 'load', config }                : FFmpeg を読み込み
+ * - { type: 'compress', id, file, options } : 圧縮を開始
+ * - { type: 'cancel', id }                  : 順番待ちの圧縮を中断
+ *
+ * Worker → メインスレッド
+ * - { type: 'status', status }                     : 読み込みの進捗（VideoCompressionEngine.setStatus() を参照）
+ * - { type: 'ready' }                              : 読み込み完了
+ * - { type: 'error', error }                       : 読み込み失敗（コアを取得できなかった場合のみ name が FFmpegLoadError）
+ * - { type: 'progress', id, percent, message }     : 進捗
+ * - { type: 'done', id, blob, info }               : 完了（info は getCompressionInfo の値）
+ * - { type: 'failed', id, error: { name, message } }: 失敗・中断
+ */
+
+importScripts('media-probe.js', 'ffmpeg-adapter.js', 'ffmpeg-core-cache.js', 'subtitles.js', 'compress.js');
+
+let engine = null;
+
+// 実行中のジョブ（id → AbortController）
+const controllers = new Map();
+
+self.onmessage = (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case 'load':
+      load(message.config);
+      break;
+
+    case 'compress':
+      compress(message.id, message.file, message.options);
+      break;
+
+    case 'cancel': {
+      const controller = controllers.get(message.id);
+      if (controller) {
+        controller.abort();
+      }
+      break;
+    }
+
+    default:
+      console.warn('⚠️ Unknown worker message:', message.type);
+  }
+};
+
+/**
+ * ffmpeg.wasm を読み込んでエンジンを作成
+ * @param {Object} config - VideoCompressionEngine の設定
+ */
+async function load(config) {
+  try {
+    engine = new VideoCompressionEngine({
+      ...config,
+      useWorker: false,
+      loadCore: true,
+      onStatusChange: (status) => {
+        if (status.state === 'loading') {
+          self.postMessage({ type: 'status', status: status });
+        }
+      },
+    });
+
+    // 読み込みの再試行が終わるまで待つ（失敗した場合は initError で reject）
+    await engine.waitUntilReady();
+    self.postMessage({ type: 'ready' });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: { name: error.name, message: error.message } });
+  }
+}
+
+/**
+ * 圧縮ジョブを実行（エンジン側で 1 件ずつ順番に処理される）
+ * @param {number} id - ジョブ ID
+ * @param {File} file
+ * @param {Object} options
+ */
+async function compress(id, file, options = {}) {
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  try {
+    const blob = await engine.compress(
+      file,
+      (percent, message) => {
+        self.postMessage({ type: 'progress', id: id, percent: percent, message: message });
+      },
+      { ...options, signal: controller.signal }
+    );
+
+    self.postMessage({
+      type: 'done',
+      id: id,
+      blob: blob,
+      info: engine.getCompressionInfo(blob),
+    });
+  } catch (error) {
+    self.postMessage({
+      type: 'failed',
+      id: id,
+      error: { name: error.name, message: error.message },
+    });
+  } finally {
+    controllers.delete(id);
+  }
+}
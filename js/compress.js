@@ -3,27 +3,357 @@
  * 
  * FFmpeg.wasm を使用した動画圧縮エンジン
  * 完全に修正版 - グローバルスコープからの正しいロード
+ *
+ * FFmpeg の操作は FFmpegAdapter（js/ffmpeg-adapter.js）経由で行うため、
+ * ffmpeg.wasm 0.11 / 0.12 のどちらでも動作する。
+ * config.ffmpeg に FFmpeg インスタンス（偽の実装も可）を渡すと ffmpeg.wasm を読み込まずにそれを使用する。
+ *
+ * ブラウザでは既定で Web Worker（js/compress-worker.js）内の同じクラスに処理を委譲し、
+ * UI スレッドをブロックしない。Worker を起動できない場合はメインスレッドで実行する。
+ * Worker 内では ffmpeg-core を直接読み込み（FFmpegCoreAdapter）、実行中のジョブは Worker ごと終了して中断する。
  */
 
 class VideoCompressionEngine {
   constructor(config = {}) {
-    this.ffmpeg = null;
+    this.adapter = null;
     this.isReady = false;
     this.isInitializing = false;
+
+    // 読み込みに失敗した場合のエラー（retryInit() で再試行するまで保持）
+    this.initError = null;
+
+    // 読み込み状態（setStatus() を参照）
+    this.status = { state: 'loading', loaded: 0, total: 0 };
+
+    // Cache Storage から読み込んだコアの Blob URL（{ coreURL, wasmURL }、resetFFmpeg() で再利用）
+    this.coreURLs = null;
+
+    // FFmpeg は同時に 1 ジョブしか実行できないため、compress 呼び出しを直列化する
+    this.jobQueue = Promise.resolve();
+
+    // 解析結果・圧縮結果の情報（File / 出力 Blob をキーに保持）
+    this.probeCache = new WeakMap();
+    this.compressionInfo = new WeakMap();
+
+    // ffmpeg.wasm のビルドに含まれるエンコーダー（getEncoders() で取得）
+    this.encoders = null;
+
+    // Worker モード: 実行中のジョブ（id → { file, onProgress, options, message, resolve, reject }、送信順）
+    this.worker = null;
+    this.workerJobs = new Map();
+    this.nextJobId = 1;
+
     this.config = {
       maxWidth: 1280,
       maxHeight: 720,
       fps: 30,
       maxOutputSize: 100 * 1024 * 1024,
+      // H.264 / AAC でこれ以下のビットレート（1 画素・1 フレームあたり）なら再エンコードしない
+      passthroughMaxBitsPerPixel: 0.1,
+      // サイズ上限を超えた場合の再エンコード回数（初回を含む）
+      maxEncodeAttempts: 3,
+      // ポスター画像・サムネイルを生成する
+      generateImages: true,
+      // シークバーのプレビュー用スプライト画像と WebVTT を生成する（SPRITE.minDuration 以上の動画）
+      generateSprites: true,
+      // ファイル一覧のホバー再生用プレビュー動画を生成する
+      generatePreviews: true,
+      // 音声のみの出力で、ビューアに表示する波形画像を生成する
+      generateWaveforms: true,
+      // 字幕の焼き込み・テキストの合成に使うフォント（ffmpeg.wasm にはフォントが含まれないため、日本語も表示できるものを読み込む）
+      // コアと同じくサイトと同じオリジンから読み込み、Cache Storage に保存する（netlify.toml の /vendor/fonts/* を参照）
+      fontURL: '/vendor/fonts/noto-sans-jp/NotoSansJP_400Regular.ttf',
+      fontIntegrity: 'sha384-/F+HdBd7+OSCuSYJrnfDePYDsPM3u/TQN9yLPJP8+Czm+bw3+gvnEiY2c6yBA49P',
+      fontName: 'Noto Sans JP',
+      // ffmpeg.wasm は既定でサイトと同じオリジンから読み込む（netlify.toml の /vendor/* を参照）
+      // Worker からも読み込むため、絶対パスか完全な URL で指定する
+      coreURL: '/vendor/ffmpeg-core/ffmpeg-core.js',
+      wasmURL: '/vendor/ffmpeg-core/ffmpeg-core.wasm',
+      // コアの SRI ハッシュ（null は検証しない。coreURL / wasmURL のバージョンを変える場合は合わせて変更する）
+      coreIntegrity: 'sha384-c9jtXGMa7FHb4zjdEQbYHSk+IhD2qPKTKyyD05+FsJ4hTo1G67o9cgo7APw3U9Lv',
+      wasmIntegrity: 'sha384-SnAthyn82idS4YdVo46XOl86g1sUylqtN6BEYmPDFqzVO3Z3O/Xj1tVlyFqgyW4K',
+      legacyCorePath: '/vendor/ffmpeg-core-0.11/ffmpeg-core.js',
+      // @ffmpeg/ffmpeg を使わずに ffmpeg-core を直接読み込む（Worker 内用、compress-worker.js が true にする）
+      loadCore: false,
+      // コアを保存する Cache Storage の名前（FFmpegCoreCache を参照）
+      coreCacheName: 'ffmpeg-core',
+      // 読み込みの試行回数（初回を含む）と再試行までの待ち時間（ミリ秒、試行ごとに倍になる）
+      maxInitAttempts: 3,
+      initRetryDelay: 1000,
+      // 読み込み状態の通知（{ state: 'loading' | 'ready' | 'error', loaded, total, error }）
+      onStatusChange: null,
+      // 圧縮に使ってよいメモリの上限（バイト、null は端末のメモリから決める。getMemoryLimit() を参照）
+      memoryLimit: null,
+      workerURL: 'js/compress-worker.js',
+      useWorker: !config.ffmpeg && typeof Worker !== 'undefined' && typeof window !== 'undefined',
+      ffmpeg: null,
+      autoInit: true,
       ...config,
     };
 
     // 初期化開始
+    if (this.config.autoInit) {
+      if (this.config.useWorker) {
+        this.initWorker();
+      } else {
+        this.initFFmpeg();
+      }
+    }
+  }
+
+  /**
+   * Web Worker を起動し、Worker 内で FFmpeg を初期化
+   */
+  initWorker() {
+    try {
+      this.worker = new Worker(this.config.workerURL);
+    } catch (error) {
+      console.warn('⚠️ Could not start compression worker:', error.message);
+      this.fallbackToMainThread();
+      return;
+    }
+
+    console.log('🎬 Starting compression worker...');
+    this.isInitializing = true;
+    this.initError = null;
+    this.setStatus({ state: 'loading', loaded: 0, total: 0 });
+    this.worker.onmessage = (e) => this.handleWorkerMessage(e.data);
+    this.worker.onerror = (e) => {
+      console.error('❌ Compression worker error:', e.message);
+      if (!this.isReady) {
+        this.fallbackToMainThread();
+      }
+    };
+
+    // FFmpeg インスタンス・関数など Worker に送れない設定は除外
+    const { ffmpeg, useWorker, workerURL, onStatusChange, ...config } = this.config;
+    this.worker.postMessage({ type: 'load', config: config });
+  }
+
+  /**
+   * Worker からのメッセージを処理
+   * @param {Object} message
+   */
+  handleWorkerMessage(message) {
+    const job = this.workerJobs.get(message.id);
+
+    switch (message.type) {
+      case 'status':
+        this.setStatus(message.status);
+        break;
+
+      case 'ready':
+        this.isReady = true;
+        this.isInitializing = false;
+        this.setStatus({ state: 'ready' });
+        console.log('✅ FFmpeg initialized in worker');
+        break;
+
+      case 'error': {
+        console.error('❌ FFmpeg worker initialization error:', message.error.message);
+
+        // コアを取得できなかった場合はメインスレッドでも同じため、切り替えずに失敗とする
+        // （Worker 内でのみ起きるエラーの可能性があるため、それ以外はメインスレッドで読み込み直す）
+        if (message.error.name === 'FFmpegLoadError') {
+          const error = new Error(message.error.message);
+          error.name = message.error.name;
+          this.failInit(error);
+        } else {
+          this.fallbackToMainThread();
+        }
+        break;
+      }
+
+      case 'progress':
+        if (job) {
+          job.onProgress(message.percent, message.message);
+        }
+        break;
+
+      case 'done':
+        if (job) {
+          this.compressionInfo.set(message.blob, message.info);
+          job.resolve(message.blob);
+        }
+        break;
+
+      case 'failed':
+        if (job) {
+          const error = new Error(message.error.message);
+          error.name = message.error.name;
+          job.reject(error);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Worker を使えない場合にメインスレッドでの実行に切り替える
+   * （送信済みのジョブはメインスレッドで実行し直す）
+   */
+  fallbackToMainThread() {
+    console.warn('⚠️ Falling back to compression on the main thread');
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.isInitializing = false;
     this.initFFmpeg();
+
+    const jobs = Array.from(this.workerJobs.values());
+    this.workerJobs.clear();
+    jobs.forEach((job) => {
+      this.compress(job.file, job.onProgress, job.options).then(job.resolve, job.reject);
+    });
+  }
+
+  /**
+   * Worker を終了して起動し直す（実行中のジョブを中断する場合）
+   *
+   * FFmpeg の実行中は Worker がメッセージを受け取れないため、Worker ごと終了する。
+   * 送信済みの他のジョブは新しい Worker で実行し直す。
+   */
+  restartWorker() {
+    console.log('🛑 Restarting compression worker...');
+
+    this.worker.terminate();
+    this.worker = null;
+    this.isReady = false;
+    this.isInitializing = false;
+    this.initWorker();
+
+    // 起動できずにメインスレッドに切り替えた場合は fallbackToMainThread() が実行し直す
+    if (this.worker) {
+      this.workerJobs.forEach((job) => this.worker.postMessage(job.message));
+    }
+  }
+
+  /**
+   * Worker での読み込みに失敗した状態にする（送信済みのジョブは失敗させる）
+   * @param {Error} error
+   */
+  failInit(error) {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.isReady = false;
+    this.isInitializing = false;
+    this.initError = error;
+
+    const jobs = Array.from(this.workerJobs.values());
+    this.workerJobs.clear();
+    jobs.forEach((job) => job.reject(error));
+
+    this.setStatus({ state: 'error', error: error });
+  }
+
+  /**
+   * 読み込みに失敗した後に再度読み込む
+   */
+  retryInit() {
+    if (this.isReady || this.isInitializing) {
+      return;
+    }
+
+    console.log('🔄 Retrying FFmpeg initialization...');
+    this.initError = null;
+
+    if (this.config.useWorker) {
+      this.initWorker();
+    } else {
+      this.initFFmpeg();
+    }
+  }
+
+  /**
+   * 読み込み状態を更新して通知
+   * @param {Object} status - { state: 'loading' | 'ready' | 'error', loaded: 取得済みのバイト数, total: 全体のバイト数（不明な場合は 0）, error }
+   */
+  setStatus(status) {
+    this.status = status;
+
+    if (typeof this.config.onStatusChange === 'function') {
+      this.config.onStatusChange(status);
+    }
+  }
+
+  /**
+   * Worker 内で圧縮を実行
+   * @param {File} file
+   * @param {Function} onProgress
+   * @param {Object} options - compress() と同じ
+   * @returns {Promise<Blob>}
+   */
+  compressInWorker(file, onProgress, options) {
+    const { signal, ...jobOptions } = options;
+
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const id = this.nextJobId++;
+
+      const cleanup = () => {
+        this.workerJobs.delete(id);
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      const onAbort = () => {
+        // ジョブは送信順に実行されるため、先頭のジョブは実行中（Worker はメッセージを受け取れない）
+        const running = this.workerJobs.keys().next().value === id;
+
+        cleanup();
+        if (this.worker) {
+          if (running) {
+            this.restartWorker();
+          } else {
+            this.worker.postMessage({ type: 'cancel', id: id });
+          }
+        }
+        reject(signal.reason);
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const message = { type: 'compress', id: id, file: file, options: jobOptions };
+
+      this.workerJobs.set(id, {
+        file: file,
+        onProgress: onProgress,
+        options: options,
+        message: message,
+        resolve: (blob) => {
+          cleanup();
+          resolve(blob);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        },
+      });
+
+      this.worker.postMessage(message);
+    });
   }
 
   /**
    * FFmpeg 初期化（完全修正版）
+   *
+   * 失敗した場合は maxInitAttempts 回まで再試行し、それでも失敗した場合は
+   * initError を設定して読み込み状態を 'error' にする（retryInit() で再試行できる）。
    */
   async initFFmpeg() {
     // 既に初期化中の場合は スキップ
@@ -32,58 +362,137 @@ class VideoCompressionEngine {
     }
 
     this.isInitializing = true;
+    this.initError = null;
+    this.setStatus({ state: 'loading', loaded: 0, total: 0 });
 
-    try {
-      console.log('🎬 Initializing FFmpeg...');
+    const maxAttempts = Math.max(this.config.maxInitAttempts, 1);
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      try {
+        await this.loadFFmpeg();
+
+        this.isReady = true;
+        this.isInitializing = false;
+        this.setStatus({ state: 'ready' });
+        console.log('✅ FFmpeg initialized successfully');
+        return;
+      } catch (error) {
+        console.error(`❌ FFmpeg initialization error (attempt ${attempt}/${maxAttempts}):`, error.message);
+
+        if (attempt === maxAttempts) {
+          // ファイルを取得できなかった場合のみ FFmpegLoadError とする（Worker ではそれ以外はメインスレッドに切り替える）
+          const loadError = new Error(`Could not load the video encoder: ${error.message}`);
+          loadError.name = error.name === 'FFmpegFetchError' ? 'FFmpegLoadError' : 'FFmpegInitError';
+
+          this.isInitializing = false;
+          this.isReady = false;
+          this.initError = loadError;
+          this.setStatus({ state: 'error', error: loadError });
+          return;
+        }
+
+        // 再試行
+        const delay = this.config.initRetryDelay * 2 ** (attempt - 1);
+        console.warn(`⏳ Retrying in ${delay / 1000} seconds...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
 
+  /**
+   * FFmpeg スクリプト・コアを読み込む（initFFmpeg() から 1 回の試行ごとに呼ばれる）
+   * @returns {Promise<void>}
+   */
+  async loadFFmpeg() {
+    console.log('🎬 Initializing FFmpeg...');
+
+    if (this.config.ffmpeg) {
+      // 外部から渡されたインスタンスを使用
+      this.adapter = FFmpegAdapter.wrap(this.config.ffmpeg);
+    } else if (this.config.loadCore) {
+      // Worker 内では @ffmpeg/ffmpeg を読み込めないため、コアを直接使用
+      this.adapter = FFmpegAdapter.fromCore();
+    } else {
       // Step 1: FFmpeg スクリプトの読み込み確認
-      if (!window.FFmpeg) {
+      if (!this.getFFmpegModule()) {
         console.warn('⏳ Waiting for FFmpeg script to load...');
         await this.waitForFFmpegScript();
       }
 
-      if (!window.FFmpeg) {
-        throw new Error('FFmpeg script did not load');
-      }
+      // Step 2: インスタンス作成（0.11 / 0.12 を自動判定）
+      console.log('📦 Creating FFmpeg instance...');
+      this.adapter = FFmpegAdapter.fromModule(this.getFFmpegModule(), {
+        legacyCorePath: this.config.legacyCorePath,
+      });
+    }
 
-      // Step 2: FFmpeg.FFmpeg クラスの確認
-      const FFmpeg = window.FFmpeg;
-      if (!FFmpeg.FFmpeg) {
-        throw new Error('FFmpeg.FFmpeg class not found');
+    // Step 3: ログハンドラー設定
+    this.adapter.onLog(({ type, message }) => {
+      if (type === 'error') {
+        console.error(`[FFmpeg] ${message}`);
       }
+    });
 
-      // Step 3: インスタンス作成
-      console.log('📦 Creating FFmpeg instance...');
-      this.ffmpeg = new FFmpeg.FFmpeg();
+    // Step 4: コアの取得（0.12 はキャッシュ・SRI の検証を経由し、0.11 は corePath から直接読み込む）
+    if (!this.coreURLs && !this.config.ffmpeg && this.adapter.version === '0.12') {
+      this.coreURLs = await this.fetchCore();
+    }
 
-      // Step 4: ログハンドラー設定
-      if (this.ffmpeg.on) {
-        this.ffmpeg.on('log', ({ type, message }) => {
-          if (type === 'error') {
-            console.error(`[FFmpeg] ${message}`);
-          }
-        });
+    // Step 5: ロード
+    console.log(`⚙️ Loading FFmpeg core (ffmpeg.wasm ${this.adapter.version})...`);
+    await this.adapter.load(this.getCoreURLs());
+  }
+
+  /**
+   * ffmpeg-core.js / ffmpeg-core.wasm を取得して Blob URL を作成（進捗は setStatus() で通知）
+   * @returns {Promise<Object>} - { coreURL, wasmURL }
+   */
+  async fetchCore() {
+    const cache = new FFmpegCoreCache({ cacheName: this.config.coreCacheName });
+    const { coreURL, wasmURL, coreIntegrity, wasmIntegrity } = this.config;
+
+    // ffmpeg-core.js は wasm に比べて小さいため、進捗は wasm のみ通知する
+    let lastPercent = -1;
+    const onProgress = (loaded, total) => {
+      const percent = total > 0 ? Math.floor((loaded / total) * 100) : 0;
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        this.setStatus({ state: 'loading', loaded: loaded, total: total });
       }
+    };
 
-      // Step 5: ロード
-      console.log('⚙️ Loading FFmpeg core...');
-      await this.ffmpeg.load({
-        coreURL: 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.6/dist/ffmpeg-core.js',
-        wasmURL: 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.6/dist/ffmpeg-core.wasm',
-      });
+    console.log('📥 Fetching FFmpeg core...');
+    const urls = {
+      coreURL: await cache.getBlobURL(coreURL, { integrity: coreIntegrity, type: 'text/javascript' }),
+      wasmURL: await cache.getBlobURL(wasmURL, { integrity: wasmIntegrity, type: 'application/wasm', onProgress: onProgress }),
+    };
 
-      this.isReady = true;
-      this.isInitializing = false;
-      console.log('✅ FFmpeg initialized successfully');
-    } catch (error) {
-      console.error('❌ FFmpeg initialization error:', error.message);
-      this.isInitializing = false;
-      this.isReady = false;
+    // バージョンを変えた場合などに古いコア・フォントを削除
+    cache.prune([coreURL, wasmURL, this.config.fontURL]).catch((error) => {
+      console.warn('⚠️ Could not prune FFmpeg core cache:', error.message);
+    });
 
-      // 再試行
-      console.warn('⏳ Retrying in 1 second...');
-      setTimeout(() => this.initFFmpeg(), 1000);
-    }
+    return urls;
+  }
+
+  /**
+   * adapter.load() に渡す URL（取得済みの Blob URL があればそれを使用）
+   * @returns {Object} - { coreURL, wasmURL }
+   */
+  getCoreURLs() {
+    return this.coreURLs || {
+      coreURL: this.config.coreURL,
+      wasmURL: this.config.wasmURL,
+    };
+  }
+
+  /**
+   * ffmpeg.wasm の UMD グローバルを取得（0.12: FFmpegWASM / 0.11: FFmpeg）
+   * @returns {Object|null}
+   */
+  getFFmpegModule() {
+    const root = typeof window !== 'undefined' ? window : self;
+    return root.FFmpegWASM || root.FFmpeg || null;
   }
 
   /**
@@ -92,7 +501,7 @@ class VideoCompressionEngine {
   async waitForFFmpegScript(maxWait = 10000) {
     const startTime = Date.now();
 
-    while (!window.FFmpeg) {
+    while (!this.getFFmpegModule()) {
       if (Date.now() - startTime > maxWait) {
         throw new Error('FFmpeg script failed to load within timeout');
       }
@@ -103,12 +512,16 @@ class VideoCompressionEngine {
   }
 
   /**
-   * FFmpeg が準備完了になるまで待機
+   * FFmpeg が準備完了になるまで待機（読み込みに失敗した場合は initError で reject）
+   * @param {number} maxWait - ミリ秒（既定は読み込みが終わるまで待つ）
    */
-  async waitUntilReady(maxWait = 30000) {
+  async waitUntilReady(maxWait = Infinity) {
     const startTime = Date.now();
 
     while (!this.isReady) {
+      if (this.initError) {
+        throw this.initError;
+      }
       if (Date.now() - startTime > maxWait) {
         throw new Error('FFmpeg initialization timeout');
       }
@@ -120,35 +533,174 @@ class VideoCompressionEngine {
   }
 
   /**
-   * 動画を圧縮
+   * 動画を圧縮（複数同時に呼ばれた場合は順番に実行）
+   * @param {File} file
+   * @param {Function} onProgress - (percent, message) => void
+   * @param {Object} options - {
+   *   signal: AbortSignal（中断すると AbortError で reject）,
+   *   settings: 圧縮設定（{ preset, ...カスタム値 }、resolveSettings() を参照）,
+   *   edits: 編集内容（{ start, end, crop, rotate, flipH, flipV, mute }、normalizeEdits() を参照）,
+   *   subtitles: 字幕トラック（[{ language, label, vtt }]、Subtitles.read() の戻り値）
+   * }
+   * 透かし・テキスト・オープニング / エンディングの静止画は settings.overlay で指定する（normalizeOverlay() を参照）。
+   * @returns {Promise<Blob>}
+   */
+  compress(file, onProgress = () => {}, options = {}) {
+    if (this.worker) {
+      return this.compressInWorker(file, onProgress, options);
+    }
+
+    const { signal } = options;
+    const job = this.jobQueue.then(() => this.runJob(file, onProgress, options));
+    this.jobQueue = job.catch(() => {});
+
+    if (!signal) {
+      return job;
+    }
+
+    // 順番待ちの間に中断された場合も、前のジョブの完了を待たずに reject する
+    return new Promise((resolve, reject) => {
+      const onAbort = () => reject(signal.reason);
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      job
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * 圧縮ジョブを 1 件実行
    */
-  async compress(file, onProgress = () => {}) {
+  async runJob(file, onProgress, options = {}) {
+    const signal = options.signal || null;
+
+    // FS に用意した入力ファイル（openInput() の戻り値）
+    let input = null;
+
+    // 実行中に中断されたら FFmpeg ごと停止する
+    const onAbort = () => this.resetFFmpeg();
+
     try {
+      if (signal) {
+        signal.throwIfAborted();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
       // FFmpeg 準備確認
       await this.waitUntilReady();
 
       console.log(`🎥 Compressing video: ${file.name}`);
+      const settings = this.resolveSettings(options.settings);
+      settings.format = await this.resolveFormat(settings.format);
+      const format = VideoCompressionEngine.FORMATS[settings.format];
+
+      // 編集する場合は元のファイルをそのまま使えない（映像フィルターが必要なら再エンコードする）
+      settings.edits = VideoCompressionEngine.normalizeEdits(options.edits);
+      if (settings.edits) {
+        settings.passthrough = false;
+        settings.copy = settings.copy && !VideoCompressionEngine.buildEditFilters(settings.edits).length;
+      }
+
+      // 字幕トラック（焼き込む場合は映像フィルターが必要なため再エンコードする）
+      settings.subtitles = VideoCompressionEngine.normalizeSubtitles(options.subtitles);
+      settings.burnIn = settings.subtitles.find((track) => track.language === settings.burnSubtitles) || null;
+      if (settings.burnIn) {
+        settings.passthrough = false;
+        settings.copy = false;
+      }
+
+      // 透かしなどを合成する場合も再エンコードする
+      settings.overlay = VideoCompressionEngine.normalizeOverlay(settings.overlay);
+      if (settings.overlay) {
+        settings.passthrough = false;
+        settings.copy = false;
+      }
+
+      // 0. 既に十分小さい MP4 は FFmpeg を通さずにそのまま使う
+      const containerInfo = await this.probe(file);
+      if (containerInfo && this.choosePassthrough(containerInfo, file, settings) === 'original') {
+        console.log('⏭️ Source is already efficient, skipping re-encode');
+        const artifacts = await this.generateArtifactsFromFile(file, containerInfo, settings, onProgress);
+        onProgress(100, 'Complete!');
+        return this.useOriginal(file, containerInfo, settings, 'efficient', artifacts);
+      }
+
+      // 1. 入力ファイルを FS に用意（メモリが足りない場合は読み込む前にエラーにする）
+      const inputPlans = this.planInput(file, containerInfo, settings);
       onProgress(5, 'Loading video...');
 
-      // 1. ファイルをメモリに読み込み
-      const fileData = await this.readFile(file);
-      const inputFileName = 'input.mp4';
-      const outputFileName = 'output.mp4';
+      input = await this.openInput(file, inputPlans);
+      const inputFileName = input.name;
+
+      if (signal) {
+        signal.throwIfAborted();
+      }
 
-      // FS にファイルを書き込み
-      this.ffmpeg.FS('writeFile', inputFileName, fileData);
       onProgress(15, 'Analyzing video...');
 
-      // 2. ビデオ情報を取得
-      const videoInfo = {
-        width: 1920,
-        height: 1080,
-        fps: 30,
-        duration: 100,
-      };
+      // 2. ビデオ情報を取得（コンテナ解析 + FFmpeg ログ解析）
+      const videoInfo = MediaProbe.merge(
+        containerInfo,
+        await this.probeWithFFmpeg(inputFileName)
+      );
+      console.log('🔍 Video info:', videoInfo);
+
+      // 音声ファイルは音声のみのモードで処理する（「元のまま」で編集しない場合は元のファイルを使う）
+      if (!videoInfo.videoCodec && videoInfo.hasAudio) {
+        if (settings.copy && !settings.edits && !(settings.stripMetadata && videoInfo.metadataFields.length > 0)) {
+          const artifacts = [
+            ...await this.generateWaveform(inputFileName),
+            ...VideoCompressionEngine.buildSubtitleArtifacts(settings),
+          ];
+          onProgress(100, 'Complete!');
+          return this.useOriginal(file, videoInfo, settings, 'efficient', artifacts);
+        }
+
+        settings.audioOnly = true;
+        settings.copy = false;
+      }
+
+      if (settings.audioOnly) {
+        settings.audioFormat = await this.resolveAudioFormat(settings.audioFormat);
+      }
+
+      const outputFormat = settings.audioOnly ? VideoCompressionEngine.AUDIO_FORMATS[settings.audioFormat] : format;
+      const outputFileName = `output.${outputFormat.extension}`;
+
+      // 範囲・切り抜き位置を実際の長さ・サイズに収める
+      if (settings.edits) {
+        settings.edits = VideoCompressionEngine.normalizeEdits(settings.edits, videoInfo);
+        console.log('✂️ Edits:', settings.edits);
+      }
+
+      // 字幕を焼き込む場合は切り出した範囲に合わせた字幕とフォントを FS に書き込む（音声のみの出力では無視する）
+      if (settings.burnIn) {
+        settings.burnIn = settings.audioOnly ? null : await this.prepareBurnIn(settings.burnIn, settings.edits);
+      }
+
+      // 合成する画像・テキストを FS に書き込む（音声のみの出力では無視する）
+      if (settings.overlay) {
+        settings.overlay = settings.audioOnly ? null : await this.prepareOverlay(settings.overlay, file);
+      }
+
+      if (signal) {
+        signal.throwIfAborted();
+      }
 
       // 3. 圧縮パラメータを計算
-      const compressionParams = this.calculateCompressionParams(videoInfo, file.size);
+      // コーデックが適切ならコンテナの作り直し（faststart 化）だけ行う
+      const remux = this.choosePassthrough(videoInfo, file, settings) !== null;
+      let compressionParams = this.calculateCompressionParams(
+        videoInfo,
+        file.size,
+        remux ? { ...settings, copy: true } : settings
+      );
       console.log('⚙️ Compression params:', compressionParams);
       onProgress(20, 'Starting compression...');
 
@@ -160,121 +712,2424 @@ class VideoCompressionEngine {
         onProgress
       );
 
+      // 5. 圧縮ファイルを取得
+      let compressedData = await this.adapter.readFile(outputFileName);
+      const sizeLimit = settings.targetSize || this.config.maxOutputSize;
+      // 位置情報などを削除する場合、メタデータを含む元のファイルは使えない
+      // （音声のみの出力は元のファイルも音声ファイルの場合のみ）
+      const keepOriginal = !settings.edits && !settings.burnIn && !settings.overlay &&
+        !(settings.stripMetadata && videoInfo.metadataFields.length > 0) &&
+        (compressionParams.mode === 'video' || (compressionParams.mode === 'audio' && !videoInfo.videoCodec)) &&
+        compressedData.byteLength >= file.size &&
+        file.size <= sizeLimit;
+
+      // 音声のみ・コピーは再エンコードし直さないため、目標サイズを超えた場合は失敗にする
+      if (!keepOriginal && compressionParams.mode !== 'video' && settings.targetSize &&
+        compressedData.byteLength > settings.targetSize) {
+        throw new Error(
+          `Output is ${VideoCompressionEngine.formatSize(compressedData.byteLength)}, ` +
+          `could not fit into ${VideoCompressionEngine.formatSize(settings.targetSize)}`
+        );
+      }
+
+      // 6. サイズ上限を超えた場合はビットレートを下げて 2 パスで再エンコード
+      let attempt = 1;
+      while (!keepOriginal && compressionParams.mode === 'video' && compressedData.byteLength > sizeLimit) {
+        if (attempt >= this.config.maxEncodeAttempts) {
+          throw new Error(
+            `Output is ${VideoCompressionEngine.formatSize(compressedData.byteLength)}, ` +
+            `could not fit into ${VideoCompressionEngine.formatSize(sizeLimit)}`
+          );
+        }
+
+        attempt++;
+        compressionParams = this.reduceBitrate(
+          compressionParams,
+          videoInfo,
+          file.size,
+          { ...settings, targetSize: sizeLimit },
+          compressedData.byteLength
+        );
+        console.warn(`⚠️ Output too large (${compressedData.byteLength} bytes), retrying at ${compressionParams.bitrate}`);
+        onProgress(20, `Output too large, retrying at ${compressionParams.bitrate}b/s (attempt ${attempt}/${this.config.maxEncodeAttempts})...`);
+
+        await this.runCompression(inputFileName, outputFileName, compressionParams, onProgress);
+        compressedData = await this.adapter.readFile(outputFileName);
+      }
+
+      // 7. ポスター画像・サムネイル・スプライト画像・プレビュー動画を生成
+      // （縮小画像しか作らないものは、デコードの軽い解像度を下げた出力があればそちらを使う）
+      // 編集した場合・字幕や透かしなどを合成した場合は元の動画と時間・構図・映像が異なるため、すべて出力から生成する
+      // 音声のみの場合は波形画像だけを作る
+      let artifacts = [];
+      if (compressionParams.mode === 'audio') {
+        artifacts = [
+          ...await this.generateWaveform(settings.edits ? outputFileName : inputFileName),
+          ...VideoCompressionEngine.buildSubtitleArtifacts(settings),
+        ];
+      } else if (settings.edits || settings.burnIn || settings.overlay) {
+        const editedInfo = VideoCompressionEngine.applyOverlay(
+          settings.edits ? VideoCompressionEngine.applyEdits(videoInfo, settings.edits) : videoInfo,
+          settings.overlay
+        );
+        artifacts = await this.generateArtifacts(outputFileName, editedInfo, settings, onProgress);
+      } else {
+        const previewSource = compressionParams.mode === 'video' && !keepOriginal ? outputFileName : inputFileName;
+        artifacts = await this.generateArtifacts(inputFileName, videoInfo, settings, onProgress, previewSource);
+      }
+
       onProgress(95, 'Finalizing...');
 
-      // 5. 圧縮ファイルを取得
-      const compressedData = this.ffmpeg.FS('readFile', outputFileName);
-      const blob = new Blob([compressedData.buffer], { type: 'video/mp4' });
+      // メモリクリーンアップ（入力ファイルは finally で削除・マウント解除する）
+      await this.cleanupFiles([
+        outputFileName,
+        ...VideoCompressionEngine.PASS_LOG_FILES,
+        ...VideoCompressionEngine.getFilterInputFiles(settings),
+      ]);
+
+      // 再エンコードして大きくなった場合は元のファイルを使う
+      if (keepOriginal) {
+        console.log(`↩️ Encoded output is larger (${compressedData.byteLength} bytes), using the original file`);
+        onProgress(100, 'Complete!');
+        return this.useOriginal(file, videoInfo, settings, 'smaller', artifacts);
+      }
+
+      const blob = new Blob([compressedData], { type: outputFormat.contentType });
 
       console.log(`✅ Compression complete. Output size: ${blob.size} bytes`);
 
-      // メモリクリーンアップ
-      try {
-        this.ffmpeg.FS('unlink', inputFileName);
-        this.ffmpeg.FS('unlink', outputFileName);
-      } catch (e) {
-        console.warn('⚠️ Could not clean up files');
-      }
+      this.compressionInfo.set(blob, {
+        source: videoInfo,
+        output: {
+          mode: compressionParams.mode,
+          qualityPreset: compressionParams.qualityPreset,
+          format: compressionParams.mode === 'audio' ? settings.audioFormat : settings.format,
+          extension: outputFormat.extension,
+          contentType: blob.type,
+          width: compressionParams.width,
+          height: compressionParams.height,
+          fps: compressionParams.fps,
+          bitrate: compressionParams.bitrate,
+          crf: compressionParams.crf,
+          audioBitrate: compressionParams.audioBitrate,
+          hasAudio: compressionParams.hasAudio,
+          normalizeLoudness: compressionParams.normalizeLoudness,
+          burnedSubtitles: settings.burnIn ? settings.burnIn.language : null,
+          overlay: VideoCompressionEngine.describeOverlay(settings.overlay),
+          targetSize: compressionParams.targetSize,
+          attempts: attempt,
+        },
+        edits: settings.edits,
+        privacy: VideoCompressionEngine.describePrivacy(videoInfo, settings),
+        artifacts: artifacts,
+      });
 
       onProgress(100, 'Complete!');
       return blob;
     } catch (error) {
+      if (signal && signal.aborted) {
+        console.log(`🛑 Compression cancelled: ${file.name}`);
+        throw signal.reason;
+      }
+
       console.error('❌ Compression failed:', error);
       throw new Error(`Compression failed: ${error.message}`);
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+
+      if (input) {
+        await input.release();
+      }
     }
   }
 
   /**
-   * ファイルを読み込み
+   * 仮想 FS のファイルを削除（存在しないファイルは無視）
+   * @param {string[]} names
    */
-  readFile(file) {
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+  async cleanupFiles(names) {
+    for (const name of names) {
+      try {
+        await this.adapter.deleteFile(name);
+      } catch (e) {
+        // 2 パスのログなど、作成されていないファイルもある
+      }
+    }
+  }
 
-      reader.onload = (e) => {
-        resolve(new Uint8Array(e.target.result));
-      };
+  /**
+   * サイズ上限を超えた出力のパラメータを作り直す
+   * @param {Object} params - 前回のパラメータ
+   * @param {Object} videoInfo - 解析結果
+   * @param {number} originalSize - 元のファイルサイズ
+   * @param {Object} settings - targetSize を含む設定
+   * @param {number} outputSize - 前回の出力サイズ
+   * @returns {Object}
+   */
+  reduceBitrate(params, videoInfo, originalSize, settings, outputSize) {
+    // 初回は目標サイズから 2 パス用のビットレートを算出
+    if (!params.twoPass) {
+      return this.calculateCompressionParams(videoInfo, originalSize, settings);
+    }
 
-      reader.onerror = (error) => {
-        reject(error);
-      };
+    // 超過した割合に余裕を持たせてビットレートを下げる
+    const bitrate = Math.floor(parseInt(params.bitrate, 10) * (settings.targetSize / outputSize) * 0.95);
 
-      reader.readAsArrayBuffer(file);
-    });
+    if (bitrate < VideoCompressionEngine.MIN_VIDEO_BITRATE) {
+      throw new Error(`Could not fit into ${VideoCompressionEngine.formatSize(settings.targetSize)}`);
+    }
+
+    return { ...params, bitrate: `${bitrate}k` };
   }
 
   /**
-   * 圧縮パラメータを計算
+   * 目標サイズに収まる映像・音声ビットレートを算出
+   * @param {number} targetSize - 目標サイズ（バイト）
+   * @param {number} duration - 長さ（秒）
+   * @param {number} audioBitrate - 音声ビットレート（kb/s、音声なしは 0）
+   * @returns {Object} - { videoBitrate, audioBitrate }（kb/s）
    */
-  calculateCompressionParams(videoInfo, originalSize) {
-    const { maxWidth, maxHeight, fps, maxOutputSize } = this.config;
+  calculateTargetBitrate(targetSize, duration, audioBitrate) {
+    // コンテナのオーバーヘッド分（約 3%）を差し引く
+    const totalBitrate = (targetSize * 8 * 0.97) / duration / 1000;
+    let audio = audioBitrate;
 
-    let width = Math.min(videoInfo.width, maxWidth);
-    let height = Math.min(videoInfo.height, maxHeight);
+    // 映像に回すビットレートが足りない場合は音声を削る
+    if (audio > 64 && totalBitrate - audio < VideoCompressionEngine.MIN_VIDEO_BITRATE * 2) {
+      audio = 64;
+    }
 
-    width = Math.round(width / 2) * 2;
-    height = Math.round(height / 2) * 2;
+    const video = Math.floor(totalBitrate - audio);
 
-    const targetSize = Math.min(maxOutputSize, originalSize * 0.8);
-    const durationSeconds = videoInfo.duration || 100;
-    const bitrate = Math.max(
-      Math.floor((targetSize * 8) / durationSeconds / 1000),
-      500
-    );
+    if (video < VideoCompressionEngine.MIN_VIDEO_BITRATE) {
+      throw new Error(
+        `${VideoCompressionEngine.formatSize(targetSize)} is too small for a ` +
+        `${VideoCompressionEngine.formatDuration(duration)} video`
+      );
+    }
 
-    return {
-      width,
-      height,
-      fps: Math.min(videoInfo.fps || fps, fps),
-      bitrate: `${bitrate}k`,
-      preset: 'fast',
-    };
+    return { videoBitrate: video, audioBitrate: audio };
   }
 
   /**
-   * FFmpeg で圧縮を実行
+   * 目標サイズに収まる音声のみの出力のビットレートを算出
+   * @param {number} targetSize - 目標サイズ（バイト）
+   * @param {number} duration - 長さ（秒）
+   * @returns {number} - kb/s
    */
-  async runCompression(inputFile, outputFile, params, onProgress) {
-    const { width, height, fps, bitrate, preset } = params;
-
-    console.log('🔧 Running FFmpeg command...');
-    onProgress(30, 'Encoding video...');
+  calculateTargetAudioBitrate(targetSize, duration) {
+    // コンテナのオーバーヘッド分（約 3%）を差し引く
+    const bitrate = Math.floor((targetSize * 8 * 0.97) / duration / 1000);
+
+    if (bitrate < VideoCompressionEngine.MIN_AUDIO_BITRATE) {
+      throw new Error(
+        `${VideoCompressionEngine.formatSize(targetSize)} is too small for a ` +
+        `${VideoCompressionEngine.formatDuration(duration)} audio file`
+      );
+    }
+
+    return bitrate;
+  }
+
+  /**
+   * 再エンコードせずに済むかを判定
+   *
+   * H.264 / AAC で、出力の上限（解像度・フレームレート・サイズ）に収まり、
+   * ビットレートも十分低いファイルが対象。
+   * @param {Object} info - 解析結果
+   * @param {File} file
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @returns {string|null} - 'original': そのまま使用 / 'remux': コンテナのみ作り直す / null: 再エンコード
+   */
+  choosePassthrough(info, file, settings) {
+    if (!settings.passthrough || settings.audioOnly || settings.copy || settings.format !== 'mp4') {
+      return null;
+    }
+
+    if (info.videoCodec !== 'h264' || (info.hasAudio && info.audioCodec !== 'aac')) {
+      return null;
+    }
+
+    if (file.size > (settings.targetSize || this.config.maxOutputSize) || !info.displayWidth || !info.bitrate) {
+      return null;
+    }
+
+    const isPortrait = info.displayHeight > info.displayWidth;
+    const boxWidth = isPortrait ? settings.maxHeight : settings.maxWidth;
+    const boxHeight = isPortrait ? settings.maxWidth : settings.maxHeight;
+    const fps = info.fps || settings.fps;
+
+    // 29.97fps などは 30fps 扱い
+    if (info.displayWidth > boxWidth || info.displayHeight > boxHeight || fps > settings.fps + 0.5) {
+      return null;
+    }
+
+    const bitsPerPixel = (info.bitrate * 1000) / (info.displayWidth * info.displayHeight * fps);
+    if (bitsPerPixel > this.config.passthroughMaxBitsPerPixel) {
+      return null;
+    }
+
+    // moov が先頭にない MP4 や MOV / MKV はストリーミング再生できるよう作り直す
+    // 位置情報などを削除する場合も、コンテナを作り直してメタデータを書き込まない
+    const streamable = info.faststart && file.type === 'video/mp4';
+    const hasMetadata = settings.stripMetadata && (info.metadataFields || []).length > 0;
+    return streamable && !hasMetadata ? 'original' : 'remux';
+  }
+
+  /**
+   * ffmpeg.wasm のビルドに含まれるエンコーダーを取得
+   * @returns {Promise<Set<string>>} - 取得できなかった場合は空の Set
+   */
+  async getEncoders() {
+    if (!this.encoders) {
+      const lines = [];
+      const unsubscribe = this.adapter.onLog(({ message }) => lines.push(message));
+
+      try {
+        await this.adapter.exec(['-hide_banner', '-encoders']);
+      } finally {
+        unsubscribe();
+      }
+
+      // 例: " V....D libx264              libx264 H.264 / AVC / MPEG-4 AVC"
+      this.encoders = new Set(
+        lines
+          .map((line) => /^\s*[VAS][.A-Z]{5}\s+(\S+)/.exec(line))
+          .filter((match) => match && match[1] !== '=')
+          .map((match) => match[1])
+      );
+    }
+
+    return this.encoders;
+  }
+
+  /**
+   * 出力形式を決定（ビルドにエンコーダーがない形式は MP4 にフォールバック）
+   * @param {string} name - FORMATS のキー
+   * @returns {Promise<string>}
+   */
+  async resolveFormat(name) {
+    const format = VideoCompressionEngine.FORMATS[name];
+
+    if (!format) {
+      return 'mp4';
+    }
+
+    const encoders = await this.getEncoders();
+
+    // 一覧を取得できない場合は実行して確かめる
+    if (encoders.size === 0 || (encoders.has(format.videoCodec) && encoders.has(format.audioCodec))) {
+      return name;
+    }
+
+    console.warn(`⚠️ ${format.label} is not supported by this ffmpeg.wasm build, using MP4`);
+    return 'mp4';
+  }
+
+  /**
+   * 音声のみの出力形式をエンコードできるか確認（できない場合は AAC）
+   * @param {string} name - AUDIO_FORMATS のキー
+   * @returns {Promise<string>}
+   */
+  async resolveAudioFormat(name) {
+    const format = VideoCompressionEngine.AUDIO_FORMATS[name];
+    const encoders = await this.getEncoders();
+
+    if (!format || (encoders.size > 0 && !encoders.has(format.audioCodec))) {
+      console.warn(`⚠️ ${format ? format.label : name} is not supported by this ffmpeg.wasm build, using AAC`);
+      return 'aac';
+    }
+
+    return name;
+  }
+
+  /**
+   * 元のファイルを出力として使用
+   * @param {File} file
+   * @param {Object} videoInfo - 解析結果
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @param {string} reason - 'efficient': 再エンコード不要 / 'smaller': 再エンコード結果より小さい
+   * @param {Object[]} artifacts - generateArtifacts() の戻り値
+   * @returns {Blob}
+   */
+  useOriginal(file, videoInfo, settings, reason, artifacts = []) {
+    const blob = new Blob([file], { type: file.type || 'video/mp4' });
+    const extension = /\.([a-z0-9]+)$/i.exec(file.name || '');
+
+    this.compressionInfo.set(blob, {
+      source: videoInfo,
+      output: {
+        mode: 'original',
+        reason: reason,
+        qualityPreset: settings.preset,
+        format: null,
+        extension: extension ? extension[1].toLowerCase() : 'mp4',
+        contentType: blob.type,
+        width: videoInfo.displayWidth || null,
+        height: videoInfo.displayHeight || null,
+        fps: videoInfo.fps || null,
+        bitrate: videoInfo.bitrate ? `${videoInfo.bitrate}k` : null,
+        crf: null,
+        audioBitrate: null,
+        hasAudio: videoInfo.hasAudio,
+      },
+      privacy: VideoCompressionEngine.describePrivacy(videoInfo, settings),
+      artifacts: artifacts,
+    });
+
+    return blob;
+  }
+
+  /**
+   * 動画に付随するファイル（ポスター画像・サムネイル・スプライト画像・プレビュー動画・HLS）を生成
+   *
+   * key が null のもの（HLS のセグメントなど）は Asset として保存するがメタデータには記録しない。
+   * @param {string} inputFile - FS 上の元の動画
+   * @param {Object} videoInfo - 解析結果
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @param {Function} onProgress
+   * @param {string} previewSource - スプライト画像・プレビュー動画の生成に使う FS 上の動画（省略時は inputFile）
+   * @returns {Promise<Object[]>} - [{ key, name, blob, ... }]（追加の Release Asset として保存する）
+   */
+  async generateArtifacts(inputFile, videoInfo, settings, onProgress, previewSource = inputFile) {
+    onProgress(86, 'Generating thumbnails...');
+    const images = await this.generateImages(inputFile, videoInfo);
+    const sprites = await this.generateSprites(previewSource, videoInfo, onProgress);
+
+    onProgress(88, 'Generating preview clip...');
+    const previews = await this.generatePreviewClip(previewSource, videoInfo, settings);
+
+    const hls = settings.hls ? await this.generateHLS(inputFile, videoInfo, settings, onProgress) : [];
+
+    return [...images, ...sprites, ...previews, ...hls, ...VideoCompressionEngine.buildSubtitleArtifacts(settings)];
+  }
+
+  /**
+   * ポスター画像とサムネイルを生成
+   *
+   * 冒頭は黒画面やフェードインが多いため、長さの 10% の位置から数秒分のフレームを
+   * thumbnail フィルターで比較し、最も代表的なフレームを 1 枚選ぶ。
+   * 画像の生成に失敗しても圧縮自体は失敗させない。
+   * @param {string} inputFile - FS 上のファイル名
+   * @param {Object} videoInfo - 解析結果
+   * @returns {Promise<Object[]>} - [{ key, name, blob, width, height }]（追加の Release Asset として保存する）
+   */
+  async generateImages(inputFile, videoInfo) {
+    if (!this.config.generateImages || !videoInfo.videoCodec) {
+      return [];
+    }
+
+    const sizes = VideoCompressionEngine.IMAGE_SIZES;
+    const images = Object.keys(sizes).map((key) => ({
+      key: key,
+      name: `${key}.jpg`,
+      ...VideoCompressionEngine.fitSize(videoInfo.displayWidth, videoInfo.displayHeight, sizes[key]),
+    }));
+
+    // 1 フレームを分岐して各サイズに縮小（FFmpeg は回転を適用してからフィルターに渡す）
+    const outputs = images.map((image, index) => `[v${index}]`);
+    const filter = [
+      `thumbnail=${VideoCompressionEngine.POSTER_CANDIDATE_FRAMES},split=${images.length}${outputs.join('')}`,
+      ...images.map((image, index) => `${outputs[index]}scale=${image.width}:${image.height}:flags=lanczos[${image.key}]`),
+    ].join(';');
+
+    const args = [
+      '-ss',
+      VideoCompressionEngine.getPosterOffset(videoInfo.duration).toFixed(2),
+      '-i',
+      inputFile,
+      '-filter_complex',
+      filter,
+    ];
+    images.forEach((image) => {
+      args.push('-map', `[${image.key}]`, '-frames:v', '1', '-q:v', '3', image.name);
+    });
+
+    try {
+      await this.exec(args);
+
+      for (const image of images) {
+        image.blob = new Blob([await this.adapter.readFile(image.name)], { type: 'image/jpeg' });
+      }
+
+      console.log(`🖼️ Generated ${images.map((image) => image.key).join(', ')}`);
+      return images;
+    } catch (error) {
+      console.warn('⚠️ Could not generate thumbnails:', error.message);
+      return [];
+    } finally {
+      await this.cleanupFiles(images.map((image) => image.name));
+    }
+  }
+
+  /**
+   * シークバーのプレビュー用スプライト画像と WebVTT を生成
+   *
+   * 一定間隔で切り出したフレームを tile フィルターで 1 枚の画像に並べ、
+   * 各フレームの時間範囲と画像内の位置を WebVTT（sprite.jpg#xywh=x,y,w,h）に記録する。
+   * @param {string} inputFile - FS 上のファイル名
+   * @param {Object} videoInfo - 解析結果
+   * @param {Function} onProgress
+   * @returns {Promise<Object[]>} - [スプライト画像, WebVTT]（短い動画・失敗時は空）
+   */
+  async generateSprites(inputFile, videoInfo, onProgress) {
+    const { minDuration, minInterval, maxTiles, columns, tileSize } = VideoCompressionEngine.SPRITE;
+    const duration = videoInfo.duration;
+
+    if (!this.config.generateSprites || !videoInfo.videoCodec || !(duration >= minDuration)) {
+      return [];
+    }
+
+    const count = Math.min(Math.floor(duration / minInterval), maxTiles);
+    const sheet = {
+      ...VideoCompressionEngine.fitSize(videoInfo.displayWidth, videoInfo.displayHeight, tileSize),
+      columns: Math.min(count, columns),
+      count: count,
+      interval: duration / count,
+    };
+    const rows = Math.ceil(count / sheet.columns);
+    const spriteName = 'sprite.jpg';
+
+    const stopTracking = this.trackProgress(duration, onProgress, {
+      from: 86,
+      to: 88,
+      label: 'Generating preview thumbnails...',
+    });
 
     try {
-      await this.ffmpeg.run(
+      await this.exec([
         '-i',
         inputFile,
         '-vf',
-        `scale=${width}:${height}:flags=lanczos`,
-        '-r',
-        fps.toString(),
-        '-c:v',
-        'libx264',
-        '-b:v',
-        bitrate,
-        '-preset',
-        preset,
-        '-c:a',
-        'aac',
-        '-b:a',
-        '128k',
-        '-movflags',
-        'faststart',
-        outputFile
-      );
+        `fps=1/${sheet.interval.toFixed(3)},scale=${sheet.width}:${sheet.height},tile=${sheet.columns}x${rows}`,
+        '-frames:v',
+        '1',
+        '-q:v',
+        '5',
+        spriteName,
+      ]);
+
+      const sprite = new Blob([await this.adapter.readFile(spriteName)], { type: 'image/jpeg' });
+      const track = new Blob([VideoCompressionEngine.buildSpriteTrack(spriteName, sheet)], { type: 'text/vtt' });
+
+      console.log(`🎞️ Generated sprite sheet (${count} frames every ${sheet.interval.toFixed(1)}s)`);
+      return [
+        { key: 'sprite', name: spriteName, blob: sprite, ...sheet },
+        { key: 'sprite_vtt', name: 'sprite.vtt', blob: track },
+      ];
+    } catch (error) {
+      console.warn('⚠️ Could not generate sprite sheet:', error.message);
+      return [];
+    } finally {
+      stopTracking();
+      await this.cleanupFiles([spriteName]);
+    }
+  }
+
+  /**
+   * ファイル一覧のホバー再生用に、動画全体から短い区間を切り出してつなげた無音のプレビュー動画を生成
+   *
+   * 各区間は入力側の -ss で頭出しするため、長い動画でも全体をデコードしない。
+   * @param {string} inputFile - FS 上のファイル名
+   * @param {Object} videoInfo - 解析結果
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @returns {Promise<Object[]>} - [プレビュー動画]（失敗時は空）
+   */
+  async generatePreviewClip(inputFile, videoInfo, settings) {
+    if (!this.config.generatePreviews || !videoInfo.videoCodec) {
+      return [];
+    }
+
+    const { size, fps, crf } = VideoCompressionEngine.PREVIEW;
+    const segments = VideoCompressionEngine.getPreviewSegments(videoInfo.duration);
+    const { width, height } = VideoCompressionEngine.fitSize(videoInfo.displayWidth, videoInfo.displayHeight, size);
+    const previewName = 'preview.mp4';
+
+    const args = [];
+    segments.forEach((segment) => {
+      args.push('-ss', segment.start.toFixed(2), '-t', segment.duration.toFixed(2), '-i', inputFile);
+    });
+
+    // 区間ごとにサイズ・フレームレートを揃えてから連結
+    const filter = [
+      ...segments.map((segment, index) => `[${index}:v]fps=${fps},scale=${width}:${height},setsar=1[s${index}]`),
+      `${segments.map((segment, index) => `[s${index}]`).join('')}concat=n=${segments.length}:v=1:a=0[preview]`,
+    ].join(';');
+
+    args.push(
+      '-filter_complex',
+      filter,
+      '-map',
+      '[preview]',
+      '-an',
+      '-c:v',
+      'libx264',
+      '-crf',
+      crf.toString(),
+      '-preset',
+      'veryfast',
+      '-pix_fmt',
+      'yuv420p',
+      ...VideoCompressionEngine.buildMetadataArgs(settings.stripMetadata),
+      '-movflags',
+      'faststart',
+      previewName
+    );
+
+    try {
+      await this.exec(args);
+
+      const blob = new Blob([await this.adapter.readFile(previewName)], { type: 'video/mp4' });
+      const duration = segments.reduce((total, segment) => total + segment.duration, 0);
+
+      console.log(`🎞️ Generated preview clip (${segments.length} segments, ${duration.toFixed(1)}s)`);
+      return [{ key: 'preview', name: previewName, blob: blob, width: width, height: height, duration: duration }];
+    } catch (error) {
+      console.warn('⚠️ Could not generate preview clip:', error.message);
+      return [];
+    } finally {
+      await this.cleanupFiles([previewName]);
+    }
+  }
+
+  /**
+   * 音声の波形画像を生成（ビューアの音声プレイヤーに表示する）
+   * 生成に失敗しても圧縮自体は失敗させない。
+   * @param {string} inputFile - FS 上のファイル名
+   * @returns {Promise<Object[]>} - [{ key: 'waveform', name, blob, width, height }]
+   */
+  async generateWaveform(inputFile) {
+    if (!this.config.generateWaveforms) {
+      return [];
+    }
+
+    const { width, height, color } = VideoCompressionEngine.WAVEFORM;
+    const waveformName = 'waveform.png';
+
+    try {
+      await this.exec([
+        '-i',
+        inputFile,
+        '-filter_complex',
+        `[0:a:0]aformat=channel_layouts=mono,showwavespic=s=${width}x${height}:colors=${color}`,
+        '-frames:v',
+        '1',
+        waveformName,
+      ]);
+
+      const blob = new Blob([await this.adapter.readFile(waveformName)], { type: 'image/png' });
+
+      console.log('🌊 Generated waveform');
+      return [{ key: 'waveform', name: waveformName, blob: blob, width: width, height: height }];
+    } catch (error) {
+      console.warn('⚠️ Could not generate waveform:', error.message);
+      return [];
+    } finally {
+      await this.cleanupFiles([waveformName]);
+    }
+  }
+
+  /**
+   * 焼き込む字幕とフォントを FS に書き込む
+   *
+   * フォントを読み込めなかった場合はフォントを指定せずに続行する（文字が表示されないことがある）。
+   * @param {Object} track - normalizeSubtitles() の要素
+   * @param {Object|null} edits - normalizeEdits() の戻り値
+   * @returns {Promise<Object>} - { language, file, fontsDir, fontName }（buildSubtitleFilter() に渡す）
+   */
+  async prepareBurnIn(track, edits) {
+    const file = VideoCompressionEngine.SUBTITLE_FILE;
+    const vtt = VideoCompressionEngine.shiftSubtitles(track.vtt, edits);
+    await this.adapter.writeFile(file, new TextEncoder().encode(vtt));
+
+    const fontFile = await this.writeFont();
+
+    return {
+      language: track.language,
+      file: file,
+      fontsDir: fontFile ? VideoCompressionEngine.FONTS_DIR : null,
+      fontName: fontFile ? this.config.fontName : null,
+    };
+  }
+
+  /**
+   * 合成する画像とテキストを FS に書き込む
+   *
+   * テキストの {date}（エンコードした日付）・{filename}（拡張子を除いたファイル名）は置き換える。
+   * フォントを読み込めなかった場合はテキストを合成しない。
+   * @param {Object} overlay - normalizeOverlay() の戻り値
+   * @param {File} file - 元のファイル
+   * @returns {Promise<Object|null>} - 画像・テキストを FS 上のファイル名にした overlay（buildOverlayGraph() に渡す）
+   */
+  async prepareOverlay(overlay, file) {
+    const writeImage = async (name, dataURL) => {
+      const { data, extension } = VideoCompressionEngine.decodeImageDataURL(dataURL);
+      const imageFile = `${name}.${extension}`;
+      await this.adapter.writeFile(imageFile, data);
+      return imageFile;
+    };
+
+    const prepared = { watermark: null, text: null, intro: null, outro: null };
+
+    if (overlay.watermark) {
+      const { image, ...options } = overlay.watermark;
+      prepared.watermark = { ...options, file: await writeImage('watermark', image) };
+    }
+
+    for (const key of ['intro', 'outro']) {
+      if (overlay[key]) {
+        prepared[key] = { duration: overlay[key].duration, file: await writeImage(key, overlay[key].image) };
+      }
+    }
+
+    if (overlay.text) {
+      const fontFile = await this.writeFont();
+
+      if (fontFile) {
+        const { text, ...options } = overlay.text;
+        const textFile = VideoCompressionEngine.OVERLAY_TEXT_FILE;
+        await this.adapter.writeFile(textFile, new TextEncoder().encode(VideoCompressionEngine.formatOverlayText(text, file)));
+        prepared.text = { ...options, file: textFile, fontFile: fontFile };
+      } else {
+        console.warn('⚠️ Skipping text overlay, no font available');
+      }
+    }
+
+    return Object.values(prepared).some(Boolean) ? prepared : null;
+  }
+
+  /**
+   * フォントを FS に書き込む
+   * @returns {Promise<string|null>} - FS 上のファイル名（フォントを取得できなかった場合は null）
+   */
+  async writeFont() {
+    const font = await this.loadFont();
+    if (!font) {
+      return null;
+    }
+
+    try {
+      await this.adapter.createDir(VideoCompressionEngine.FONTS_DIR);
+    } catch (e) {
+      // 前回のジョブで作成済み
+    }
+
+    const fontFile = `${VideoCompressionEngine.FONTS_DIR}/${VideoCompressionEngine.FONT_FILE}`;
+    await this.adapter.writeFile(fontFile, font);
+    return fontFile;
+  }
+
+  /**
+   * 字幕の焼き込み・テキストの合成に使うフォントを取得（一度読み込んだものは使い回す）
+   * @returns {Promise<Uint8Array|null>} - 取得できなかった場合は null
+   */
+  async loadFont() {
+    if (this.font) {
+      return this.font;
+    }
+
+    try {
+      // コアと同じキャッシュに保存し、SRI のハッシュで検証する
+      const cache = new FFmpegCoreCache({ cacheName: this.config.coreCacheName });
+      this.font = await cache.get(this.config.fontURL, { integrity: this.config.fontIntegrity, type: 'font/ttf' });
+      return this.font;
+    } catch (error) {
+      console.warn('⚠️ Could not load font:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * HLS 用に解像度の異なるレンディション（VideoCompressionEngine.HLS.renditions）を作成し、
+   * セグメント・各レンディションのプレイリスト・マスタープレイリストを返す
+   *
+   * 元の動画より大きいレンディションは作らない（最も小さいものは必ず作る）。
+   * 失敗した場合は HLS なし（通常の再生のみ）で続行する。
+   * @param {string} inputFile - FS 上のファイル名
+   * @param {Object} videoInfo - 解析結果
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @param {Function} onProgress
+   * @returns {Promise<Object[]>} - [セグメント..., プレイリスト..., マスタープレイリスト]
+   */
+  async generateHLS(inputFile, videoInfo, settings, onProgress) {
+    if (!videoInfo.videoCodec) {
+      return [];
+    }
+
+    const { renditions, maxSegments } = VideoCompressionEngine.HLS;
+    const sourceWidth = videoInfo.displayWidth || 1280;
+    const sourceHeight = videoInfo.displayHeight || 720;
+    const shortSide = Math.min(sourceWidth, sourceHeight);
+    const duration = videoInfo.duration || 0;
+
+    const ladder = renditions.filter((rendition, index) => index === 0 || rendition.height <= shortSide);
+    const segmentDuration = VideoCompressionEngine.getSegmentDuration(duration, ladder.length);
+
+    if (duration > 0 && Math.ceil(duration / segmentDuration) * ladder.length > maxSegments) {
+      console.warn('⚠️ Video is too long for HLS, skipping');
+      return [];
+    }
+
+    const fps = Math.min(videoInfo.fps || settings.fps, settings.fps);
+    const keyframeInterval = Math.round(fps * segmentDuration);
+    const artifacts = [];
+    const variants = [];
+    const playlists = [];
+
+    try {
+      for (const [index, rendition] of ladder.entries()) {
+        // 短辺を rendition.height に合わせる（縦長動画も同じ画質になる）
+        const scale = Math.min(1, rendition.height / shortSide);
+        const width = Math.max(Math.floor((sourceWidth * scale) / 2) * 2, 2);
+        const height = Math.max(Math.floor((sourceHeight * scale) / 2) * 2, 2);
+        const playlistName = `hls-${rendition.name}.m3u8`;
+        const hasAudio = videoInfo.hasAudio !== false;
+
+        playlists.push(playlistName);
+
+        const stopTracking = this.trackProgress(duration, onProgress, {
+          from: 89 + (5 * index) / ladder.length,
+          to: 89 + (5 * (index + 1)) / ladder.length,
+          label: `Encoding HLS ${rendition.name} (${index + 1}/${ladder.length})...`,
+        });
+
+        try {
+          // セグメントの境界を揃えるため、キーフレームを固定間隔にする
+          await this.exec([
+            '-i',
+            inputFile,
+            '-vf',
+            `scale=${width}:${height}:flags=lanczos`,
+            '-r',
+            fps.toString(),
+            '-c:v',
+            'libx264',
+            '-b:v',
+            `${rendition.videoBitrate}k`,
+            '-maxrate',
+            `${Math.round(rendition.videoBitrate * 1.1)}k`,
+            '-bufsize',
+            `${rendition.videoBitrate * 2}k`,
+            '-preset',
+            settings.encoderPreset,
+            '-g',
+            keyframeInterval.toString(),
+            '-keyint_min',
+            keyframeInterval.toString(),
+            '-sc_threshold',
+            '0',
+            ...(hasAudio ? ['-c:a', 'aac', '-b:a', `${rendition.audioBitrate}k`] : ['-an']),
+            ...VideoCompressionEngine.buildMetadataArgs(settings.stripMetadata),
+            '-f',
+            'hls',
+            '-hls_time',
+            segmentDuration.toString(),
+            '-hls_playlist_type',
+            'vod',
+            '-hls_segment_filename',
+            `hls-${rendition.name}-%03d.ts`,
+            playlistName,
+          ]);
+        } finally {
+          stopTracking();
+        }
+
+        // プレイリストに書かれたセグメントを読み込む
+        const playlist = new TextDecoder().decode(await this.adapter.readFile(playlistName));
+        const segments = VideoCompressionEngine.parsePlaylistEntries(playlist);
+
+        for (const segment of segments) {
+          artifacts.push({
+            key: null,
+            name: segment,
+            blob: new Blob([await this.adapter.readFile(segment)], { type: 'video/mp2t' }),
+          });
+        }
+
+        artifacts.push({
+          key: null,
+          name: playlistName,
+          blob: new Blob([playlist], { type: 'application/vnd.apple.mpegurl' }),
+        });
 
-      onProgress(85, 'Finalizing...');
-      console.log('✅ Encoding complete');
+        variants.push({
+          name: rendition.name,
+          playlist: playlistName,
+          width: width,
+          height: height,
+          bandwidth: Math.round((rendition.videoBitrate * 1.1 + (hasAudio ? rendition.audioBitrate : 0)) * 1000),
+        });
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not generate HLS renditions:', error.message);
+      return [];
+    } finally {
+      // 途中で失敗した場合も、プレイリストに書き込まれたセグメントまで削除する
+      const createdFiles = [...playlists];
+      for (const playlistName of playlists) {
+        try {
+          const playlist = new TextDecoder().decode(await this.adapter.readFile(playlistName));
+          createdFiles.push(...VideoCompressionEngine.parsePlaylistEntries(playlist));
+        } catch (e) {
+          // プレイリストが作成される前に失敗した
+        }
+      }
+      await this.cleanupFiles(createdFiles);
+    }
+
+    // 各レンディションのプレイリストより後にアップロードする（URL の置き換えのため）
+    artifacts.push({
+      key: 'hls',
+      name: 'hls.m3u8',
+      blob: new Blob([VideoCompressionEngine.buildMasterPlaylist(variants)], { type: 'application/vnd.apple.mpegurl' }),
+      segment_duration: segmentDuration,
+      renditions: variants.map(({ name, width, height, bandwidth }) => ({ name, width, height, bandwidth })),
+    });
+
+    console.log(`📺 Generated HLS renditions: ${variants.map((variant) => variant.name).join(', ')}`);
+    return artifacts;
+  }
+
+  /**
+   * FS に書き込んでいないファイルから付随ファイルを生成（再エンコードしない場合）
+   * @param {File} file
+   * @param {Object} videoInfo - 解析結果
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @param {Function} onProgress
+   * @returns {Promise<Object[]>}
+   */
+  async generateArtifactsFromFile(file, videoInfo, settings, onProgress) {
+    const { generateImages, generateSprites, generatePreviews } = this.config;
+    if (!generateImages && !generateSprites && !generatePreviews && !settings.hls) {
+      return VideoCompressionEngine.buildSubtitleArtifacts(settings);
+    }
+
+    const input = await this.openInput(file, this.planInput(file, videoInfo, settings));
+    onProgress(50, 'Generating thumbnails...');
+
+    try {
+      return await this.generateArtifacts(input.name, videoInfo, settings, onProgress);
+    } finally {
+      await input.release();
+    }
+  }
+
+  /**
+   * 実行中の FFmpeg を強制終了して読み込み直す（キャンセル時）
+   *
+   * 実行中の exec は失敗として終了し、次のジョブは再読み込みの完了を待つ。
+   */
+  async resetFFmpeg() {
+    if (!this.adapter) {
+      return;
+    }
+
+    console.log('🛑 Terminating FFmpeg...');
+    this.isReady = false;
+    this.adapter.terminate();
+
+    try {
+      await this.adapter.load(this.getCoreURLs());
+      this.isReady = true;
+      console.log('✅ FFmpeg reloaded');
     } catch (error) {
-      console.error('❌ FFmpeg execution failed:', error);
+      console.error('❌ FFmpeg reload error:', error.message);
+    }
+  }
+
+  /**
+   * 入力ファイルの渡し方を決める（マウントできる場合はメモリに読み込まない）
+   *
+   * 必要なメモリを estimateMemory() で見積もり、上限に収まる方法を優先順に返す。
+   * どの方法でも収まらない場合は、読み込む前にエラーにしてタブがメモリ不足で落ちるのを防ぐ。
+   * @param {File} file
+   * @param {Object|null} info - コンテナの解析結果（解像度の見積もりに使用、不明な場合は null）
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @returns {Object[]} - [{ strategy: 'mount' | 'memory', required: 必要なメモリ（バイト） }]
+   */
+  planInput(file, info, settings) {
+    const limit = this.getMemoryLimit();
+    const strategies = this.adapter.canMount() ? ['mount', 'memory'] : ['memory'];
+    const plans = strategies.map((strategy) => ({
+      strategy: strategy,
+      required: VideoCompressionEngine.estimateMemory(file.size, info, {
+        ...settings,
+        targetSize: settings.targetSize || this.config.maxOutputSize,
+      }, strategy),
+    }));
+
+    const fitting = plans.filter((plan) => plan.required <= limit);
+    console.log(
+      `🧮 Estimated memory: ${plans.map((plan) => `${plan.strategy} ${VideoCompressionEngine.formatSize(plan.required)}`).join(', ')} ` +
+      `(limit ${VideoCompressionEngine.formatSize(limit)})`
+    );
+
+    if (fitting.length === 0) {
+      const error = new Error(
+        `${file.name} is too large to process in this browser ` +
+        `(needs about ${VideoCompressionEngine.formatSize(plans[0].required)}, ` +
+        `${VideoCompressionEngine.formatSize(limit)} available)`
+      );
+      error.name = 'InsufficientMemoryError';
       throw error;
     }
+
+    return fitting;
   }
-}
+
+  /**
+   * 入力ファイルを FS に用意（マウントに失敗した場合は次の方法で読み込む）
+   * @param {File} file
+   * @param {Object[]} plans - planInput() の戻り値
+   * @returns {Promise<Object>} - { name: FS 上のパス, release: 削除・マウント解除する関数（失敗しても reject しない） }
+   */
+  async openInput(file, plans) {
+    const name = 'input.mp4';
+
+    for (const [index, plan] of plans.entries()) {
+      try {
+        if (plan.strategy === 'mount') {
+          const dir = VideoCompressionEngine.INPUT_MOUNT_DIR;
+          await this.adapter.mount(dir, name, file);
+          console.log(`📂 Mounted input (${VideoCompressionEngine.formatSize(file.size)}) without reading it into memory`);
+
+          return {
+            name: `${dir}/${name}`,
+            release: () => this.adapter.unmount(dir).catch((error) => {
+              // キャンセル時は FFmpeg ごと読み込み直すため、マウントは残らない
+              console.warn('⚠️ Could not unmount input:', error.message);
+            }),
+          };
+        }
+
+        await this.adapter.writeFile(name, await this.readFile(file));
+        return { name: name, release: () => this.cleanupFiles([name]) };
+      } catch (error) {
+        if (index === plans.length - 1) {
+          throw error;
+        }
+        console.warn(`⚠️ Could not ${plan.strategy} input, trying ${plans[index + 1].strategy}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * 圧縮に使ってよいメモリの上限
+   * config.memoryLimit がない場合は端末のメモリ（navigator.deviceMemory、Chromium のみ）の一定割合
+   * @returns {number} - バイト
+   */
+  getMemoryLimit() {
+    if (this.config.memoryLimit) {
+      return this.config.memoryLimit;
+    }
+
+    const { defaultLimit, deviceRatio } = VideoCompressionEngine.MEMORY;
+    const deviceMemory = typeof navigator !== 'undefined' ? navigator.deviceMemory : null;
+
+    return deviceMemory ? deviceMemory * 1024 * 1024 * 1024 * deviceRatio : defaultLimit;
+  }
+
+  /**
+   * ファイルを読み込み
+   */
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.onload = (e) => {
+        resolve(new Uint8Array(e.target.result));
+      };
+
+      reader.onerror = (error) => {
+        reject(error);
+      };
+
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
+  /**
+   * ファイルのプロパティを取得（MP4 / MOV 以外は null）
+   * @param {File} file
+   * @returns {Promise<Object|null>}
+   */
+  async probe(file) {
+    if (!this.probeCache.has(file)) {
+      this.probeCache.set(file, MediaProbe.probe(file));
+    }
+    return this.probeCache.get(file);
+  }
+
+  /**
+   * FFmpeg の `-i` 出力からプロパティを取得
+   * @param {string} inputFile - FS 上のファイル名
+   * @returns {Promise<Object>}
+   */
+  async probeWithFFmpeg(inputFile) {
+    const lines = [];
+    const unsubscribe = this.adapter.onLog(({ message }) => lines.push(message));
+
+    try {
+      // 出力ファイルを指定しないため FFmpeg はエラー終了するが、ログは取得できる
+      await this.adapter.exec(['-hide_banner', '-i', inputFile]);
+    } finally {
+      unsubscribe();
+    }
+
+    return MediaProbe.parseFFmpegLog(lines);
+  }
+
+  /**
+   * FFmpeg コマンドを実行（失敗時は例外）
+   * @param {string[]} args
+   * @returns {Promise<void>}
+   */
+  async exec(args) {
+    const code = await this.adapter.exec(args);
+
+    if (code !== 0) {
+      throw new Error(`FFmpeg exited with code ${code}`);
+    }
+  }
+
+  /**
+   * 圧縮結果の情報を取得
+   * @param {Blob} blob - compress() の戻り値
+   * @returns {Object|null} - { source: 元動画の情報, output: 出力パラメータ, edits: 適用した編集内容, privacy: describePrivacy() の戻り値, artifacts }
+   */
+  getCompressionInfo(blob) {
+    return this.compressionInfo.get(blob) || null;
+  }
+
+  /**
+   * 圧縮設定を解決（既定値 → プリセットの値 → カスタム値の順に上書き）
+   * @param {Object|null} settings - { preset: プリセット名, targetSize, format, hls, stripMetadata, audioFormat, audioOnlyBitrate, normalizeLoudness, burnSubtitles, overlay, ...カスタム値（preset が 'custom' の場合のみ使用） }
+   * @returns {Object} - { preset, maxWidth, maxHeight, fps, rateControl, crf, videoBitrate, encoderPreset, audioBitrate, audioOnly, copy, passthrough, targetSize, format, hls, stripMetadata, audioFormat, audioOnlyBitrate, normalizeLoudness, burnSubtitles, overlay }
+   */
+  resolveSettings(settings = null) {
+    const name = settings && VideoCompressionEngine.PRESETS[settings.preset] ? settings.preset : null;
+
+    const defaults = {
+      preset: name,
+      maxWidth: this.config.maxWidth,
+      maxHeight: this.config.maxHeight,
+      fps: this.config.fps,
+      rateControl: 'bitrate', // 'bitrate' | 'crf'
+      crf: 23,
+      videoBitrate: null, // kb/s（null は元のサイズから算出）
+      encoderPreset: 'fast',
+      audioBitrate: 128, // kb/s
+      audioOnly: false,
+      copy: false,
+      passthrough: true, // 既に効率の良いファイルは再エンコードしない
+      format: (settings && settings.format) || 'mp4', // FORMATS のキー
+      targetSize: (settings && settings.targetSize) || null, // バイト（映像は 2 パス、音声のみはビットレートを下げて収める。コピーは元のサイズが超える場合エラー）
+      hls: Boolean(settings && settings.hls), // 通常の出力に加えて HLS のレンディションを作成する
+      stripMetadata: !(settings && settings.stripMetadata === false), // 位置情報・端末名・撮影日時などを削除する
+      // 音声のみの出力（音声のみのプリセット・音声ファイル）の設定
+      audioFormat: settings && VideoCompressionEngine.AUDIO_FORMATS[settings.audioFormat] ? settings.audioFormat : 'aac', // AUDIO_FORMATS のキー
+      audioOnlyBitrate: (settings && settings.audioOnlyBitrate) || null, // kb/s（null は audioBitrate）
+      normalizeLoudness: Boolean(settings && settings.normalizeLoudness), // ラウドネスを揃える（EBU R128）
+      burnSubtitles: (settings && settings.burnSubtitles) || '', // 映像に焼き込む字幕の言語コード（空は焼き込まない）
+      overlay: (settings && settings.overlay) || null, // 透かし・テキスト・静止画（normalizeOverlay() を参照）
+    };
+
+    if (!name) {
+      return defaults;
+    }
+
+    return {
+      ...defaults,
+      ...VideoCompressionEngine.PRESETS[name].settings,
+      ...(name === 'custom' ? settings : {}),
+      preset: name,
+      targetSize: defaults.targetSize,
+      format: defaults.format,
+      hls: defaults.hls,
+      stripMetadata: defaults.stripMetadata,
+      audioFormat: defaults.audioFormat,
+      audioOnlyBitrate: defaults.audioOnlyBitrate,
+      normalizeLoudness: defaults.normalizeLoudness,
+      burnSubtitles: defaults.burnSubtitles,
+      overlay: defaults.overlay,
+    };
+  }
+
+  /**
+   * 圧縮パラメータを計算
+   * @param {Object} videoInfo - 解析結果
+   * @param {number} originalSize - 元のファイルサイズ
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @returns {Object}
+   */
+  calculateCompressionParams(videoInfo, originalSize, settings = this.resolveSettings()) {
+    const { maxWidth, maxHeight, fps } = settings;
+    const { maxOutputSize } = this.config;
+    const edits = settings.edits || null;
+
+    // 編集後の長さ・表示サイズで計算し、元のサイズも切り出す範囲の割合に合わせる
+    if (edits) {
+      const sourceDuration = videoInfo.duration;
+      videoInfo = VideoCompressionEngine.applyEdits(videoInfo, edits);
+      if (sourceDuration && videoInfo.duration) {
+        originalSize = originalSize * (videoInfo.duration / sourceDuration);
+      }
+    }
+
+    // オープニング・エンディングの静止画の分だけ長くなる（音声のみ・コピーでは合成しない）
+    const overlay = settings.copy || settings.audioOnly ? null : settings.overlay || null;
+    videoInfo = VideoCompressionEngine.applyOverlay(videoInfo, overlay);
+
+    const common = {
+      qualityPreset: settings.preset,
+      format: settings.format || 'mp4',
+      hasAudio: !(edits && edits.mute) && (videoInfo.hasAudio !== false || !videoInfo.videoCodec),
+      duration: videoInfo.duration || 0,
+      audioBitrate: `${settings.audioBitrate}k`,
+      crf: null,
+      twoPass: false,
+      targetSize: null,
+      edits: edits,
+      burnIn: settings.burnIn || null,
+      overlay: overlay,
+      stripMetadata: Boolean(settings.stripMetadata),
+    };
+
+    // 再エンコードせずにコンテナだけ作り直す（サイズは元のファイルとほぼ同じになる）
+    if (settings.copy) {
+      if (settings.targetSize && originalSize > settings.targetSize) {
+        throw new Error(
+          `The original streams (${VideoCompressionEngine.formatSize(originalSize)}) can't fit into ` +
+          `${VideoCompressionEngine.formatSize(settings.targetSize)} without re-encoding, choose another quality preset`
+        );
+      }
+
+      return {
+        ...common,
+        mode: 'copy',
+        width: videoInfo.displayWidth || null,
+        height: videoInfo.displayHeight || null,
+        rotation: videoInfo.rotation || 0,
+        fps: videoInfo.fps || null,
+        bitrate: videoInfo.bitrate ? `${videoInfo.bitrate}k` : null,
+      };
+    }
+
+    if (settings.audioOnly) {
+      let audioBitrate = settings.audioOnlyBitrate || settings.audioBitrate;
+
+      // 目標サイズ指定時は長さから収まるビットレートまで下げる
+      if (settings.targetSize && videoInfo.duration) {
+        audioBitrate = Math.min(audioBitrate, this.calculateTargetAudioBitrate(settings.targetSize, videoInfo.duration));
+      }
+
+      return {
+        ...common,
+        mode: 'audio',
+        audioFormat: settings.audioFormat,
+        audioBitrate: `${audioBitrate}k`,
+        normalizeLoudness: settings.normalizeLoudness,
+        targetSize: settings.targetSize,
+        width: null,
+        height: null,
+        fps: null,
+        bitrate: null,
+      };
+    }
+
+    // 回転を考慮した表示サイズ（不明な場合は上限サイズ）
+    const sourceWidth = videoInfo.displayWidth || maxWidth;
+    const sourceHeight = videoInfo.displayHeight || maxHeight;
+
+    // 縦長動画は上限も縦横を入れ替え、アスペクト比を維持して縮小
+    const isPortrait = sourceHeight > sourceWidth;
+    const boxWidth = isPortrait ? maxHeight : maxWidth;
+    const boxHeight = isPortrait ? maxWidth : maxHeight;
+    const scale = Math.min(1, boxWidth / sourceWidth, boxHeight / sourceHeight);
+
+    const width = Math.max(Math.floor((sourceWidth * scale) / 2) * 2, 2);
+    const height = Math.max(Math.floor((sourceHeight * scale) / 2) * 2, 2);
+
+    const durationSeconds = videoInfo.duration || 100;
+    const outputFps = Math.min(videoInfo.fps || fps, fps);
+
+    // 目標サイズ指定時は 2 パスで平均ビットレートを合わせる
+    if (settings.targetSize) {
+      const target = this.calculateTargetBitrate(
+        settings.targetSize,
+        durationSeconds,
+        common.hasAudio ? settings.audioBitrate : 0
+      );
+
+      return {
+        ...common,
+        mode: 'video',
+        width,
+        height,
+        fps: outputFps,
+        bitrate: `${target.videoBitrate}k`,
+        audioBitrate: `${target.audioBitrate || settings.audioBitrate}k`,
+        preset: settings.encoderPreset,
+        twoPass: true,
+        targetSize: settings.targetSize,
+      };
+    }
+
+    const targetSize = Math.min(maxOutputSize, originalSize * 0.8);
+    const bitrate = settings.videoBitrate || Math.max(
+      Math.floor((targetSize * 8) / durationSeconds / 1000),
+      500
+    );
+    const useCrf = settings.rateControl === 'crf' && !settings.videoBitrate;
+
+    return {
+      ...common,
+      mode: 'video',
+      width,
+      height,
+      fps: outputFps,
+      bitrate: useCrf ? null : `${bitrate}k`,
+      crf: useCrf ? settings.crf : null,
+      preset: settings.encoderPreset,
+    };
+  }
+
+  /**
+   * FFmpeg の引数を組み立て
+   * @param {string} inputFile
+   * @param {string} outputFile
+   * @param {Object} params - calculateCompressionParams() の戻り値
+   * @param {number|null} pass - 2 パスエンコードのパス番号（1 / 2）
+   * @returns {string[]}
+   */
+  buildFFmpegArgs(inputFile, outputFile, params, pass = null) {
+    const { mode, width, height, fps, hasAudio, audioBitrate, edits } = params;
+    const format = VideoCompressionEngine.FORMATS[params.format];
+    const args = [...VideoCompressionEngine.buildTrimArgs(edits), '-i', inputFile];
+
+    if (mode === 'copy') {
+      // 消音した場合は音声トラックを含めない
+      args.push('-c', 'copy', ...(hasAudio ? [] : ['-an']));
+
+      // ffmpeg.wasm 0.11（FFmpeg 4 系）は回転を rotate タグで引き継ぐため、メタデータを削除しても残す
+      if (params.stripMetadata && params.rotation) {
+        args.push('-metadata:s:v:0', `rotate=${params.rotation}`);
+      }
+    } else if (mode === 'audio') {
+      const audioFormat = VideoCompressionEngine.AUDIO_FORMATS[params.audioFormat];
+
+      args.push('-vn');
+      if (params.normalizeLoudness) {
+        args.push('-af', VideoCompressionEngine.LOUDNORM_FILTER);
+      }
+      args.push('-c:a', audioFormat.audioCodec, '-b:a', audioBitrate);
+    } else {
+      // 字幕は縮小した後に焼き込み、出力の解像度に合った大きさで描画する
+      const filters = [
+        ...(edits ? VideoCompressionEngine.buildEditFilters(edits) : []),
+        `scale=${width}:${height}:flags=lanczos`,
+        ...(params.burnIn ? [VideoCompressionEngine.buildSubtitleFilter(params.burnIn)] : []),
+      ];
+
+      // 透かしなどは画像の入力を追加して -filter_complex で合成する（1 パス目は音声を含めない）
+      if (params.overlay) {
+        const graph = VideoCompressionEngine.buildOverlayGraph(params, filters, hasAudio && pass !== 1);
+        args.push(...graph.inputs, '-filter_complex', graph.filter, '-map', graph.video);
+        if (graph.audio) {
+          args.push('-map', graph.audio);
+        }
+      } else {
+        args.push('-vf', filters.join(','));
+      }
+
+      args.push(
+        '-r',
+        fps.toString(),
+        ...this.buildVideoCodecArgs(format, params)
+      );
+
+      if (pass) {
+        args.push('-pass', pass.toString(), '-passlogfile', VideoCompressionEngine.PASS_LOG);
+      }
+
+      // 1 パス目は解析のみ（音声・出力ファイルは不要）
+      if (pass === 1) {
+        args.push('-an', '-f', 'null', outputFile);
+        return args;
+      }
+
+      // 音声トラックがない動画は音声エンコードを行わない
+      args.push(...(hasAudio ? ['-c:a', format.audioCodec, '-b:a', audioBitrate] : ['-an']));
+    }
+
+    args.push(...VideoCompressionEngine.buildMetadataArgs(params.stripMetadata));
+
+    // MP4 / M4A は moov を先頭に置いてストリーミング再生できるようにする
+    const extension = mode === 'audio' ? VideoCompressionEngine.AUDIO_FORMATS[params.audioFormat].extension : format.extension;
+    if (extension === 'mp4' || extension === 'm4a') {
+      args.push('-movflags', 'faststart');
+    }
+
+    args.push(outputFile);
+    return args;
+  }
+
+  /**
+   * 映像エンコーダーの引数を組み立て
+   * @param {Object} format - FORMATS の値
+   * @param {Object} params - calculateCompressionParams() の戻り値
+   * @returns {string[]}
+   */
+  buildVideoCodecArgs(format, params) {
+    const { bitrate, crf, preset } = params;
+
+    if (format.videoCodec === 'libx264') {
+      return [
+        '-c:v',
+        'libx264',
+        ...(crf !== null ? ['-crf', crf.toString()] : ['-b:v', bitrate]),
+        '-preset',
+        preset,
+      ];
+    }
+
+    // libvpx-vp9 / libaom-av1: CRF は x264 より値が大きい（0-63）ため補正し、-b:v 0 で品質固定にする
+    const rateArgs = crf !== null
+      ? ['-crf', Math.min(crf + VideoCompressionEngine.CRF_OFFSET, 63).toString(), '-b:v', '0']
+      : ['-b:v', bitrate];
+
+    return [
+      '-c:v',
+      format.videoCodec,
+      ...rateArgs,
+      '-cpu-used',
+      (VideoCompressionEngine.CPU_USED[preset] || 4).toString(),
+      '-row-mt',
+      '1',
+    ];
+  }
+
+  /**
+   * FFmpeg で圧縮を実行
+   */
+  async runCompression(inputFile, outputFile, params, onProgress) {
+    const labels = {
+      copy: 'Copying streams...',
+      audio: 'Encoding audio...',
+      video: 'Encoding video...',
+    };
+
+    if (params.mode === 'audio' && !params.hasAudio) {
+      throw new Error('The video has no audio track');
+    }
+
+    // 2 パスの場合は 1 パス目（解析）と 2 パス目で進捗範囲を分ける
+    const passes = params.twoPass
+      ? [
+        {
+          args: this.buildFFmpegArgs(inputFile, '/dev/null', params, 1),
+          from: 30,
+          to: 55,
+          label: 'Analyzing video (pass 1/2)...',
+        },
+        {
+          args: this.buildFFmpegArgs(inputFile, outputFile, params, 2),
+          from: 55,
+          to: 85,
+          label: 'Encoding video (pass 2/2)...',
+        },
+      ]
+      : [
+        {
+          args: this.buildFFmpegArgs(inputFile, outputFile, params),
+          from: 30,
+          to: 85,
+          label: labels[params.mode],
+        },
+      ];
+
+    console.log('🔧 Running FFmpeg command...');
+
+    for (const pass of passes) {
+      onProgress(pass.from, pass.label);
+      const stopTracking = this.trackProgress(params.duration, onProgress, pass);
+
+      try {
+        await this.exec(pass.args);
+      } catch (error) {
+        console.error('❌ FFmpeg execution failed:', error);
+        throw error;
+      } finally {
+        stopTracking();
+      }
+    }
+
+    onProgress(85, 'Finalizing...');
+    console.log('✅ Encoding complete');
+  }
+
+  /**
+   * FFmpeg の進捗を onProgress(percent, message) に変換して通知
+   *
+   * ログの `time=` を出力の長さと比較して割合を求め、`speed=` から残り時間を推定する。
+   * ログに time が出ない場合は ffmpeg.wasm の progress イベントで代用する。
+   * @param {number} duration - 出力の長さ（秒）
+   * @param {Function} onProgress - 進捗コールバック
+   * @param {Object} options - { from, to: 割り当てる進捗範囲, label: メッセージ }
+   * @returns {Function} - 購読解除関数
+   */
+  trackProgress(duration, onProgress, { from = 30, to = 85, label = 'Encoding video...' } = {}) {
+    const startedAt = Date.now();
+    let lastPercent = -1;
+    let hasLogProgress = false;
+
+    const report = (time, speed) => {
+      if (!(duration > 0) || !(time >= 0)) {
+        return;
+      }
+
+      const ratio = Math.min(time / duration, 1);
+      const percent = from + (to - from) * ratio;
+
+      // 細かすぎる更新は間引く
+      if (percent - lastPercent < 0.5 && ratio < 1) {
+        return;
+      }
+      lastPercent = percent;
+
+      // speed が出ない場合は経過時間から算出
+      const elapsed = (Date.now() - startedAt) / 1000;
+      const currentSpeed = speed || (elapsed > 0 ? time / elapsed : 0);
+
+      const details = [`${Math.round(ratio * 100)}%`];
+      if (currentSpeed > 0) {
+        details.push(`${currentSpeed.toFixed(1)}x`);
+        details.push(`ETA ${VideoCompressionEngine.formatDuration((duration - time) / currentSpeed)}`);
+      }
+
+      onProgress(percent, `${label} ${details.join(' · ')}`);
+    };
+
+    const stopLog = this.adapter.onLog(({ message }) => {
+      const progress = VideoCompressionEngine.parseProgressLine(message);
+      if (progress) {
+        hasLogProgress = true;
+        report(progress.time, progress.speed);
+      }
+    });
+
+    const stopProgress = this.adapter.onProgress(({ time }) => {
+      if (!hasLogProgress) {
+        report(time, 0);
+      }
+    });
+
+    return () => {
+      stopLog();
+      stopProgress();
+    };
+  }
+
+  /**
+   * FFmpeg の進捗ログ行を解析
+   * 例: "frame=  240 fps= 45 ... time=00:00:08.00 bitrate=... speed=1.8x"
+   * @param {string} line
+   * @returns {Object|null} - { time: 秒, speed: 倍率 }
+   */
+  static parseProgressLine(line) {
+    const time = /time=\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(line);
+    if (!time) {
+      return null;
+    }
+
+    const speed = /speed=\s*([\d.]+)x/.exec(line);
+
+    return {
+      time: Number(time[1]) * 3600 + Number(time[2]) * 60 + Number(time[3]),
+      speed: speed ? Number(speed[1]) : 0,
+    };
+  }
+
+  /**
+   * 秒数を m:ss / h:mm:ss 形式に変換
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatDuration(seconds) {
+    const total = Math.max(Math.round(seconds), 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = String(total % 60).padStart(2, '0');
+
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * スプライト画像の WebVTT を作成
+   * 例: "00:00:04.000 --> 00:00:08.000\nsprite.jpg#xywh=160,0,160,90"
+   * @param {string} spriteName - スプライト画像のファイル名（アップロード時に URL に置き換わる）
+   * @param {Object} sheet - { width, height: 1 フレームのサイズ, columns, count, interval: 秒 }
+   * @returns {string}
+   */
+  static buildSpriteTrack(spriteName, sheet) {
+    const cues = [];
+
+    for (let index = 0; index < sheet.count; index++) {
+      const x = (index % sheet.columns) * sheet.width;
+      const y = Math.floor(index / sheet.columns) * sheet.height;
+
+      cues.push(
+        `${VideoCompressionEngine.formatTimestamp(index * sheet.interval)} --> ` +
+        `${VideoCompressionEngine.formatTimestamp((index + 1) * sheet.interval)}\n` +
+        `${spriteName}#xywh=${x},${y},${sheet.width},${sheet.height}`
+      );
+    }
+
+    return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+  }
+
+  /**
+   * 秒数を WebVTT のタイムスタンプ（hh:mm:ss.mmm）に変換
+   * @param {number} seconds
+   * @returns {string}
+   */
+  static formatTimestamp(seconds) {
+    const ms = Math.max(Math.round(seconds * 1000), 0);
+    const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+    const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+    const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+
+    return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+  }
+
+  /**
+   * HLS のマスタープレイリストを作成
+   * @param {Object[]} variants - [{ playlist, width, height, bandwidth }]
+   * @returns {string}
+   */
+  static buildMasterPlaylist(variants) {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+    variants.forEach((variant) => {
+      lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${variant.bandwidth},RESOLUTION=${variant.width}x${variant.height}`);
+      lines.push(variant.playlist);
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * m3u8 プレイリストから参照しているファイル名を取得
+   * @param {string} playlist
+   * @returns {string[]}
+   */
+  static parsePlaylistEntries(playlist) {
+    return playlist
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .filter((line) => line && !line.startsWith('#'));
+  }
+
+  /**
+   * HLS のセグメントの長さ（秒）
+   *
+   * GitHub の Release には Asset 数の上限があるため、長い動画はセグメントを長くする。
+   * @param {number} duration - 動画の長さ（秒）
+   * @param {number} renditionCount - レンディション数
+   * @returns {number}
+   */
+  static getSegmentDuration(duration, renditionCount) {
+    const { segmentDuration, maxSegmentDuration, maxSegments } = VideoCompressionEngine.HLS;
+    const needed = Math.ceil((duration * renditionCount) / maxSegments);
+
+    return Math.min(Math.max(segmentDuration, needed), maxSegmentDuration);
+  }
+
+  /**
+   * プレビュー動画に使う区間
+   *
+   * 短い動画は先頭から切り出し、それ以外は全体に均等に散らばる位置から切り出す。
+   * @param {number} duration - 動画の長さ（秒、不明な場合は 0）
+   * @returns {Object[]} - [{ start, duration }]（秒）
+   */
+  static getPreviewSegments(duration) {
+    const { segments, segmentDuration } = VideoCompressionEngine.PREVIEW;
+    const total = segments * segmentDuration;
+
+    if (!(duration > total * 2)) {
+      return [{ start: 0, duration: duration > 0 ? Math.min(duration, total) : total }];
+    }
+
+    // 冒頭と末尾を避けて (i + 1) / (segments + 1) の位置から切り出す
+    return Array.from({ length: segments }, (value, index) => ({
+      start: (duration * (index + 1)) / (segments + 1),
+      duration: segmentDuration,
+    }));
+  }
+
+  /**
+   * 編集内容を検証して正規化（何も変更しない場合は null）
+   *
+   * crop は回転を適用した表示上の座標（FFmpeg は自動回転の後にフィルターを適用する）。
+   * 切り抜き → 回転（時計回り）→ 反転の順に適用する。
+   * @param {Object|null} edits - { start, end: 秒, crop: { x, y, width, height }, rotate: 0/90/180/270, flipH, flipV, mute }
+   * @param {Object|null} info - 解析結果（指定すると範囲・切り抜き位置を長さ・表示サイズに収める）
+   * @returns {Object|null} - { start, end: 末尾まで使う場合は null, crop: 使わない場合は null, rotate, flipH, flipV, mute }
+   */
+  static normalizeEdits(edits, info = null) {
+    if (!edits) {
+      return null;
+    }
+
+    const duration = (info && info.duration) || 0;
+    let start = Math.max(Number(edits.start) || 0, 0);
+    let end = Number(edits.end) > 0 ? Number(edits.end) : null;
+
+    if (duration) {
+      start = Math.min(start, duration);
+      // 末尾まで使う場合は -to を付けない
+      if (end !== null && end >= duration) {
+        end = null;
+      }
+    }
+
+    const until = end !== null ? end : duration;
+    if (until && until - start < VideoCompressionEngine.MIN_TRIM_DURATION) {
+      throw new Error('The trimmed range is too short');
+    }
+
+    const normalized = {
+      start: Math.round(start * 1000) / 1000,
+      end: end === null ? null : Math.round(end * 1000) / 1000,
+      crop: VideoCompressionEngine.normalizeCrop(edits.crop, info),
+      rotate: (((Math.round((Number(edits.rotate) || 0) / 90) * 90) % 360) + 360) % 360,
+      flipH: Boolean(edits.flipH),
+      flipV: Boolean(edits.flipV),
+      mute: Boolean(edits.mute),
+    };
+
+    const changed = normalized.start > 0 || normalized.end !== null || normalized.crop !== null ||
+      normalized.rotate !== 0 || normalized.flipH || normalized.flipV || normalized.mute;
+
+    return changed ? normalized : null;
+  }
+
+  /**
+   * 切り抜き範囲を検証して正規化（フレーム全体の場合は null）
+   * @param {Object|null} crop - { x, y, width, height }（表示上の px）
+   * @param {Object|null} info - 解析結果（指定すると表示サイズに収める）
+   * @returns {Object|null} - { x, y, width, height }（幅・高さは偶数）
+   */
+  static normalizeCrop(crop, info = null) {
+    if (!crop) {
+      return null;
+    }
+
+    const frameWidth = (info && info.displayWidth) || Infinity;
+    const frameHeight = (info && info.displayHeight) || Infinity;
+    const x = Math.min(Math.max(Math.round(Number(crop.x) || 0), 0), frameWidth - 2);
+    const y = Math.min(Math.max(Math.round(Number(crop.y) || 0), 0), frameHeight - 2);
+
+    // yuv420p は幅・高さが偶数である必要がある
+    const width = Math.floor(Math.min(Number(crop.width) || 0, frameWidth - x) / 2) * 2;
+    const height = Math.floor(Math.min(Number(crop.height) || 0, frameHeight - y) / 2) * 2;
+
+    if (width < 2 || height < 2) {
+      throw new Error('The crop area is too small');
+    }
+
+    if (x === 0 && y === 0 && width >= frameWidth - 1 && height >= frameHeight - 1) {
+      return null;
+    }
+
+    return { x, y, width, height };
+  }
+
+  /**
+   * 編集後の長さ・表示サイズ・音声の有無を反映した解析結果を作成
+   * @param {Object} info - 解析結果
+   * @param {Object|null} edits - normalizeEdits() の戻り値
+   * @returns {Object}
+   */
+  static applyEdits(info, edits) {
+    if (!edits) {
+      return info;
+    }
+
+    const end = edits.end !== null ? edits.end : info.duration;
+    let width = edits.crop ? edits.crop.width : info.displayWidth;
+    let height = edits.crop ? edits.crop.height : info.displayHeight;
+
+    if (edits.rotate === 90 || edits.rotate === 270) {
+      [width, height] = [height, width];
+    }
+
+    return {
+      ...info,
+      duration: end ? Math.max(end - edits.start, 0) : 0,
+      displayWidth: width,
+      displayHeight: height,
+      hasAudio: info.hasAudio && !edits.mute,
+    };
+  }
+
+  /**
+   * 編集内容を映像フィルターに変換（scale の前に適用する）
+   * @param {Object} edits - normalizeEdits() の戻り値
+   * @returns {string[]}
+   */
+  static buildEditFilters(edits) {
+    const filters = [];
+
+    if (edits.crop) {
+      const { x, y, width, height } = edits.crop;
+      filters.push(`crop=${width}:${height}:${x}:${y}`);
+    }
+
+    // transpose=1: 時計回りに 90°、transpose=2: 反時計回りに 90°
+    if (edits.rotate === 90) {
+      filters.push('transpose=1');
+    } else if (edits.rotate === 270) {
+      filters.push('transpose=2');
+    } else if (edits.rotate === 180) {
+      filters.push('hflip', 'vflip');
+    }
+
+    if (edits.flipH) {
+      filters.push('hflip');
+    }
+
+    if (edits.flipV) {
+      filters.push('vflip');
+    }
+
+    return filters;
+  }
+
+  /**
+   * 切り出す範囲を入力オプションに変換（-i の前に置き、指定位置までシークしてから読み込む）
+   *
+   * -c copy の場合、開始位置は直前のキーフレームに丸められる。
+   * @param {Object|null} edits - normalizeEdits() の戻り値
+   * @returns {string[]}
+   */
+  static buildTrimArgs(edits) {
+    const args = [];
+
+    if (edits && edits.start > 0) {
+      args.push('-ss', edits.start.toFixed(3));
+    }
+
+    if (edits && edits.end !== null) {
+      args.push('-to', edits.end.toFixed(3));
+    }
+
+    return args;
+  }
+
+  /**
+   * 字幕トラックを検証して正規化
+   * @param {Object[]|null} tracks - [{ language, label, vtt }]（Subtitles.read() の戻り値）
+   * @returns {Object[]}
+   */
+  static normalizeSubtitles(tracks) {
+    return (tracks || [])
+      .filter((track) => track && typeof track.vtt === 'string')
+      .map((track) => ({
+        language: track.language || 'und',
+        label: track.label || track.language || 'Subtitles',
+        vtt: track.vtt,
+      }));
+  }
+
+  /**
+   * 字幕を切り出した範囲とオープニングの静止画に合わせる
+   * @param {string} vtt
+   * @param {Object|null} edits - normalizeEdits() の戻り値
+   * @param {number} offset - 出力の先頭に追加した長さ（秒）
+   * @returns {string}
+   */
+  static shiftSubtitles(vtt, edits, offset = 0) {
+    const trimmed = edits ? Subtitles.shift(vtt, edits.start, edits.end) : vtt;
+    return offset > 0 ? Subtitles.shift(trimmed, -offset) : trimmed;
+  }
+
+  /**
+   * 字幕トラックを WebVTT の付随ファイルにする（ビューアで <track> として読み込む）
+   * @param {Object} settings - runJob() で subtitles / burnIn / edits / overlay を設定した resolveSettings() の戻り値
+   * @returns {Object[]} - [{ key, name, blob, kind: 'subtitles', language, label, burned }]
+   */
+  static buildSubtitleArtifacts(settings) {
+    const offset = settings.overlay && settings.overlay.intro ? settings.overlay.intro.duration : 0;
+
+    return (settings.subtitles || []).map((track, index) => ({
+      key: `subtitles_${index}`,
+      name: `subtitles.${index}.${track.language}.vtt`,
+      blob: new Blob([VideoCompressionEngine.shiftSubtitles(track.vtt, settings.edits, offset)], { type: 'text/vtt' }),
+      kind: 'subtitles',
+      language: track.language,
+      label: track.label,
+      burned: Boolean(settings.burnIn && settings.burnIn.language === track.language),
+    }));
+  }
+
+  /**
+   * 字幕を焼き込む subtitles フィルター
+   * @param {Object} burnIn - prepareBurnIn() の戻り値
+   * @returns {string}
+   */
+  static buildSubtitleFilter(burnIn) {
+    const options = [`filename=${burnIn.file}`];
+
+    // フォントの検索ができないビルドでも読み込んだフォントを使うよう、フォント名を指定する
+    if (burnIn.fontsDir) {
+      options.push(`fontsdir=${burnIn.fontsDir}`, `force_style='FontName=${burnIn.fontName}'`);
+    }
+
+    return `subtitles=${options.join(':')}`;
+  }
+
+  /**
+   * 透かし・テキスト・静止画の設定を検証して正規化（何も合成しない場合は null）
+   *
+   * 画像は data: URL（PNG / JPEG）。position は OVERLAY.positions のいずれか。
+   * @param {Object|null} overlay - {
+   *   watermark: { image, position, opacity: 0〜1, scale: 出力の幅に対する割合 },
+   *   text: { text, position, size: 出力の高さに対する文字の大きさの割合, opacity: 0〜1 },
+   *   intro: { image, duration: 秒 },
+   *   outro: { image, duration: 秒 }
+   * }
+   * @returns {Object|null}
+   */
+  static normalizeOverlay(overlay) {
+    if (!overlay) {
+      return null;
+    }
+
+    const { OVERLAY } = VideoCompressionEngine;
+    const position = (value, fallback) => (OVERLAY.positions.includes(value) ? value : fallback);
+    const range = (value, min, max, fallback) => {
+      const number = value === null || value === '' ? NaN : Number(value);
+      return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : fallback;
+    };
+    const still = (value) => (value && value.image
+      ? { image: value.image, duration: range(value.duration, OVERLAY.minStillDuration, OVERLAY.maxStillDuration, 3) }
+      : null);
+
+    const { watermark, text } = overlay;
+    const normalized = {
+      watermark: watermark && watermark.image
+        ? {
+          image: watermark.image,
+          position: position(watermark.position, 'bottom-right'),
+          opacity: range(watermark.opacity, 0, 1, 0.8),
+          scale: range(watermark.scale, 0.02, 1, 0.15),
+        }
+        : null,
+      text: text && String(text.text || '').trim()
+        ? {
+          text: String(text.text).trim(),
+          position: position(text.position, 'bottom-left'),
+          size: range(text.size, 0.02, 0.2, 0.05),
+          opacity: range(text.opacity, 0, 1, 0.9),
+        }
+        : null,
+      intro: still(overlay.intro),
+      outro: still(overlay.outro),
+    };
+
+    return Object.values(normalized).some(Boolean) ? normalized : null;
+  }
+
+  /**
+   * 合成する画像の data: URL をデコード
+   * @param {string} dataURL
+   * @returns {Object} - { data: Uint8Array, extension }
+   */
+  static decodeImageDataURL(dataURL) {
+    const match = /^data:([^;,]+);base64,(.*)$/.exec(dataURL || '');
+    const extension = match && VideoCompressionEngine.OVERLAY.imageTypes[match[1]];
+
+    if (!extension) {
+      throw new Error('Overlay images must be PNG or JPEG');
+    }
+
+    const binary = atob(match[2]);
+    const data = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      data[i] = binary.charCodeAt(i);
+    }
+
+    return { data: data, extension: extension };
+  }
+
+  /**
+   * 合成するテキストのプレースホルダーを置き換え
+   * @param {string} text - {date} / {filename} を含むテキスト
+   * @param {File} file - 元のファイル
+   * @returns {string}
+   */
+  static formatOverlayText(text, file) {
+    const now = new Date();
+    const date = [
+      now.getFullYear(),
+      String(now.getMonth() + 1).padStart(2, '0'),
+      String(now.getDate()).padStart(2, '0'),
+    ].join('-');
+
+    return text
+      .replace(/\{date\}/g, date)
+      .replace(/\{filename\}/g, (file.name || '').replace(/\.[^/.]+$/, ''));
+  }
+
+  /**
+   * オープニング・エンディングの静止画の長さの合計
+   * @param {Object|null} overlay - normalizeOverlay() / prepareOverlay() の戻り値
+   * @returns {number} - 秒
+   */
+  static getStillDuration(overlay) {
+    if (!overlay) {
+      return 0;
+    }
+
+    return (overlay.intro ? overlay.intro.duration : 0) + (overlay.outro ? overlay.outro.duration : 0);
+  }
+
+  /**
+   * 静止画を追加した後の長さを解析結果に反映
+   * @param {Object} info - 解析結果
+   * @param {Object|null} overlay - normalizeOverlay() / prepareOverlay() の戻り値
+   * @returns {Object}
+   */
+  static applyOverlay(info, overlay) {
+    const stillDuration = VideoCompressionEngine.getStillDuration(overlay);
+    return stillDuration > 0 && info.duration ? { ...info, duration: info.duration + stillDuration } : info;
+  }
+
+  /**
+   * 合成した内容（メタデータに記録する）
+   * @param {Object|null} overlay - prepareOverlay() の戻り値
+   * @returns {Object|null} - { watermark, text, intro, outro }
+   */
+  static describeOverlay(overlay) {
+    if (!overlay) {
+      return null;
+    }
+
+    return {
+      watermark: Boolean(overlay.watermark),
+      text: Boolean(overlay.text),
+      intro: overlay.intro ? overlay.intro.duration : null,
+      outro: overlay.outro ? overlay.outro.duration : null,
+    };
+  }
+
+  /**
+   * 透かし・テキスト・静止画を合成する -filter_complex を組み立て
+   *
+   * 透かし・テキストは本編にだけ重ね、静止画は本編と同じサイズに収めて前後に連結する。
+   * 静止画の区間の音声は無音にする。
+   * @param {Object} params - calculateCompressionParams() の戻り値（overlay は prepareOverlay() の戻り値）
+   * @param {string[]} videoFilters - 本編の映像フィルター（編集・縮小・字幕）
+   * @param {boolean} withAudio - 音声を出力する
+   * @returns {Object} - { inputs: 追加の入力の引数, filter, video: 映像の -map, audio: 音声の -map（なしは null） }
+   */
+  static buildOverlayGraph(params, videoFilters, withAudio) {
+    const { overlay, width, height, fps } = params;
+    const { OVERLAY } = VideoCompressionEngine;
+    const margin = Math.round(Math.min(width, height) * OVERLAY.margin);
+    const inputs = [];
+    const chains = [`[0:v]${[...videoFilters, 'setsar=1'].join(',')}[main]`];
+    let inputIndex = 0;
+    let video = 'main';
+
+    if (overlay.watermark) {
+      const { file, position, opacity, scale } = overlay.watermark;
+      const watermarkWidth = Math.max(Math.round((width * scale) / 2) * 2, 2);
+      inputs.push('-i', file);
+      inputIndex++;
+      chains.push(
+        `[${inputIndex}:v]scale=${watermarkWidth}:-1,format=rgba,colorchannelmixer=aa=${opacity}[watermark]`,
+        `[${video}][watermark]overlay=${VideoCompressionEngine.getOverlayPosition(position, margin, 'w', 'h')}[watermarked]`
+      );
+      video = 'watermarked';
+    }
+
+    if (overlay.text) {
+      const { file, fontFile, position, size, opacity } = overlay.text;
+      const options = [
+        `fontfile=${fontFile}`,
+        `textfile=${file}`,
+        'expansion=none',
+        `fontsize=${Math.max(Math.round(height * size), 8)}`,
+        `fontcolor=white@${opacity}`,
+        `shadowcolor=black@${(opacity * 0.6).toFixed(2)}`,
+        'shadowx=2',
+        'shadowy=2',
+        VideoCompressionEngine.getOverlayPosition(position, margin, 'text_w', 'text_h'),
+      ];
+      chains.push(`[${video}]drawtext=${options.join(':')}[texted]`);
+      video = 'texted';
+    }
+
+    const stills = ['intro', 'outro'].filter((key) => overlay[key]);
+    if (stills.length === 0) {
+      return { inputs: inputs, filter: chains.join(';'), video: `[${video}]`, audio: withAudio ? '0:a:0?' : null };
+    }
+
+    // 静止画を本編と同じサイズ・フレームレート・音声形式にそろえて連結する
+    const { sampleRate, channelLayout } = OVERLAY.stillAudio;
+    stills.forEach((key) => {
+      const { file, duration } = overlay[key];
+      inputs.push('-loop', '1', '-framerate', fps.toString(), '-t', duration.toFixed(2), '-i', file);
+      inputIndex++;
+      chains.push(
+        `[${inputIndex}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+        `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,format=yuv420p[${key}]`
+      );
+      if (withAudio) {
+        chains.push(`anullsrc=r=${sampleRate}:cl=${channelLayout},atrim=duration=${duration.toFixed(2)}[${key}_a]`);
+      }
+    });
+
+    if (withAudio) {
+      chains.push(`[0:a:0]aformat=sample_rates=${sampleRate}:channel_layouts=${channelLayout}[main_a]`);
+    }
+
+    const segments = [
+      ...(overlay.intro ? [['intro', 'intro_a']] : []),
+      [video, 'main_a'],
+      ...(overlay.outro ? [['outro', 'outro_a']] : []),
+    ];
+    const concatInputs = segments
+      .map(([segmentVideo, segmentAudio]) => `[${segmentVideo}]${withAudio ? `[${segmentAudio}]` : ''}`)
+      .join('');
+    chains.push(`${concatInputs}concat=n=${segments.length}:v=1:a=${withAudio ? 1 : 0}[out]${withAudio ? '[out_a]' : ''}`);
+
+    return { inputs: inputs, filter: chains.join(';'), video: '[out]', audio: withAudio ? '[out_a]' : null };
+  }
+
+  /**
+   * overlay / drawtext フィルターの x・y 座標
+   * @param {string} position - OVERLAY.positions のいずれか
+   * @param {number} margin - 端からの余白（px）
+   * @param {string} width - 重ねるものの幅の変数名（overlay: w / drawtext: text_w）
+   * @param {string} height - 重ねるものの高さの変数名（overlay: h / drawtext: text_h）
+   * @returns {string}
+   */
+  static getOverlayPosition(position, margin, width, height) {
+    const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+    const x = { left: `${margin}`, right: `W-${width}-${margin}`, center: `(W-${width})/2` }[horizontal];
+    const y = { top: `${margin}`, bottom: `H-${height}-${margin}`, center: `(H-${height})/2` }[vertical];
+
+    return `x=${x}:y=${y}`;
+  }
+
+  /**
+   * 字幕の焼き込み・透かしなどの合成のために FS に書き込んだファイル
+   * @param {Object} settings - runJob() で burnIn / overlay を設定した resolveSettings() の戻り値
+   * @returns {string[]}
+   */
+  static getFilterInputFiles(settings) {
+    const { burnIn, overlay } = settings;
+    const files = [`${VideoCompressionEngine.FONTS_DIR}/${VideoCompressionEngine.FONT_FILE}`];
+
+    if (burnIn) {
+      files.push(burnIn.file);
+    }
+
+    if (overlay) {
+      ['watermark', 'text', 'intro', 'outro']
+        .filter((key) => overlay[key])
+        .forEach((key) => files.push(overlay[key].file));
+    }
+
+    return files;
+  }
+
+  /**
+   * 入力のメタデータ（ファイル全体・ストリームごと）を出力に引き継がない引数
+   *
+   * 位置情報・端末名・撮影日時（creation_time）などが対象。回転はサイドデータのため残る。
+   * @param {boolean} strip
+   * @returns {string[]}
+   */
+  static buildMetadataArgs(strip) {
+    return strip ? ['-map_metadata', '-1', '-map_metadata:s', '-1'] : [];
+  }
+
+  /**
+   * 削除したメタデータの記録を作成
+   * @param {Object} info - 解析結果
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @returns {Object} - { stripped: 削除したか, removedFields: 削除したフィールド名 }
+   */
+  static describePrivacy(info, settings) {
+    return {
+      stripped: Boolean(settings.stripMetadata),
+      removedFields: settings.stripMetadata ? [...(info.metadataFields || [])] : [],
+    };
+  }
+
+  /**
+   * ポスター画像を切り出す位置（秒）
+   * @param {number} duration - 動画の長さ（秒、不明な場合は 0）
+   * @returns {number}
+   */
+  static getPosterOffset(duration) {
+    return duration > 0 ? duration * 0.1 : 0;
+  }
+
+  /**
+   * アスペクト比を維持して max × max の枠に収まるサイズを算出（拡大はしない）
+   * @param {number} width
+   * @param {number} height
+   * @param {number} max
+   * @returns {Object} - { width, height }（偶数）
+   */
+  static fitSize(width, height, max) {
+    if (!width || !height) {
+      return { width: max, height: Math.round((max * 9) / 16 / 2) * 2 };
+    }
+
+    const scale = Math.min(1, max / width, max / height);
+
+    return {
+      width: Math.max(Math.floor((width * scale) / 2) * 2, 2),
+      height: Math.max(Math.floor((height * scale) / 2) * 2, 2),
+    };
+  }
+
+  /**
+   * バイト数を MB 表記に変換
+   * @param {number} bytes
+   * @returns {string}
+   */
+  static formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * 圧縮に必要なメモリを見積もる
+   * - 入力: FS に書き込む場合は読み込んだデータと FS 上のコピー（マウントする場合は 0）
+   * - 出力: FS 上のファイルと readFile() で取り出したコピー（元の画質のままなら入力と同じ大きさ）
+   * - 作業領域: FFmpeg 本体と、デコード・エンコード中に保持するフレーム
+   * @param {number} fileSize
+   * @param {Object|null} info - 解析結果（不明な場合は MEMORY.defaultWidth × defaultHeight の映像とみなす）
+   * @param {Object} settings - resolveSettings() の戻り値（targetSize は出力サイズの上限）
+   * @param {string} strategy - 'mount' | 'memory'
+   * @returns {number} - バイト
+   */
+  static estimateMemory(fileSize, info, settings, strategy) {
+    const { base, bufferedFrames, defaultWidth, defaultHeight } = VideoCompressionEngine.MEMORY;
+
+    const input = strategy === 'mount' ? 0 : fileSize * 2;
+    const output = (settings.copy ? fileSize : Math.min(fileSize, settings.targetSize)) * 2;
+
+    // YUV 4:2:0 は 1 画素あたり 1.5 バイト（映像がない・再エンコードしない場合はフレームを保持しない）
+    const hasVideo = !info || Boolean(info.videoCodec);
+    const width = (info && info.displayWidth) || defaultWidth;
+    const height = (info && info.displayHeight) || defaultHeight;
+    const frames = hasVideo && !settings.copy ? width * height * 1.5 * bufferedFrames : 0;
+
+    return base + input + output + frames;
+  }
+}
+
+// 出力形式（videoCodec / audioCodec は ffmpeg のエンコーダー名）
+VideoCompressionEngine.FORMATS = {
+  mp4: {
+    label: 'MP4 (H.264 / AAC)',
+    extension: 'mp4',
+    contentType: 'video/mp4',
+    videoCodec: 'libx264',
+    audioCodec: 'aac',
+  },
+  webm: {
+    label: 'WebM (VP9 / Opus)',
+    extension: 'webm',
+    contentType: 'video/webm',
+    videoCodec: 'libvpx-vp9',
+    audioCodec: 'libopus',
+  },
+  av1: {
+    label: 'WebM (AV1 / Opus)',
+    extension: 'webm',
+    contentType: 'video/webm',
+    videoCodec: 'libaom-av1',
+    audioCodec: 'libopus',
+  },
+};
+
+// 音声のみの出力形式（audioCodec は ffmpeg のエンコーダー名）
+VideoCompressionEngine.AUDIO_FORMATS = {
+  aac: {
+    label: 'AAC (M4A)',
+    extension: 'm4a',
+    contentType: 'audio/mp4',
+    audioCodec: 'aac',
+  },
+  mp3: {
+    label: 'MP3',
+    extension: 'mp3',
+    contentType: 'audio/mpeg',
+    audioCodec: 'libmp3lame',
+  },
+  opus: {
+    label: 'Opus',
+    extension: 'ogg',
+    contentType: 'audio/ogg',
+    audioCodec: 'libopus',
+  },
+};
+
+// ラウドネスの正規化（EBU R128、配信向けの -16 LUFS に揃える 1 パスの loudnorm）
+VideoCompressionEngine.LOUDNORM_FILTER = 'loudnorm=I=-16:TP=-1.5:LRA=11';
+
+// 波形画像（showwavespic）
+VideoCompressionEngine.WAVEFORM = {
+  width: 1200,
+  height: 200,
+  color: '0xffd700',
+};
+
+// x264 の CRF を VP9 / AV1 の CRF に換算する際の差分
+VideoCompressionEngine.CRF_OFFSET = 10;
+
+// x264 の preset → VP9 / AV1 の -cpu-used（大きいほど高速）
+VideoCompressionEngine.CPU_USED = {
+  ultrafast: 8,
+  superfast: 7,
+  veryfast: 6,
+  faster: 5,
+  fast: 4,
+  medium: 2,
+};
+
+// 映像ビットレートの下限（kb/s）
+VideoCompressionEngine.MIN_VIDEO_BITRATE = 100;
+
+// 目標サイズに合わせる際の音声のみの出力のビットレートの下限（kb/s）
+VideoCompressionEngine.MIN_AUDIO_BITRATE = 32;
+
+// 切り出す範囲の最短の長さ（秒）
+VideoCompressionEngine.MIN_TRIM_DURATION = 0.5;
+
+// 2 パスエンコードのログファイル（-passlogfile の接頭辞と、x264 が作成するファイル）
+VideoCompressionEngine.PASS_LOG = 'ffmpeg2pass';
+VideoCompressionEngine.PASS_LOG_FILES = ['ffmpeg2pass-0.log', 'ffmpeg2pass-0.log.mbtree'];
+
+// 入力ファイルをマウントする FS のディレクトリ（FFmpegAdapter.mount()）
+VideoCompressionEngine.INPUT_MOUNT_DIR = '/input';
+
+// 必要なメモリの見積もり（estimateMemory() / getMemoryLimit()）
+// deviceRatio は navigator.deviceMemory のうち圧縮に使う割合、defaultLimit は端末のメモリが分からない場合の上限
+VideoCompressionEngine.MEMORY = {
+  deviceRatio: 0.5,
+  defaultLimit: 2 * 1024 * 1024 * 1024,
+  base: 192 * 1024 * 1024,
+  bufferedFrames: 48,
+  defaultWidth: 1920,
+  defaultHeight: 1080,
+};
+
+// 字幕の焼き込み・テキストの合成で FS に書き込むファイル（FONTS_DIR は subtitles フィルターの fontsdir）
+VideoCompressionEngine.SUBTITLE_FILE = 'subtitles.vtt';
+VideoCompressionEngine.OVERLAY_TEXT_FILE = 'overlay.txt';
+VideoCompressionEngine.FONTS_DIR = 'fonts';
+VideoCompressionEngine.FONT_FILE = 'font.ttf';
+
+// 透かし・テキスト・オープニング / エンディングの静止画（settings.overlay）
+// margin は出力の短辺に対する端からの余白の割合
+VideoCompressionEngine.OVERLAY = {
+  positions: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'],
+  imageTypes: { 'image/png': 'png', 'image/jpeg': 'jpg' },
+  margin: 0.03,
+  minStillDuration: 0.5,
+  maxStillDuration: 10,
+  // 静止画の区間の無音と、連結するために本編の音声をそろえる形式
+  stillAudio: { sampleRate: 48000, channelLayout: 'stereo' },
+};
+
+// ポスター画像・サムネイルの長辺の上限（px）
+VideoCompressionEngine.IMAGE_SIZES = {
+  poster: 1280,
+  thumbnail: 320,
+};
+
+// ポスター画像の候補として比較するフレーム数（30fps で約 3 秒分）
+VideoCompressionEngine.POSTER_CANDIDATE_FRAMES = 90;
+
+// シークバーのプレビュー用スプライト画像
+// （minDuration 秒以上の動画で、minInterval 秒ごと・最大 maxTiles フレームを columns 列に並べる）
+VideoCompressionEngine.SPRITE = {
+  minDuration: 30,
+  minInterval: 2,
+  maxTiles: 100,
+  columns: 10,
+  tileSize: 160, // 1 フレームの長辺（px）
+};
+
+// ファイル一覧のホバー再生用プレビュー動画（segmentDuration 秒 × segments 区間）
+VideoCompressionEngine.PREVIEW = {
+  segments: 4,
+  segmentDuration: 1,
+  size: 320, // 長辺（px）
+  fps: 15,
+  crf: 30,
+};
+
+// HLS 出力（settings.hls）
+// maxSegmentDuration はセグメントが 1 回の Asset アップロードの上限に収まる長さ、
+// maxSegments は全レンディションのセグメント数の上限。セグメントは 1 つずつ Asset として
+// アップロードするため、本体のパート・他の付随ファイルと合わせて Release あたりの Asset 数の上限（1000）と
+// Asset アップロードの Rate Limit（1 時間に 2000 件、netlify/functions/github-upload.js）に余裕が残る数にする
+// （収まらない長い動画は HLS を作らない。アップロード前にも GitHubUploadManagerNetlify.checkLimits() で確認する）
+VideoCompressionEngine.HLS = {
+  renditions: [
+    { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+    { name: '720p', height: 720, videoBitrate: 2500, audioBitrate: 128 },
+  ],
+  segmentDuration: 4,
+  maxSegmentDuration: 10,
+  maxSegments: 240,
+};
+
+// 圧縮プリセット（settings は resolveSettings() の既定値を上書きする）
+VideoCompressionEngine.PRESETS = {
+  original: {
+    label: 'Original (no re-encode)',
+    settings: { copy: true },
+  },
+  high: {
+    label: 'High 1080p',
+    settings: { maxWidth: 1920, maxHeight: 1080, fps: 60, rateControl: 'crf', crf: 21, audioBitrate: 192 },
+  },
+  balanced: {
+    label: 'Balanced 720p',
+    settings: { maxWidth: 1280, maxHeight: 720, fps: 30 },
+  },
+  small: {
+    label: 'Small 480p',
+    settings: { maxWidth: 854, maxHeight: 480, fps: 30, rateControl: 'crf', crf: 28, encoderPreset: 'veryfast', audioBitrate: 96 },
+  },
+  audio: {
+    label: 'Audio only',
+    settings: { audioOnly: true },
+  },
+  custom: {
+    label: 'Custom',
+    settings: { passthrough: false }, // 指定した値で必ず再エンコードする
+  },
+};
 
 // グローバルエクスポート
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = VideoCompressionEngine;
 }
 
-window.VideoCompressionEngine = VideoCompressionEngine;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+  window.VideoCompressionEngine = VideoCompressionEngine;
+}
\ No newline at end of file
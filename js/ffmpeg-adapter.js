@@ -0,0 +1,425 @@
+/**
+ * js/ffmpeg-adapter.js
+ *
+ * ffmpeg.wasm のバージョン差異を吸収するアダプター
+ * - 0.12 系: new FFmpeg() / writeFile / exec / readFile / deleteFile / on('progress')
+ *   （0.12.7 以降は mount で WORKERFS を使い、大きなファイルをメモリに読み込まずに渡せる）
+ * - 0.11 系: createFFmpeg() / FS('writeFile') / run / setProgress / setLogger
+ * - ffmpeg-core 0.12 系を直接使用: Web Worker 内用（@ffmpeg/ffmpeg の UMD は document を参照するため Worker 内では読み込めない）
+ *
+ * VideoCompressionEngine はこのインターフェースのみを使用する
+ * （config.ffmpeg に渡したインスタンスも FFmpegAdapter.wrap() でラップして使う）。
+ *
+ * 使用方法:
+ * const adapter = FFmpegAdapter.fromModule(window.FFmpegWASM);
+ * await adapter.load({ coreURL, wasmURL });
+ * await adapter.writeFile('input.mp4', data);
+ * const code = await adapter.exec(['-i', 'input.mp4', 'output.mp4']);
+ * const output = await adapter.readFile('output.mp4');
+ */
+
+class FFmpegAdapter {
+  constructor(ffmpeg) {
+    this.ffmpeg = ffmpeg;
+    this.logListeners = new Set();
+    this.progressListeners = new Set();
+  }
+
+  /**
+   * ffmpeg.wasm のモジュール（UMD グローバル）からアダプターを作成
+   * @param {Object} module - window.FFmpegWASM（0.12）または window.FFmpeg（0.11）
+   * @param {Object} options - { legacyCorePath: 0.11 用 ffmpeg-core.js の URL }
+   * @returns {FFmpegAdapter}
+   */
+  static fromModule(module, options = {}) {
+    if (module && typeof module.FFmpeg === 'function') {
+      return new FFmpeg12Adapter(new module.FFmpeg());
+    }
+
+    if (module && typeof module.createFFmpeg === 'function') {
+      return new FFmpeg11Adapter(
+        module.createFFmpeg({ log: false, corePath: options.legacyCorePath })
+      );
+    }
+
+    throw new Error('Unsupported ffmpeg.wasm module');
+  }
+
+  /**
+   * ffmpeg-core を直接使用するアダプターを作成（Web Worker 内用、FFmpegCoreAdapter を参照）
+   * @returns {FFmpegAdapter}
+   */
+  static fromCore() {
+    return new FFmpegCoreAdapter();
+  }
+
+  /**
+   * FFmpeg インスタンスをラップ（API の形からバージョンを判定）
+   * @param {Object} ffmpeg - FFmpeg インスタンス（テスト用の偽実装も可）
+   * @returns {FFmpegAdapter}
+   */
+  static wrap(ffmpeg) {
+    if (ffmpeg instanceof FFmpegAdapter) {
+      return ffmpeg;
+    }
+
+    if (typeof ffmpeg.exec === 'function') {
+      return new FFmpeg12Adapter(ffmpeg);
+    }
+
+    if (typeof ffmpeg.run === 'function') {
+      return new FFmpeg11Adapter(ffmpeg);
+    }
+
+    throw new Error('Unsupported ffmpeg instance');
+  }
+
+  /**
+   * ログを購読
+   * @param {Function} listener - ({ type, message }) => void
+   * @returns {Function} - 購読解除関数
+   */
+  onLog(listener) {
+    this.logListeners.add(listener);
+    return () => this.logListeners.delete(listener);
+  }
+
+  /**
+   * 進捗を購読
+   * @param {Function} listener - ({ ratio, time }) => void（time は秒）
+   * @returns {Function} - 購読解除関数
+   */
+  onProgress(listener) {
+    this.progressListeners.add(listener);
+    return () => this.progressListeners.delete(listener);
+  }
+
+  /**
+   * ログを購読者に通知
+   * @param {Object} event - { type, message }
+   */
+  emitLog(event) {
+    this.logListeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * 進捗を購読者に通知
+   * @param {Object} event - { ratio, time }
+   */
+  emitProgress(event) {
+    this.progressListeners.forEach((listener) => listener(event));
+  }
+
+  /**
+   * FFmpeg コアを読み込み
+   * @param {Object} options - { coreURL, wasmURL, workerURL }
+   * @returns {Promise<void>}
+   */
+  async load(options) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 仮想 FS にファイルを書き込み
+   * @param {string} name
+   * @param {Uint8Array} data
+   * @returns {Promise<void>}
+   */
+  async writeFile(name, data) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 仮想 FS からファイルを読み込み
+   * @param {string} name
+   * @returns {Promise<Uint8Array>}
+   */
+  async readFile(name) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 仮想 FS のファイルを削除
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async deleteFile(name) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * 仮想 FS にディレクトリを作成
+   * @param {string} name
+   * @returns {Promise<void>}
+   */
+  async createDir(name) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * ファイルをメモリに読み込まずに仮想 FS にマウントできるか
+   * @returns {boolean}
+   */
+  canMount() {
+    return false;
+  }
+
+  /**
+   * ファイルを仮想 FS のディレクトリにマウント（WORKERFS、読み込み専用で必要な部分だけ読む）
+   * @param {string} dir - マウント先のディレクトリ（存在しない場合は作成）
+   * @param {string} name - ディレクトリ内のファイル名
+   * @param {Blob} blob
+   * @returns {Promise<void>}
+   */
+  async mount(dir, name, blob) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * マウントを解除してディレクトリを削除
+   * @param {string} dir
+   * @returns {Promise<void>}
+   */
+  async unmount(dir) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * FFmpeg コマンドを実行
+   * @param {string[]} args
+   * @returns {Promise<number>} - 終了コード（0 = 成功）
+   */
+  async exec(args) {
+    throw new Error('Not implemented');
+  }
+
+  /**
+   * FFmpeg を強制終了（実行中の exec は失敗し、再利用するには load() が必要）
+   */
+  terminate() {
+    throw new Error('Not implemented');
+  }
+}
+
+/**
+ * ffmpeg.wasm 0.12 系
+ */
+class FFmpeg12Adapter extends FFmpegAdapter {
+  constructor(ffmpeg) {
+    super(ffmpeg);
+    this.version = '0.12';
+
+    ffmpeg.on('log', ({ type, message }) => this.emitLog({ type, message }));
+    ffmpeg.on('progress', ({ progress, time }) => {
+      // time はマイクロ秒
+      this.emitProgress({ ratio: progress, time: time / 1000000 });
+    });
+  }
+
+  async load(options = {}) {
+    const config = {};
+    ['coreURL', 'wasmURL', 'workerURL'].forEach((key) => {
+      if (options[key]) {
+        config[key] = options[key];
+      }
+    });
+
+    await this.ffmpeg.load(config);
+  }
+
+  async writeFile(name, data) {
+    await this.ffmpeg.writeFile(name, data);
+  }
+
+  async readFile(name) {
+    return this.ffmpeg.readFile(name);
+  }
+
+  async deleteFile(name) {
+    await this.ffmpeg.deleteFile(name);
+  }
+
+  async createDir(name) {
+    await this.ffmpeg.createDir(name);
+  }
+
+  canMount() {
+    return typeof this.ffmpeg.mount === 'function';
+  }
+
+  async mount(dir, name, blob) {
+    await this.ffmpeg.createDir(dir);
+    // FFFSType.WORKERFS（blobs で指定するとファイル名を決められる）
+    await this.ffmpeg.mount('WORKERFS', { blobs: [{ name: name, data: blob }] }, dir);
+  }
+
+  async unmount(dir) {
+    await this.ffmpeg.unmount(dir);
+    await this.ffmpeg.deleteDir(dir);
+  }
+
+  async exec(args) {
+    return this.ffmpeg.exec(args);
+  }
+
+  terminate() {
+    this.ffmpeg.terminate();
+  }
+}
+
+/**
+ * ffmpeg.wasm 0.11 系
+ */
+class FFmpeg11Adapter extends FFmpegAdapter {
+  constructor(ffmpeg) {
+    super(ffmpeg);
+    this.version = '0.11';
+
+    ffmpeg.setLogger(({ type, message }) => this.emitLog({ type, message }));
+    ffmpeg.setProgress(({ ratio, time }) => this.emitProgress({ ratio, time }));
+  }
+
+  async load() {
+    // 0.11 は createFFmpeg() 時の corePath を使用
+    if (!this.ffmpeg.isLoaded || !this.ffmpeg.isLoaded()) {
+      await this.ffmpeg.load();
+    }
+  }
+
+  async writeFile(name, data) {
+    this.ffmpeg.FS('writeFile', name, data);
+  }
+
+  async readFile(name) {
+    return this.ffmpeg.FS('readFile', name);
+  }
+
+  async deleteFile(name) {
+    this.ffmpeg.FS('unlink', name);
+  }
+
+  async createDir(name) {
+    this.ffmpeg.FS('mkdir', name);
+  }
+
+  async exec(args) {
+    try {
+      // exit() しても run() の Promise は完了しないため、terminate() 側から失敗させる
+      await Promise.race([
+        this.ffmpeg.run(...args),
+        new Promise((resolve, reject) => {
+          this.rejectRun = reject;
+        }),
+      ]);
+      return 0;
+    } catch (error) {
+      this.emitLog({ type: 'error', message: error.message });
+      return 1;
+    } finally {
+      this.rejectRun = null;
+    }
+  }
+
+  terminate() {
+    if (this.rejectRun) {
+      this.rejectRun(new Error('called FFmpeg.terminate()'));
+    }
+
+    try {
+      this.ffmpeg.exit();
+    } catch (e) {
+      // exit() は実行中のジョブを強制終了する際に例外を投げる
+    }
+  }
+}
+
+/**
+ * ffmpeg-core 0.12 系を直接使用（Web Worker 内用）
+ *
+ * @ffmpeg/ffmpeg が内部で起動する Worker（dist/esm/worker.js）と同じ手順で、
+ * コアを呼び出し元のスレッドに読み込む。
+ * exec はスレッドをブロックするため、実行中に中断するには Worker ごと終了する。
+ */
+class FFmpegCoreAdapter extends FFmpegAdapter {
+  constructor() {
+    super(null);
+    this.version = '0.12';
+  }
+
+  async load(options = {}) {
+    const { coreURL, wasmURL } = options;
+
+    if (typeof self.createFFmpegCore !== 'function') {
+      importScripts(coreURL);
+    }
+
+    // ffmpeg-core は mainScriptUrlOrBlob の # 以降の JSON から wasm の URL を取得する
+    const ffmpeg = await self.createFFmpegCore({
+      mainScriptUrlOrBlob: `${coreURL}#${btoa(JSON.stringify({ wasmURL: wasmURL }))}`,
+    });
+
+    ffmpeg.setLogger(({ type, message }) => this.emitLog({ type, message }));
+    ffmpeg.setProgress(({ progress, time }) => {
+      // time はマイクロ秒
+      this.emitProgress({ ratio: progress, time: time / 1000000 });
+    });
+
+    this.ffmpeg = ffmpeg;
+  }
+
+  async writeFile(name, data) {
+    this.ffmpeg.FS.writeFile(name, data);
+  }
+
+  async readFile(name) {
+    return this.ffmpeg.FS.readFile(name);
+  }
+
+  async deleteFile(name) {
+    this.ffmpeg.FS.unlink(name);
+  }
+
+  async createDir(name) {
+    this.ffmpeg.FS.mkdir(name);
+  }
+
+  canMount() {
+    return true;
+  }
+
+  async mount(dir, name, blob) {
+    this.ffmpeg.FS.mkdir(dir);
+    this.ffmpeg.FS.mount(this.ffmpeg.FS.filesystems.WORKERFS, { blobs: [{ name: name, data: blob }] }, dir);
+  }
+
+  async unmount(dir) {
+    this.ffmpeg.FS.unmount(dir);
+    this.ffmpeg.FS.rmdir(dir);
+  }
+
+  async exec(args) {
+    // 終了コードは ret に設定される（reset() で次の exec 用に初期化する）
+    this.ffmpeg.setTimeout(-1);
+    this.ffmpeg.exec(...args);
+    const code = this.ffmpeg.ret;
+    this.ffmpeg.reset();
+    return code;
+  }
+
+  terminate() {
+    // 実行中の exec は止められないため、インスタンスを破棄して load() で作り直す
+    this.ffmpeg = null;
+  }
+}
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FFmpegAdapter;
+  module.exports.FFmpeg12Adapter = FFmpeg12Adapter;
+  module.exports.FFmpeg11Adapter = FFmpeg11Adapter;
+  module.exports.FFmpegCoreAdapter = FFmpegCoreAdapter;
+}
+
+if (typeof window !== 'undefined') {
+  window.FFmpegAdapter = FFmpegAdapter;
+}
@@ -0,0 +1,263 @@
+/**
+ * js/ffmpeg-core-cache.js
+ *
+ * ffmpeg.wasm のコア（ffmpeg-core.js / ffmpeg-core.wasm、約 30MB）の取得
+ * - Cache Storage に保存し、次回以降はダウンロードしない
+ * - SRI 形式のハッシュ（sha256 / sha384 / sha512）で改ざん・破損を検出
+ *   （キャッシュから読み込んだ場合も検証し、一致しなければダウンロードし直す）
+ * - ダウンロードの進捗を通知
+ * - Blob URL にして返す（ffmpeg.wasm の Worker から同じオリジンとして読み込める）
+ *
+ * Cache Storage を使えない環境（HTTP で配信している場合など）では毎回ダウンロードする。
+ * 取得できなかった場合（ネットワークエラー・2xx 以外・ハッシュ不一致）は name が FFmpegFetchError のエラーになる。
+ *
+ * 使用方法:
+ * const cache = new FFmpegCoreCache();
+ * const coreURL = await cache.getBlobURL('/vendor/ffmpeg-core/ffmpeg-core.js', {
+ *   integrity: 'sha384-...',
+ *   type: 'text/javascript',
+ *   onProgress: (loaded, total) => {},
+ * });
+ */
+
+class FFmpegCoreCache {
+  constructor(config = {}) {
+    this.config = {
+      cacheName: 'ffmpeg-core',
+      ...config,
+    };
+  }
+
+  /**
+   * ファイルを取得して Blob URL を作成
+   * @param {string} url
+   * @param {Object} options - { integrity: SRI 形式のハッシュ（省略時は検証しない）, type: MIME タイプ, onProgress: (loaded, total) => void }
+   * @returns {Promise<string>}
+   */
+  async getBlobURL(url, options = {}) {
+    const data = await this.get(url, options);
+    return URL.createObjectURL(new Blob([data], { type: options.type || 'application/octet-stream' }));
+  }
+
+  /**
+   * ファイルを取得（キャッシュにあればキャッシュから）
+   * @param {string} url
+   * @param {Object} options - getBlobURL() と同じ
+   * @returns {Promise<Uint8Array>}
+   */
+  async get(url, options = {}) {
+    const { integrity = null, onProgress = () => {} } = options;
+    const absoluteURL = FFmpegCoreCache.resolveURL(url);
+    const cache = await this.openCache();
+
+    if (cache) {
+      const cached = await cache.match(absoluteURL);
+
+      if (cached) {
+        const data = new Uint8Array(await cached.arrayBuffer());
+
+        if (await FFmpegCoreCache.verify(data, integrity)) {
+          console.log(`📦 Loaded from cache: ${absoluteURL}`);
+          onProgress(data.byteLength, data.byteLength);
+          return data;
+        }
+
+        // 配信元のファイルが更新された場合など
+        console.warn(`⚠️ Cached file does not match its integrity, downloading again: ${absoluteURL}`);
+        await cache.delete(absoluteURL);
+      }
+    }
+
+    let response;
+    let data;
+    try {
+      response = await fetch(absoluteURL);
+      if (response.ok) {
+        data = await FFmpegCoreCache.readBody(response, onProgress);
+      }
+    } catch (error) {
+      throw FFmpegCoreCache.fetchError(`Could not download ${absoluteURL}: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      throw FFmpegCoreCache.fetchError(`Could not download ${absoluteURL} (HTTP ${response.status})`);
+    }
+
+    if (!(await FFmpegCoreCache.verify(data, integrity))) {
+      throw FFmpegCoreCache.fetchError(`Integrity check failed for ${absoluteURL}`);
+    }
+
+    if (cache) {
+      try {
+        await cache.put(absoluteURL, new Response(data, { headers: { 'Content-Type': options.type || 'application/octet-stream' } }));
+      } catch (error) {
+        // 容量不足などでも読み込み自体は続行する
+        console.warn('⚠️ Could not cache FFmpeg core:', error.message);
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * 指定した URL 以外のキャッシュを削除（バージョンを更新した後の古いコア）
+   * @param {string[]} urls - 残す URL
+   * @returns {Promise<void>}
+   */
+  async prune(urls) {
+    const cache = await this.openCache();
+    if (!cache) {
+      return;
+    }
+
+    const keep = urls.map((url) => FFmpegCoreCache.resolveURL(url));
+    const requests = await cache.keys();
+
+    await Promise.all(
+      requests
+        .filter((request) => !keep.includes(request.url))
+        .map((request) => cache.delete(request))
+    );
+  }
+
+  /**
+   * Cache Storage を開く
+   * @returns {Promise<Cache|null>} - 使えない環境では null
+   */
+  async openCache() {
+    if (typeof caches === 'undefined') {
+      return null;
+    }
+
+    try {
+      return await caches.open(this.config.cacheName);
+    } catch (error) {
+      console.warn('⚠️ Cache Storage is not available:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * レスポンスを読みながら進捗を通知
+   * @param {Response} response
+   * @param {Function} onProgress - (loaded, total) => void（total が不明な場合は 0）
+   * @returns {Promise<Uint8Array>}
+   */
+  static async readBody(response, onProgress) {
+    // 圧縮して配信された場合、Content-Length は展開前のサイズになるため目安として使う
+    const total = parseInt(response.headers.get('Content-Length'), 10) || 0;
+
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      const data = new Uint8Array(await response.arrayBuffer());
+      onProgress(data.byteLength, total || data.byteLength);
+      return data;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+
+      chunks.push(value);
+      loaded += value.byteLength;
+      onProgress(loaded, Math.max(total, loaded));
+    }
+
+    const data = new Uint8Array(loaded);
+    let offset = 0;
+    chunks.forEach((chunk) => {
+      data.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+
+    return data;
+  }
+
+  /**
+   * SRI 形式のハッシュと照合
+   * @param {Uint8Array} data
+   * @param {string|null} integrity - 例: "sha384-..."（空白区切りで複数指定した場合はいずれかに一致すればよい）
+   * @returns {Promise<boolean>}
+   */
+  static async verify(data, integrity) {
+    if (!integrity) {
+      return true;
+    }
+
+    const algorithms = { sha256: 'SHA-256', sha384: 'SHA-384', sha512: 'SHA-512' };
+    const digests = {};
+
+    // 対応していないアルゴリズムのみの場合は（SRI と同じく）検証しない
+    const entries = integrity
+      .trim()
+      .split(/\s+/)
+      .map((entry) => [entry.slice(0, entry.indexOf('-')), entry.slice(entry.indexOf('-') + 1)])
+      .filter(([name]) => algorithms[name]);
+
+    if (entries.length === 0) {
+      return true;
+    }
+
+    for (const [name, expected] of entries) {
+      if (!digests[name]) {
+        digests[name] = FFmpegCoreCache.toBase64(
+          new Uint8Array(await crypto.subtle.digest(algorithms[name], data))
+        );
+      }
+
+      if (digests[name] === expected) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * バイト列を Base64 に変換
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * 取得に失敗したことを表すエラーを作成
+   * @param {string} message
+   * @returns {Error} - name は FFmpegFetchError
+   */
+  static fetchError(message) {
+    const error = new Error(message);
+    error.name = 'FFmpegFetchError';
+    return error;
+  }
+
+  /**
+   * 相対 URL を絶対 URL に変換（キャッシュのキーをそろえる）
+   * @param {string} url
+   * @returns {string}
+   */
+  static resolveURL(url) {
+    const base = typeof location !== 'undefined' ? location.href : undefined;
+    return new URL(url, base).href;
+  }
+}
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FFmpegCoreCache;
+}
+
+if (typeof window !== 'undefined') {
+  window.FFmpegCoreCache = FFmpegCoreCache;
+}
@@ -6,6 +6,9 @@ class GitHubUploadManagerNetlify {
     this.apiBaseUrl = config.apiBaseUrl || '/.netlify/functions';
     this.requestTimeout = config.requestTimeout || 30000;
 
+    // 分割アップロードのパートサイズ（Base64 化後も Netlify の上限 6MB に収まるサイズ）
+    this.chunkSize = config.chunkSize || 4 * 1024 * 1024;
+
     // キャッシュ
     this.cache = new Map();
     this.cacheTTL = 3600 * 1000; // 1時間
@@ -16,9 +19,10 @@ class GitHubUploadManagerNetlify {
    * @param {string} functionName - Function 名
    * @param {string} method - HTTP メソッド
    * @param {Object} body - リクエストボディ
+   * @param {AbortSignal} signal - 中断用シグナル（オプション）
    * @returns {Promise<Object>}
    */
-  async callFunction(functionName, method = 'POST', body = null) {
+  async callFunction(functionName, method = 'POST', body = null, signal = null) {
     const url = `${this.apiBaseUrl}/${functionName}`;
 
     const options = {
@@ -34,8 +38,15 @@ class GitHubUploadManagerNetlify {
 
     console.log(`[Netlify] ${method} ${functionName}`);
 
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+
+    if (signal) {
+      signal.throwIfAborted();
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
     try {
-      const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
 
       const response = await fetch(url, {
@@ -55,10 +66,18 @@ class GitHubUploadManagerNetlify {
 
       return data;
     } catch (error) {
+      // 呼び出し元による中断はタイムアウトと区別する
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
       if (error.name === 'AbortError') {
         throw new Error(`Request timeout (${this.requestTimeout}ms)`);
       }
       throw error;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
   }
 
@@ -111,53 +130,324 @@ class GitHubUploadManagerNetlify {
     return response.data;
   }
 
+  /**
+   * Blob を Base64 文字列に変換
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.onload = () => {
+        resolve(reader.result.split(',')[1]);
+      };
+
+      reader.onerror = () => {
+        reject(new Error('Failed to read file'));
+      };
+
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Blob の SHA-256 を Base64 で取得（再開時に送信済みのパートと同じ内容か確認する）
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  async hashBlob(blob) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+
+    let binary = '';
+    for (let i = 0; i < digest.length; i++) {
+      binary += String.fromCharCode(digest[i]);
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * 中断したアップロードのセッションを新しいファイルで再開できるか確認
+   * （サイズと、送信済みのパートごとに記録した SHA-256 が一致する場合のみ）
+   * @param {Blob} fileBlob - アップロードするファイル
+   * @param {Object} session - StorageManager に保存したセッション
+   * @returns {Promise<boolean>}
+   */
+  async matchesSession(fileBlob, session) {
+    if (session.compressed_size !== fileBlob.size) {
+      return false;
+    }
+
+    const partSize = session.part_size || this.chunkSize;
+
+    for (const [index, hash] of Object.entries(session.part_hashes || {})) {
+      const start = Number(index) * partSize;
+      if ((await this.hashBlob(fileBlob.slice(start, start + partSize))) !== hash) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
   /**
    * Asset をアップロード
    * @param {string} uploadUrl - GitHub upload_url
    * @param {Blob} fileBlob - ファイル
    * @param {string} fileName - ファイル名
    * @param {Function} onProgress - 進捗コールバック
+   * @param {Object} options - { signal }
    * @returns {Promise<Object>}
    */
-  async uploadAsset(uploadUrl, fileBlob, fileName, onProgress = () => {}) {
+  async uploadAsset(uploadUrl, fileBlob, fileName, onProgress = () => {}, options = {}) {
     console.log(`📤 Uploading asset: ${fileName}`);
 
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
+    // Base64 に変換
+    const base64 = await this.blobToBase64(fileBlob);
 
-      reader.onload = async () => {
-        try {
-          onProgress(50, 'Sending to server...');
+    onProgress(50, 'Sending to server...');
 
-          // Base64 に変換
-          const base64 = reader.result.split(',')[1];
+    const response = await this.callFunction('github-upload', 'POST', {
+      action: 'upload-asset',
+      fileBase64: base64,
+      uploadUrl: uploadUrl,
+      fileName: fileName,
+      contentType: fileBlob.type || undefined,
+    }, options.signal);
 
-          const response = await this.callFunction('github-upload', 'POST', {
-            action: 'upload-asset',
-            fileBase64: base64,
-            uploadUrl: uploadUrl,
-            fileName: fileName,
-          });
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to upload asset');
+    }
 
-          if (!response.success) {
-            throw new Error(response.error || 'Failed to upload asset');
-          }
+    onProgress(100, 'Upload complete');
+    console.log('✅ Asset uploaded:', response.data.asset_id);
 
-          onProgress(100, 'Upload complete');
-          console.log('✅ Asset uploaded:', response.data.asset_id);
+    return response.data;
+  }
 
-          resolve(response.data);
-        } catch (error) {
-          reject(error);
-        }
-      };
+  /**
+   * パートを 1 つアップロード
+   * @param {string} uploadUrl - GitHub upload_url
+   * @param {Blob} partBlob - パートデータ
+   * @param {string} fileName - 元のファイル名
+   * @param {number} partIndex - パート番号（0 始まり）
+   * @param {AbortSignal} signal - 中断用シグナル（オプション）
+   * @returns {Promise<Object>}
+   */
+  async uploadPart(uploadUrl, partBlob, fileName, partIndex, signal = null) {
+    const base64 = await this.blobToBase64(partBlob);
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
+    const response = await this.callFunction('github-upload', 'POST', {
+      action: 'upload-part',
+      fileBase64: base64,
+      uploadUrl: uploadUrl,
+      fileName: fileName,
+      partIndex: partIndex,
+    }, signal);
 
-      reader.readAsDataURL(fileBlob);
-    });
+    if (!response.success) {
+      throw new Error(response.error || `Failed to upload part ${partIndex + 1}`);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * 分割アップロードを完了（パート一覧を Release に記録）
+   * @param {number} releaseId - Release ID
+   * @param {string} fileName - 元のファイル名
+   * @param {Object} info - { partCount, partSize, totalSize, contentType }
+   * @param {AbortSignal} signal - 中断用シグナル（オプション）
+   * @returns {Promise<Object>} - manifest
+   */
+  async finalizeUpload(releaseId, fileName, info, signal = null) {
+    console.log(`🧩 Finalizing upload: ${fileName} (${info.partCount} parts)`);
+
+    const response = await this.callFunction('github-upload', 'POST', {
+      action: 'finalize-upload',
+      releaseId: releaseId,
+      fileName: fileName,
+      ...info,
+    }, signal);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to finalize upload');
+    }
+
+    this.cache.delete(`file:${releaseId}`);
+    return response.data;
+  }
+
+  /**
+   * Release に保存済みのパート・Asset を取得（レジューム用）
+   * @param {number} releaseId - Release ID
+   * @param {string} fileName - 元のファイル名
+   * @param {AbortSignal} signal - 中断用シグナル（オプション）
+   * @returns {Promise<Object>} - { release_id, upload_url, html_url, parts, asset, assets: 送信済み Asset 一覧 }
+   */
+  async listParts(releaseId, fileName, signal = null) {
+    const response = await this.callFunction('github-upload', 'POST', {
+      action: 'list-parts',
+      releaseId: releaseId,
+      fileName: fileName,
+    }, signal);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to list parts');
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Release のメタデータを更新（指定したキーのみ上書き）
+   * @param {number} releaseId - Release ID
+   * @param {Object} values - 追加・上書きする値
+   * @param {AbortSignal} signal - 中断用シグナル（オプション）
+   * @returns {Promise<Object>} - 更新後のメタデータ
+   */
+  async updateMetadata(releaseId, values, signal = null) {
+    const response = await this.callFunction('github-upload', 'POST', {
+      action: 'update-metadata',
+      releaseId: releaseId,
+      metadata: values,
+    }, signal);
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to update metadata');
+    }
+
+    this.cache.delete(`file:${releaseId}`);
+    return response.data;
+  }
+
+  /**
+   * 動画に付随するファイル（ポスター画像など）を Asset としてアップロード
+   *
+   * WebVTT・m3u8 などのテキストファイルに含まれる他のファイル名（例: sprite.jpg#xywh=...）は、
+   * 先にアップロードしたファイルの URL に置き換えてからアップロードする。
+   * key が null のもの（HLS のセグメントなど）はメタデータに記録しない。
+   * @param {Object} release - createRelease の戻り値
+   * @param {string} fileId - Asset 名の接頭辞（metadata.file_id）
+   * @param {Object[]} artifacts - [{ key, name, blob, ... }]（VideoCompressionEngine の圧縮結果の artifacts）
+   * @param {Object} options - { uploaded: 送信済み Asset の配列（レジューム時）, onProgress: (sentBytes, totalBytes) => void, signal }
+   * @returns {Promise<Object>} - { [key]: { name, url, size, content_type, ... } }（metadata.artifacts に記録する値）
+   */
+  async uploadArtifacts(release, fileId, artifacts, options = {}) {
+    const uploaded = options.uploaded || [];
+    const onProgress = options.onProgress || (() => {});
+    const totalBytes = artifacts.reduce((total, artifact) => total + artifact.blob.size, 0);
+    const urls = {};
+    const result = {};
+    let sentBytes = 0;
+
+    for (const artifact of artifacts) {
+      const { key, name, ...details } = artifact;
+      const assetName = `${fileId}.${name}`;
+      let blob = artifact.blob;
+      delete details.blob;
+
+      if (GitHubUploadManagerNetlify.REFERENCE_TYPES.includes(blob.type)) {
+        const text = GitHubUploadManagerNetlify.rewriteReferences(await blob.text(), urls);
+        blob = new Blob([text], { type: blob.type });
+      }
+
+      const asset = uploaded.find((a) => a.name === assetName) ||
+        await this.uploadAsset(release.upload_url, blob, assetName, () => {}, { signal: options.signal });
+
+      urls[name] = asset.download_url;
+      sentBytes += artifact.blob.size;
+      onProgress(sentBytes, totalBytes);
+
+      if (key) {
+        result[key] = {
+          ...details,
+          name: assetName,
+          url: asset.download_url,
+          size: blob.size,
+          content_type: blob.type,
+        };
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * アップロードできる最大のファイルサイズ（パート数の上限 × パートサイズ）
+   * @param {number} partSize - パートサイズ（省略時は chunkSize）
+   * @returns {number} - バイト
+   */
+  getMaxFileSize(partSize = this.chunkSize) {
+    return partSize * GitHubUploadManagerNetlify.MAX_PARTS;
+  }
+
+  /**
+   * パート数・Asset 数が上限に収まるか確認（収まらない場合は例外）
+   * @param {Blob} fileBlob - アップロードするファイル
+   * @param {number} partSize - パートサイズ
+   * @param {number} artifactCount - ポスター画像・HLS のセグメントなどの付随ファイルの数
+   */
+  checkLimits(fileBlob, partSize, artifactCount) {
+    const { MAX_PARTS, MAX_ASSETS } = GitHubUploadManagerNetlify;
+    const partCount = fileBlob.size > partSize ? Math.ceil(fileBlob.size / partSize) : 1;
+
+    if (partCount > MAX_PARTS) {
+      const maxGB = (this.getMaxFileSize(partSize) / 1024 ** 3).toFixed(1);
+      throw new Error(`File is too large. Maximum size is ${maxGB}GB.`);
+    }
+
+    if (partCount + artifactCount > MAX_ASSETS) {
+      throw new Error(`Too many files to upload (${partCount + artifactCount}, maximum is ${MAX_ASSETS}).`);
+    }
+  }
+
+  /**
+   * Asset を分割アップロード
+   * @param {Object} release - createRelease の戻り値
+   * @param {Blob} fileBlob - ファイル
+   * @param {string} fileName - ファイル名
+   * @param {Function} onProgress - 進捗コールバック
+   * @param {Object} options - { partSize, completedParts: 送信済みパート番号の配列, onPartUploaded: (index, uploadedCount, partCount, hash) => void, signal }
+   * @returns {Promise<Object>} - manifest
+   */
+  async uploadAssetChunked(release, fileBlob, fileName, onProgress = () => {}, options = {}) {
+    const partSize = options.partSize || this.chunkSize;
+    const partCount = Math.ceil(fileBlob.size / partSize);
+    const completed = new Set(options.completedParts || []);
+    const onPartUploaded = options.onPartUploaded || (() => {});
+
+    console.log(`📤 Uploading asset in ${partCount} parts: ${fileName}`);
+    if (completed.size > 0) {
+      console.log(`↩️ Resuming: ${completed.size}/${partCount} parts already uploaded`);
+    }
+
+    for (let index = 0; index < partCount; index++) {
+      if (!completed.has(index)) {
+        const start = index * partSize;
+        const partBlob = fileBlob.slice(start, Math.min(start + partSize, fileBlob.size));
+        const hash = await this.hashBlob(partBlob);
+
+        await this.uploadPart(release.upload_url, partBlob, fileName, index, options.signal);
+        completed.add(index);
+        onPartUploaded(index, completed.size, partCount, hash);
+      }
+
+      onProgress(
+        ((index + 1) / partCount) * 95,
+        `Uploading part ${index + 1}/${partCount}...`
+      );
+    }
+
+    const manifest = await this.finalizeUpload(release.release_id, fileName, {
+      partCount: partCount,
+      partSize: partSize,
+      totalSize: fileBlob.size,
+      contentType: fileBlob.type || 'application/octet-stream',
+    }, options.signal);
+
+    onProgress(100, 'Upload complete');
+    return manifest;
   }
 
   /**
@@ -211,44 +501,172 @@ class GitHubUploadManagerNetlify {
 
   /**
    * 一括アップロード（Release + Asset）
+   *
+   * options.session に前回のセッション（release_id, upload_url, part_size）を渡すと、
+   * Release を作り直さずに送信済みのパートをスキップして再開する。
+   * options.signal で中断した場合は、作成済みの Release を削除してから AbortError で reject する。
+   * options.artifacts（ポスター画像など）は本体の後に Asset としてアップロードし、
+   * URL を metadata.artifacts に記録する。
    * @param {Blob} fileBlob - 圧縮済みファイル
    * @param {Object} metadata - メタデータ
    * @param {Function} onProgress - 進捗コールバック
+   * @param {Object} options - { session, onSessionUpdate, signal, artifacts }
    * @returns {Promise<Object>}
    */
-  async uploadWithMetadata(fileBlob, metadata, onProgress = () => {}) {
+  async uploadWithMetadata(fileBlob, metadata, onProgress = () => {}, options = {}) {
+    const onSessionUpdate = options.onSessionUpdate || (() => {});
+    const signal = options.signal || null;
+    const artifacts = options.artifacts || [];
+    let release = null;
+
     try {
-      onProgress(5, 'Creating release...');
+      const partSize = (options.session && options.session.part_size) || this.chunkSize;
+
+      // Release を作成する前に、サーバー側の上限に収まるか確認する
+      this.checkLimits(fileBlob, partSize, artifacts.length);
+
+      // 拡張子は出力形式・元のファイルに合わせる（metadata.file_ext、空文字列は拡張子なし）
+      const extension = metadata.file_ext !== undefined && metadata.file_ext !== null ? metadata.file_ext : 'mp4';
+      const fileName = extension ? `${metadata.file_id}.${extension}` : metadata.file_id;
+      let existing = null;
+
+      if (options.session && options.session.release_id) {
+        // 0. 既存の Release から再開
+        onProgress(5, 'Checking uploaded parts...');
+
+        existing = await this.listParts(options.session.release_id, fileName, signal);
+        release = {
+          release_id: existing.release_id,
+          upload_url: existing.upload_url,
+          html_url: existing.html_url,
+        };
+      } else {
+        onProgress(5, 'Creating release...');
+
+        // 1. Release を作成（中断すると作成された Release の ID が分からなくなるため、完了を待つ）
+        release = await this.createRelease(
+          `${metadata.media_type || 'video'}_${metadata.file_id}`,
+          { ...metadata, file_name: fileName }
+        );
+      }
 
-      // 1. Release を作成
-      const release = await this.createRelease(
-        `video_${metadata.file_id}`,
-        metadata
-      );
+      if (signal) {
+        signal.throwIfAborted();
+      }
+
+      // 送信済みのパートの SHA-256（パート番号 → ハッシュ、分割しない場合は 0 のみ）
+      // matchesSession() で確認済みのため、記録のあるパート・Asset のみ再利用する
+      const partHashes = { ...((options.session && options.session.part_hashes) || {}) };
+
+      onSessionUpdate({
+        release_id: release.release_id,
+        upload_url: release.upload_url,
+        html_url: release.html_url,
+        file_name: fileName,
+        part_size: partSize,
+        compressed_size: fileBlob.size,
+      });
 
       onProgress(25, 'Uploading file to server...');
 
-      // 2. Asset をアップロード
-      const asset = await this.uploadAsset(
-        release.upload_url,
-        fileBlob,
-        `${metadata.file_id}.mp4`,
-        (percent, message) => {
-          const overallPercent = 25 + percent * 0.75;
-          onProgress(overallPercent, message);
+      // 25-100% を本体と付随ファイル（HLS のセグメントなど）のサイズで按分
+      const artifactBytes = artifacts.reduce((total, artifact) => total + artifact.blob.size, 0);
+      const assetShare = 75 * (fileBlob.size / (fileBlob.size + artifactBytes || 1));
+
+      const assetProgress = (percent, message) => {
+        const overallPercent = 25 + (percent / 100) * assetShare;
+        onProgress(overallPercent, message);
+      };
+
+      let result;
+
+      // 2a. 上限を超えるファイルは分割アップロード
+      if (fileBlob.size > partSize) {
+        const manifest = await this.uploadAssetChunked(
+          release,
+          fileBlob,
+          fileName,
+          assetProgress,
+          {
+            partSize: partSize,
+            completedParts: existing
+              ? existing.parts.filter((part) => partHashes[part.index]).map((part) => part.index)
+              : [],
+            onPartUploaded: (index, uploadedCount, partCount, hash) => {
+              partHashes[index] = hash;
+              onSessionUpdate({ uploaded_parts: uploadedCount, part_count: partCount, part_hashes: { ...partHashes } });
+            },
+            signal: signal,
+          }
+        );
+
+        result = {
+          release_id: release.release_id,
+          asset_id: null,
+          asset_url: null,
+          release_url: release.html_url,
+          file_name: fileName,
+          manifest: manifest,
+        };
+      } else {
+        // 2b. Asset をアップロード（再開時は送信済みならスキップ）
+        let asset = existing && existing.asset && partHashes[0] ? existing.asset : null;
+
+        if (!asset) {
+          const hash = await this.hashBlob(fileBlob);
+          asset = await this.uploadAsset(
+            release.upload_url,
+            fileBlob,
+            fileName,
+            assetProgress,
+            { signal: signal }
+          );
+          partHashes[0] = hash;
+          onSessionUpdate({ part_hashes: { ...partHashes } });
         }
-      );
 
-      onProgress(100, 'Upload complete!');
+        result = {
+          release_id: release.release_id,
+          asset_id: asset.asset_id,
+          asset_url: asset.download_url,
+          release_url: release.html_url,
+          file_name: asset.name,
+        };
+      }
 
-      return {
-        release_id: release.release_id,
-        asset_id: asset.asset_id,
-        asset_url: asset.download_url,
-        release_url: release.html_url,
-        file_name: asset.name,
-      };
+      // 3. ポスター画像などをアップロードし、URL をメタデータに記録
+      if (artifacts.length > 0) {
+        onProgress(25 + assetShare, 'Uploading thumbnails and previews...');
+
+        result.artifacts = await this.uploadArtifacts(release, metadata.file_id, artifacts, {
+          uploaded: existing ? existing.assets : [],
+          onProgress: (sentBytes, totalBytes) => {
+            onProgress(
+              25 + assetShare + (75 - assetShare) * (sentBytes / totalBytes),
+              `Uploading thumbnails and previews (${Math.round((sentBytes / totalBytes) * 100)}%)...`
+            );
+          },
+          signal: signal,
+        });
+        await this.updateMetadata(release.release_id, { artifacts: result.artifacts }, signal);
+      }
+
+      onProgress(100, 'Upload complete!');
+      return result;
     } catch (error) {
+      if (signal && signal.aborted) {
+        console.log('🛑 Upload cancelled');
+
+        // 途中まで作成した Release を残さない
+        if (release) {
+          await this.deleteRelease(release.release_id).catch((deleteError) => {
+            console.warn('⚠️ Could not delete cancelled release:', deleteError.message);
+          });
+        }
+
+        throw signal.reason;
+      }
+
       console.error('❌ Upload failed:', error);
       throw error;
     }
@@ -279,6 +697,20 @@ class GitHubUploadManagerNetlify {
     });
   }
 
+  /**
+   * テキスト内のファイル名を URL に置き換え
+   * （行頭または引用符の直後にあり、行末・引用符・# が続くものだけを対象にする）
+   * @param {string} text - WebVTT / m3u8 などの内容
+   * @param {Object} urls - { ファイル名: URL }
+   * @returns {string}
+   */
+  static rewriteReferences(text, urls) {
+    return Object.entries(urls).reduce((result, [name, url]) => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      return result.replace(new RegExp(`(^|["'])${escaped}(?=$|["'#])`, 'gm'), `$1${url}`);
+    }, text);
+  }
+
   /**
    * エラーを人間が読める形に変換
    * @param {Error} error
@@ -287,6 +719,10 @@ class GitHubUploadManagerNetlify {
   static getErrorMessage(error) {
     const message = error.message || '';
 
+    if (error.name === 'AbortError') {
+      return 'キャンセルしました。';
+    }
+
     if (message.includes('Rate limit')) {
       return 'リクエストが多すぎます。少し待ってからお試しください。';
     }
@@ -327,6 +763,14 @@ class GitHubUploadManagerNetlify {
   }
 }
 
+// 分割アップロードのパート数の上限（netlify/functions/github-upload.js の MAX_PARTS と同じ）と
+// 1 つの Release に保存できる Asset 数の上限（GitHub の制限）
+GitHubUploadManagerNetlify.MAX_PARTS = 999;
+GitHubUploadManagerNetlify.MAX_ASSETS = 1000;
+
+// 他のファイルを参照するテキスト形式（アップロード時に参照先を URL に置き換える）
+GitHubUploadManagerNetlify.REFERENCE_TYPES = ['text/vtt', 'application/vnd.apple.mpegurl'];
+
 // グローバルエクスポート
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = GitHubUploadManagerNetlify;
@@ -0,0 +1,562 @@
+/**
+ * js/image-compress.js
+ *
+ * Canvas を使用した画像の圧縮・形式変換エンジン（VideoCompressionEngine の画像版）
+ * - 最大サイズに収まるように縮小
+ * - WebP / AVIF / JPEG に再エンコード（ブラウザがエンコードできない形式は FALLBACK_FORMATS の順に切り替える）
+ * - EXIF の向き（Orientation）はデコード時に適用し、再エンコード後の画像は正しい向きで保存される
+ * - 再エンコードすると EXIF（GPS・端末名・撮影日時など）は残らない
+ *
+ * 圧縮結果の情報は VideoCompressionEngine.getCompressionInfo() と同じ形（source / output / privacy / artifacts）。
+ *
+ * 使用方法:
+ * const engine = new ImageCompressionEngine();
+ * const blob = await engine.compress(file, (percent, message) => {}, { settings: { format: 'webp', quality: 82 } });
+ * const info = engine.getCompressionInfo(blob);
+ */
+
+class ImageCompressionEngine {
+  constructor(config = {}) {
+    // 圧縮結果の情報（出力 Blob をキーに保持）
+    this.compressionInfo = new WeakMap();
+
+    this.config = {
+      maxWidth: 2560,
+      maxHeight: 2560,
+      format: 'webp', // FORMATS のキー
+      quality: 82, // 1 - 100
+      // ファイル一覧用のサムネイルを生成する
+      generateImages: true,
+      ...config,
+    };
+  }
+
+  /**
+   * このエンジンで圧縮できる画像か（アニメーション GIF・SVG などはそのままアップロードする）
+   * @param {File} file
+   * @returns {boolean}
+   */
+  static canCompress(file) {
+    return ImageCompressionEngine.INPUT_TYPES.includes(file.type);
+  }
+
+  /**
+   * 画像を圧縮
+   * @param {File} file
+   * @param {Function} onProgress - (percent, message) => void
+   * @param {Object} options - {
+   *   settings: { maxWidth, maxHeight, format, quality, stripMetadata },
+   *   signal: AbortSignal（中断すると AbortError で reject）,
+   * }
+   * @returns {Promise<Blob>}
+   */
+  async compress(file, onProgress = () => {}, options = {}) {
+    const settings = this.resolveSettings(options.settings);
+    const signal = options.signal || null;
+
+    onProgress(5, 'Reading image...');
+    const header = await file.slice(0, ImageCompressionEngine.HEADER_SIZE).arrayBuffer();
+    const exif = ImageCompressionEngine.parseExif(header);
+
+    if (signal) signal.throwIfAborted();
+
+    onProgress(20, 'Decoding image...');
+    const image = await this.decode(file);
+
+    try {
+      const source = {
+        width: image.width,
+        height: image.height,
+        contentType: file.type,
+        orientation: exif.orientation,
+        metadataFields: exif.fields,
+      };
+      const size = ImageCompressionEngine.fitSize(image.width, image.height, settings.maxWidth, settings.maxHeight);
+      const resized = size.width !== image.width || size.height !== image.height;
+
+      console.log(`🖼️ Image: ${source.width}x${source.height} → ${size.width}x${size.height}, orientation ${exif.orientation}`);
+      if (signal) signal.throwIfAborted();
+
+      onProgress(50, 'Encoding image...');
+      const encoded = await this.encode(image.source, size, settings.format, settings.quality);
+
+      if (signal) signal.throwIfAborted();
+
+      onProgress(85, 'Creating thumbnail...');
+      const artifacts = await this.generateImages(image);
+
+      // 縮小しておらず小さくならない場合は元の画像を使う
+      // （削除すべきメタデータがある・メタデータを確認できない形式の場合を除く）
+      const hasMetadata = settings.stripMetadata && (!exif.parsed || exif.fields.length > 0);
+      if (!resized && !hasMetadata && encoded.blob.size >= file.size) {
+        console.log('📦 Re-encoded image is not smaller, keeping the original');
+        onProgress(100, 'Image is already optimized');
+        return this.useOriginal(file, source, settings, artifacts);
+      }
+
+      const { blob, format } = encoded;
+      const output = ImageCompressionEngine.FORMATS[format];
+
+      this.compressionInfo.set(blob, {
+        source: source,
+        output: {
+          mode: 'reencode',
+          reason: null,
+          format: format,
+          extension: output.extension,
+          contentType: output.mimeType,
+          width: size.width,
+          height: size.height,
+          quality: settings.quality,
+        },
+        // 再エンコードした画像には EXIF が残らない
+        privacy: { stripped: true, removedFields: [...exif.fields] },
+        artifacts: artifacts,
+      });
+
+      const ratio = ((1 - blob.size / file.size) * 100).toFixed(1);
+      console.log(`✅ Image compressed: ${ImageCompressionEngine.formatSize(file.size)} → ${ImageCompressionEngine.formatSize(blob.size)} (${ratio}% smaller)`);
+      onProgress(100, 'Image compressed');
+
+      return blob;
+    } finally {
+      image.close();
+    }
+  }
+
+  /**
+   * 元の画像をそのまま出力として使用
+   * @param {File} file
+   * @param {Object} source - 元の画像の情報
+   * @param {Object} settings - resolveSettings() の戻り値
+   * @param {Object[]} artifacts
+   * @returns {Blob}
+   */
+  useOriginal(file, source, settings, artifacts = []) {
+    const blob = new Blob([file], { type: file.type });
+    const extension = /\.([a-z0-9]+)$/i.exec(file.name || '');
+
+    this.compressionInfo.set(blob, {
+      source: source,
+      output: {
+        mode: 'original',
+        reason: 'not-smaller',
+        format: null,
+        extension: extension ? extension[1].toLowerCase() : '',
+        contentType: blob.type,
+        width: source.width,
+        height: source.height,
+        quality: null,
+      },
+      privacy: { stripped: Boolean(settings.stripMetadata), removedFields: [] },
+      artifacts: artifacts,
+    });
+
+    return blob;
+  }
+
+  /**
+   * 圧縮結果の情報を取得
+   * @param {Blob} blob - compress() の戻り値
+   * @returns {Object|null} - { source, output, privacy, artifacts }
+   */
+  getCompressionInfo(blob) {
+    return this.compressionInfo.get(blob) || null;
+  }
+
+  /**
+   * 圧縮設定を解決（指定のない値は config の既定値）
+   * @param {Object|null} settings - { maxWidth, maxHeight, format, quality, stripMetadata }
+   * @returns {Object}
+   */
+  resolveSettings(settings = null) {
+    const value = settings || {};
+    const quality = Number(value.quality) || this.config.quality;
+
+    return {
+      maxWidth: value.maxWidth || this.config.maxWidth,
+      maxHeight: value.maxHeight || this.config.maxHeight,
+      format: ImageCompressionEngine.FORMATS[value.format] ? value.format : this.config.format,
+      quality: Math.min(Math.max(Math.round(quality), 1), 100),
+      stripMetadata: value.stripMetadata !== false,
+    };
+  }
+
+  /**
+   * 画像をデコード（EXIF の向きを適用した状態で取得）
+   * @param {File} file
+   * @returns {Promise<Object>} - { source: drawImage() に渡せる画像, width, height, close }
+   */
+  async decode(file) {
+    if (typeof createImageBitmap === 'function') {
+      try {
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+        return {
+          source: bitmap,
+          width: bitmap.width,
+          height: bitmap.height,
+          close: () => bitmap.close(),
+        };
+      } catch (error) {
+        console.warn('⚠️ createImageBitmap failed, falling back to <img>:', error.message);
+      }
+    }
+
+    // <img> は既定（CSS の image-orientation: from-image）で EXIF の向きを適用する
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+
+    try {
+      img.src = url;
+      await img.decode();
+    } catch (error) {
+      URL.revokeObjectURL(url);
+      throw new Error(`Could not decode image: ${file.name}`);
+    }
+
+    return {
+      source: img,
+      width: img.naturalWidth,
+      height: img.naturalHeight,
+      close: () => URL.revokeObjectURL(url),
+    };
+  }
+
+  /**
+   * 画像を指定サイズ・形式でエンコード
+   * ブラウザがエンコードできない形式は PNG が返るため、Blob の type で判定して次の候補を試す。
+   * @param {CanvasImageSource} source
+   * @param {Object} size - { width, height }
+   * @param {string} format - FORMATS のキー
+   * @param {number} quality - 1 - 100
+   * @returns {Promise<Object>} - { blob, format: 実際に使用した形式 }
+   */
+  async encode(source, size, format, quality) {
+    const candidates = [format, ...ImageCompressionEngine.FALLBACK_FORMATS.filter((name) => name !== format)];
+    const canvas = ImageCompressionEngine.createCanvas(size.width, size.height);
+    const context = canvas.getContext('2d');
+
+    // JPEG は透過できないため白で塗りつぶす（透過 PNG の背景が黒くならないように）
+    if (!ImageCompressionEngine.FORMATS[format].alpha) {
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, size.width, size.height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(source, 0, 0, size.width, size.height);
+
+    for (const name of candidates) {
+      const { mimeType } = ImageCompressionEngine.FORMATS[name];
+      const blob = await ImageCompressionEngine.canvasToBlob(canvas, mimeType, quality / 100);
+
+      if (blob && blob.type === mimeType) {
+        if (name !== format) {
+          console.warn(`⚠️ ${format} encoding is not supported, using ${name}`);
+        }
+        return { blob, format: name };
+      }
+    }
+
+    throw new Error('This browser cannot encode images');
+  }
+
+  /**
+   * ファイル一覧用のサムネイルを生成（失敗しても圧縮自体は失敗させない）
+   * @param {Object} image - decode() の戻り値
+   * @returns {Promise<Object[]>} - [{ key, name, blob, width, height }]（追加の Release Asset として保存する）
+   */
+  async generateImages(image) {
+    if (!this.config.generateImages) {
+      return [];
+    }
+
+    const max = ImageCompressionEngine.THUMBNAIL_SIZE;
+    const size = ImageCompressionEngine.fitSize(image.width, image.height, max, max);
+
+    try {
+      const { blob } = await this.encode(image.source, size, 'jpeg', 80);
+      return [{ key: 'thumbnail', name: 'thumbnail.jpg', blob: blob, ...size }];
+    } catch (error) {
+      console.warn('⚠️ Could not generate thumbnail:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Canvas を作成（Worker などでは OffscreenCanvas）
+   * @param {number} width
+   * @param {number} height
+   * @returns {HTMLCanvasElement|OffscreenCanvas}
+   */
+  static createCanvas(width, height) {
+    if (typeof document === 'undefined' && typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Canvas の内容を Blob に変換
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+   * @param {string} type - MIME タイプ
+   * @param {number} quality - 0 - 1
+   * @returns {Promise<Blob|null>}
+   */
+  static canvasToBlob(canvas, type, quality) {
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({ type, quality });
+    }
+
+    return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+  }
+
+  /**
+   * EXIF から向きと個人を特定しうるフィールドを取得（JPEG / PNG / WebP）
+   * @param {ArrayBuffer} buffer - ファイルの先頭部分
+   * @returns {Object} - { parsed: 解析できる形式だったか, orientation: 1 - 8, fields: ['location', 'make', ...] }
+   */
+  static parseExif(buffer) {
+    const view = new DataView(buffer);
+    const result = { parsed: false, orientation: 1, fields: [] };
+
+    if (view.byteLength >= 4 && view.getUint16(0) === 0xffd8) {
+      ImageCompressionEngine.parseJpeg(view, result);
+    } else if (ImageCompressionEngine.readString(view, 1, 3) === 'PNG') {
+      ImageCompressionEngine.parsePng(view, result);
+    } else if (ImageCompressionEngine.readString(view, 8, 4) === 'WEBP') {
+      ImageCompressionEngine.parseWebp(view, result);
+    } else if (ImageCompressionEngine.readString(view, 0, 2) === 'BM') {
+      result.parsed = true; // BMP はメタデータを持たない
+    }
+
+    result.fields = [...new Set(result.fields)];
+    return result;
+  }
+
+  /**
+   * JPEG の APP1 セグメント（Exif / XMP）を解析
+   * @param {DataView} view
+   * @param {Object} result - parseExif() の戻り値（書き換える）
+   */
+  static parseJpeg(view, result) {
+    let offset = 2;
+    result.parsed = true;
+
+    while (offset + 4 <= view.byteLength) {
+      const marker = view.getUint16(offset);
+      const length = view.getUint16(offset + 2);
+
+      // SOS 以降は画像データ
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda || length < 2) {
+        break;
+      }
+
+      const start = offset + 4;
+      const end = Math.min(offset + 2 + length, view.byteLength);
+
+      if (marker === 0xffe1) {
+        if (ImageCompressionEngine.readString(view, start, 6) === 'Exif\0\0') {
+          ImageCompressionEngine.parseTiff(view, start + 6, end, result);
+        } else if (ImageCompressionEngine.readString(view, start, 28) === 'http://ns.adobe.com/xap/1.0/') {
+          result.fields.push('xmp');
+        }
+      }
+
+      offset += 2 + length;
+    }
+  }
+
+  /**
+   * PNG のチャンク（eXIf / テキスト）を解析
+   * @param {DataView} view
+   * @param {Object} result - parseExif() の戻り値（書き換える）
+   */
+  static parsePng(view, result) {
+    let offset = 8;
+    result.parsed = true;
+
+    while (offset + 8 <= view.byteLength) {
+      const length = view.getUint32(offset);
+      const type = ImageCompressionEngine.readString(view, offset + 4, 4);
+      const start = offset + 8;
+
+      if (type === 'IDAT' || type === 'IEND') {
+        break;
+      }
+
+      if (type === 'eXIf') {
+        ImageCompressionEngine.parseTiff(view, start, Math.min(start + length, view.byteLength), result);
+      } else if (type === 'tEXt' || type === 'iTXt' || type === 'zTXt') {
+        // XMP は iTXt の "XML:com.adobe.xmp" に入る
+        const keyword = ImageCompressionEngine.readString(view, start, Math.min(17, length));
+        result.fields.push(keyword === 'XML:com.adobe.xmp' ? 'xmp' : 'comment');
+      }
+
+      offset = start + length + 4; // CRC
+    }
+  }
+
+  /**
+   * WebP の RIFF チャンク（EXIF / XMP）を解析
+   * @param {DataView} view
+   * @param {Object} result - parseExif() の戻り値（書き換える）
+   */
+  static parseWebp(view, result) {
+    let offset = 12;
+    result.parsed = true;
+
+    while (offset + 8 <= view.byteLength) {
+      const type = ImageCompressionEngine.readString(view, offset, 4);
+      const length = view.getUint32(offset + 4, true);
+      const start = offset + 8;
+
+      if (type === 'EXIF') {
+        // "Exif\0\0" が前に付いているファイルもある
+        const tiff = ImageCompressionEngine.readString(view, start, 6) === 'Exif\0\0' ? start + 6 : start;
+        ImageCompressionEngine.parseTiff(view, tiff, Math.min(start + length, view.byteLength), result);
+      } else if (type === 'XMP ') {
+        result.fields.push('xmp');
+      }
+
+      offset = start + length + (length % 2); // チャンクは偶数バイト境界
+    }
+  }
+
+  /**
+   * EXIF の TIFF 構造（IFD0 と Exif IFD）を解析
+   * @param {DataView} view
+   * @param {number} tiff - TIFF ヘッダーの位置
+   * @param {number} end - APP1 セグメントの終端
+   * @param {Object} result - parseExif() の戻り値（書き換える）
+   */
+  static parseTiff(view, tiff, end, result) {
+    if (tiff + 8 > end) {
+      return;
+    }
+
+    const little = view.getUint16(tiff) === 0x4949; // 'II' = リトルエンディアン
+
+    const readIfd = (ifdOffset, nested) => {
+      const start = tiff + ifdOffset;
+      if (start + 2 > end) {
+        return;
+      }
+
+      const count = view.getUint16(start, little);
+
+      for (let i = 0; i < count; i++) {
+        const entry = start + 2 + i * 12;
+        if (entry + 12 > end) {
+          break;
+        }
+
+        const tag = view.getUint16(entry, little);
+
+        if (tag === 0x0112) {
+          const orientation = view.getUint16(entry + 8, little);
+          result.orientation = orientation >= 1 && orientation <= 8 ? orientation : 1;
+        } else if (tag === 0x8769 && !nested) {
+          readIfd(view.getUint32(entry + 8, little), true);
+        } else if (ImageCompressionEngine.EXIF_TAGS[tag]) {
+          result.fields.push(ImageCompressionEngine.EXIF_TAGS[tag]);
+        }
+      }
+    };
+
+    readIfd(view.getUint32(tiff + 4, little), false);
+  }
+
+  /**
+   * ASCII 文字列を読み込み
+   * @param {DataView} view
+   * @param {number} offset
+   * @param {number} length
+   * @returns {string}
+   */
+  static readString(view, offset, length) {
+    if (offset + length > view.byteLength) {
+      return '';
+    }
+
+    let text = '';
+    for (let i = 0; i < length; i++) {
+      text += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return text;
+  }
+
+  /**
+   * アスペクト比を維持して maxWidth × maxHeight に収まるサイズを算出（拡大はしない）
+   * @param {number} width
+   * @param {number} height
+   * @param {number} maxWidth
+   * @param {number} maxHeight
+   * @returns {Object} - { width, height }
+   */
+  static fitSize(width, height, maxWidth, maxHeight) {
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+
+    return {
+      width: Math.max(Math.round(width * scale), 1),
+      height: Math.max(Math.round(height * scale), 1),
+    };
+  }
+
+  /**
+   * バイト数を MB 表記に変換
+   * @param {number} bytes
+   * @returns {string}
+   */
+  static formatSize(bytes) {
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+}
+
+// 出力形式（alpha: 透過を保持できるか）
+ImageCompressionEngine.FORMATS = {
+  webp: { label: 'WebP', mimeType: 'image/webp', extension: 'webp', alpha: true },
+  avif: { label: 'AVIF', mimeType: 'image/avif', extension: 'avif', alpha: true },
+  jpeg: { label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', alpha: false },
+};
+
+// 指定した形式をエンコードできない場合に試す順番（JPEG はすべてのブラウザでエンコードできる）
+ImageCompressionEngine.FALLBACK_FORMATS = ['webp', 'jpeg'];
+
+// 圧縮する入力形式（GIF はアニメーションが失われるため対象外）
+ImageCompressionEngine.INPUT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/avif', 'image/bmp'];
+
+// EXIF を探すファイル先頭のサイズ（APP1 セグメントは最大 64KB）
+ImageCompressionEngine.HEADER_SIZE = 256 * 1024;
+
+// サムネイルの長辺の上限（px、動画のサムネイルと同じ）
+ImageCompressionEngine.THUMBNAIL_SIZE = 320;
+
+// 個人を特定しうる EXIF タグ（0x8825 は GPS IFD へのポインター）
+ImageCompressionEngine.EXIF_TAGS = {
+  0x010e: 'description',
+  0x010f: 'make',
+  0x0110: 'model',
+  0x0131: 'software',
+  0x0132: 'date',
+  0x013b: 'artist',
+  0x8298: 'copyright',
+  0x8825: 'location',
+  0x9003: 'creation_time',
+  0x927c: 'maker_note',
+  0xa430: 'owner',
+  0xa431: 'serial_number',
+  0xa434: 'lens_model',
+  0xa435: 'lens_serial_number',
+};
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageCompressionEngine;
+}
+
+if (typeof window !== 'undefined') {
+  window.ImageCompressionEngine = ImageCompressionEngine;
+}
@@ -1,5 +1,5 @@
 /**
- * js/index-fast.js
+ * js/index.js
  * 
  * Optimized for FASTEST upload performance
  * - Minimal processing
@@ -12,28 +12,57 @@
 const appState = {
   storage: null,
   compression: null,
+  imageCompression: null,
   github: null,
   currentFile: null,
   isProcessing: false,
   uploadQueue: [],
   activeUploads: 0,
+  maxConcurrentUploads: 2,
+  nextQueueId: 1,
+  compressionSettings: null,
+  editor: null,
+  editingEntry: null,
+};
+
+// Largest watermark / intro / outro image kept in an overlay profile (images live in Cache Storage,
+// the profile in localStorage only records their image_id)
+const MAX_OVERLAY_IMAGE_SIZE = 512 * 1024;
+
+// Field values for a new overlay profile (see VideoCompressionEngine.normalizeOverlay)
+const DEFAULT_OVERLAY = {
+  watermark: { image_id: null, position: 'bottom-right', opacity: 0.8, scale: 0.15 },
+  text: { text: '', position: 'bottom-left' },
+  intro: { image_id: null, duration: 3 },
+  outro: { image_id: null, duration: 3 },
+};
+
+// Max output size for each "Custom" resolution choice
+const CUSTOM_RESOLUTIONS = {
+  2160: [3840, 2160],
+  1080: [1920, 1080],
+  720: [1280, 720],
+  480: [854, 480],
+  360: [640, 360],
 };
 
 /**
  * Initialize on page load
  */
-document.addEventListener('DOMContentLoaded', async () => {
+document.addEventListener('DOMContentLoaded', () => {
   appState.storage = new StorageManager();
-  appState.compression = new VideoCompressionEngine();
+  appState.compression = new VideoCompressionEngine({ onStatusChange: renderEncoderStatus });
+  appState.imageCompression = new ImageCompressionEngine();
   appState.github = new GitHubUploadManagerNetlify({
     apiBaseUrl: '/.netlify/functions',
     requestTimeout: 30000,
   });
+  appState.editor = document.getElementById('editorArea') ? new VideoEditor() : null;
 
-  // FFmpeg が準備完了になるまで待機
-  await appState.compression.waitUntilReady();
-
+  // ffmpeg.wasm loads in the background; media jobs wait for it (or fail if it can't load)
   setupEventListeners();
+  setupCompressionSettings();
+  renderResumeSessions();
   console.log('✅ Fast Upload Initialized');
 });
 
@@ -51,8 +80,9 @@ function setupEventListeners() {
   // File input change
   fileInput.addEventListener('change', (e) => {
     if (e.target.files.length > 0) {
-      handleFileSelect(e.target.files[0]);
+      handleFileSelect(Array.from(e.target.files));
     }
+    e.target.value = '';
   });
 
   // Drag and drop
@@ -69,7 +99,7 @@ function setupEventListeners() {
     e.preventDefault();
     uploadArea.classList.remove('drag-over');
     if (e.dataTransfer.files.length > 0) {
-      handleFileSelect(e.dataTransfer.files[0]);
+      handleFileSelect(Array.from(e.dataTransfer.files));
     }
   });
 
@@ -77,71 +107,747 @@ function setupEventListeners() {
   document.getElementById('copyUrlBtn')?.addEventListener('click', copyShareUrl);
   document.getElementById('uploadMoreBtn')?.addEventListener('click', resetForm);
   document.getElementById('retryBtn')?.addEventListener('click', resetForm);
+  document.getElementById('encoderRetryBtn')?.addEventListener('click', () => {
+    appState.compression.retryInit();
+  });
+
+  // Resume: the original file has to be picked again after a reload
+  document.getElementById('resumeFileInput')?.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    const session = appState.storage.getUploadSession(e.target.dataset.sessionId);
+    e.target.value = '';
+
+    if (!file || !session) return;
+
+    if (appState.storage.getFileFingerprint(file) !== session.fingerprint) {
+      showError(`Please select the same file to resume: ${session.file_name}`);
+      return;
+    }
+
+    handleFileSelect([file], session);
+  });
+
+  // Parallel upload count
+  document.getElementById('concurrencySelect')?.addEventListener('change', (e) => {
+    appState.maxConcurrentUploads = parseInt(e.target.value, 10) || 1;
+    processQueue();
+  });
+
+  // Queue-wide cancel / clear
+  document.getElementById('cancelProcessingBtn')?.addEventListener('click', () => {
+    cancelAllQueueItems();
+
+    // Only queued entries were cancelled, so no running job will report back
+    if (appState.activeUploads === 0) onQueueFinished();
+  });
+  document.getElementById('clearQueueBtn')?.addEventListener('click', clearFinishedQueueItems);
 
   // Social share
   setupSocialShare();
 }
 
 /**
- * Handle file selection - OPTIMIZED FOR SPEED
+ * Show the ffmpeg.wasm loading state above the upload area
+ * @param {Object} status - { state: 'loading' | 'ready' | 'error', loaded, total, error }
+ */
+function renderEncoderStatus(status) {
+  const container = document.getElementById('encoderStatus');
+  if (!container) return;
+
+  const text = document.getElementById('encoderStatusText');
+  const retryBtn = document.getElementById('encoderRetryBtn');
+
+  container.style.display = status.state === 'ready' ? 'none' : 'flex';
+  container.classList.toggle('error', status.state === 'error');
+  retryBtn.style.display = status.state === 'error' ? 'inline-block' : 'none';
+
+  if (status.state === 'error') {
+    text.textContent = `${status.error.message}. Images and other files can still be uploaded; videos and audio need the encoder.`;
+  } else if (status.state === 'loading' && status.total > 0) {
+    const loaded = (status.loaded / 1024 / 1024).toFixed(1);
+    const total = (status.total / 1024 / 1024).toFixed(1);
+    text.textContent = `Downloading video encoder... ${loaded} / ${total} MB`;
+  } else {
+    text.textContent = 'Loading video encoder...';
+  }
+}
+
+/**
+ * Fill the compression settings panel from the saved settings and keep it in sync
+ */
+function setupCompressionSettings() {
+  const presetSelect = document.getElementById('presetSelect');
+  if (!presetSelect) return;
+
+  appState.compressionSettings = appState.storage.getCompressionSettings();
+  const {
+    preset, format, targetSizeMB, hls, stripMetadata, editBeforeUpload, burnSubtitles, overlayProfile, custom, image, audio,
+  } = appState.compressionSettings;
+  const formatSelect = document.getElementById('formatSelect');
+  const audioFormatSelect = document.getElementById('audioFormatSelect');
+  const imageFormatSelect = document.getElementById('imageFormatSelect');
+
+  Object.entries(VideoCompressionEngine.PRESETS).forEach(([name, { label }]) => {
+    presetSelect.add(new Option(label, name));
+  });
+
+  // Formats the ffmpeg build can't encode fall back to MP4 at compression time
+  Object.entries(VideoCompressionEngine.FORMATS).forEach(([name, { label }]) => {
+    formatSelect.add(new Option(label, name));
+  });
+
+  // Audio formats the ffmpeg build can't encode fall back to AAC at compression time
+  Object.entries(VideoCompressionEngine.AUDIO_FORMATS).forEach(([name, { label }]) => {
+    audioFormatSelect.add(new Option(label, name));
+  });
+
+  // Formats the browser can't encode fall back to WebP / JPEG at compression time
+  Object.entries(ImageCompressionEngine.FORMATS).forEach(([name, { label }]) => {
+    imageFormatSelect.add(new Option(label, name));
+  });
+
+  presetSelect.value = VideoCompressionEngine.PRESETS[preset] ? preset : 'balanced';
+  formatSelect.value = VideoCompressionEngine.FORMATS[format] ? format : 'mp4';
+  document.getElementById('targetSizeInput').value = targetSizeMB || '';
+  document.getElementById('hlsInput').checked = hls;
+  document.getElementById('stripMetadataInput').checked = stripMetadata;
+  document.getElementById('editBeforeUploadInput').checked = editBeforeUpload;
+  document.getElementById('burnSubtitlesInput').value = burnSubtitles;
+  document.getElementById('customResolution').value = custom.resolution;
+  document.getElementById('customCrf').value = custom.crf;
+  document.getElementById('customVideoBitrate').value = custom.videoBitrate || '';
+  document.getElementById('customEncoderPreset').value = custom.encoderPreset;
+  document.getElementById('customAudioBitrate').value = custom.audioBitrate;
+  audioFormatSelect.value = VideoCompressionEngine.AUDIO_FORMATS[audio.format] ? audio.format : 'aac';
+  document.getElementById('audioOnlyBitrateSelect').value = audio.bitrate;
+  document.getElementById('normalizeLoudnessInput').checked = audio.normalize;
+  imageFormatSelect.value = ImageCompressionEngine.FORMATS[image.format] ? image.format : 'webp';
+  document.getElementById('imageQualityInput').value = image.quality;
+  document.getElementById('imageMaxSizeSelect').value = image.maxSize;
+  setupOverlayProfiles(overlayProfile);
+
+  const update = () => {
+    appState.compressionSettings = {
+      preset: presetSelect.value,
+      format: formatSelect.value,
+      targetSizeMB: parseFloat(document.getElementById('targetSizeInput').value) || null,
+      hls: document.getElementById('hlsInput').checked,
+      stripMetadata: document.getElementById('stripMetadataInput').checked,
+      editBeforeUpload: document.getElementById('editBeforeUploadInput').checked,
+      burnSubtitles: document.getElementById('burnSubtitlesInput').value.trim(),
+      overlayProfile: document.getElementById('overlayProfileSelect').value,
+      custom: {
+        resolution: document.getElementById('customResolution').value,
+        crf: parseInt(document.getElementById('customCrf').value, 10) || 23,
+        videoBitrate: parseInt(document.getElementById('customVideoBitrate').value, 10) || null,
+        encoderPreset: document.getElementById('customEncoderPreset').value,
+        audioBitrate: parseInt(document.getElementById('customAudioBitrate').value, 10) || 128,
+      },
+      audio: {
+        format: audioFormatSelect.value,
+        bitrate: parseInt(document.getElementById('audioOnlyBitrateSelect').value, 10) || 128,
+        normalize: document.getElementById('normalizeLoudnessInput').checked,
+      },
+      image: {
+        format: imageFormatSelect.value,
+        quality: parseInt(document.getElementById('imageQualityInput').value, 10) || 82,
+        maxSize: parseInt(document.getElementById('imageMaxSizeSelect').value, 10) || 2560,
+      },
+    };
+
+    document.getElementById('customSettings').style.display =
+      presetSelect.value === 'custom' ? 'block' : 'none';
+    appState.storage.saveCompressionSettings(appState.compressionSettings);
+  };
+
+  document.getElementById('compressionSettings').addEventListener('change', update);
+  update();
+}
+
+/**
+ * Fill the overlay profile picker and save field changes into the selected profile
+ * @param {string} selectedId - Saved profile id ('' for none)
+ */
+function setupOverlayProfiles(selectedId) {
+  const profileSelect = document.getElementById('overlayProfileSelect');
+
+  // Both position pickers offer the same choices ("bottom-right" -> "Bottom right")
+  document.querySelectorAll('[data-position-select]').forEach((select) => {
+    VideoCompressionEngine.OVERLAY.positions.forEach((position) => {
+      const label = position.charAt(0).toUpperCase() + position.slice(1).replace('-', ' ');
+      select.add(new Option(label, position));
+    });
+  });
+
+  renderOverlayProfiles(selectedId);
+
+  // Profiles saved by older versions kept their images in localStorage; also drop images no profile uses
+  appState.storage.migrateOverlayImages()
+    .then(() => appState.storage.pruneOverlayImages())
+    .catch((error) => console.warn('⚠️ Could not tidy up overlay images:', error.message))
+    .then(() => renderOverlayProfiles(profileSelect.value));
+
+  profileSelect.addEventListener('change', fillOverlayFields);
+
+  document.getElementById('overlayFields').addEventListener('change', (e) => {
+    const imageKey = { watermarkImageInput: 'watermark', introImageInput: 'intro', outroImageInput: 'outro' }[e.target.id];
+
+    if (imageKey) {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) setOverlayImage(imageKey, file);
+      return;
+    }
+
+    updateOverlayProfile((overlay) => readOverlayFields(overlay));
+  });
+
+  document.querySelectorAll('[data-clear-image]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      const key = btn.dataset.clearImage;
+      updateOverlayProfile((overlay) => ({ ...overlay, [key]: { ...overlay[key], image_id: null } }));
+    });
+  });
+
+  document.getElementById('newOverlayProfileBtn').addEventListener('click', () => {
+    const name = (prompt('Profile name') || '').trim();
+    if (!name) return;
+
+    const profile = appState.storage.saveOverlayProfile({ name: name, overlay: DEFAULT_OVERLAY });
+    if (!profile) {
+      alert('Could not save the profile. The browser storage may be full.');
+      return;
+    }
+
+    renderOverlayProfiles(profile.profile_id);
+    // Saves the selection with the other compression settings
+    profileSelect.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+
+  document.getElementById('deleteOverlayProfileBtn').addEventListener('click', () => {
+    const profile = appState.storage.getOverlayProfile(profileSelect.value);
+    if (!profile || !confirm(`Delete the profile "${profile.name}"?`)) return;
+
+    appState.storage.deleteOverlayProfile(profile.profile_id);
+    renderOverlayProfiles('');
+    profileSelect.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+/**
+ * Rebuild the profile picker
+ * @param {string} selectedId - Profile to select ('' for none)
+ */
+function renderOverlayProfiles(selectedId) {
+  const profileSelect = document.getElementById('overlayProfileSelect');
+
+  profileSelect.length = 1; // keep "None"
+  appState.storage.getOverlayProfiles().forEach((profile) => {
+    profileSelect.add(new Option(profile.name, profile.profile_id));
+  });
+
+  profileSelect.value = appState.storage.getOverlayProfile(selectedId) ? selectedId : '';
+  fillOverlayFields();
+}
+
+/**
+ * Show the selected profile's values in the overlay fields (hidden when no profile is selected)
+ */
+function fillOverlayFields() {
+  const profile = appState.storage.getOverlayProfile(document.getElementById('overlayProfileSelect').value);
+
+  document.getElementById('overlayFields').style.display = profile ? 'block' : 'none';
+  document.getElementById('deleteOverlayProfileBtn').disabled = !profile;
+  if (!profile) return;
+
+  const overlay = getProfileOverlay(profile);
+  document.getElementById('watermarkPositionSelect').value = overlay.watermark.position;
+  document.getElementById('watermarkOpacityInput').value = Math.round(overlay.watermark.opacity * 100);
+  document.getElementById('watermarkScaleInput').value = Math.round(overlay.watermark.scale * 100);
+  document.getElementById('overlayTextInput').value = overlay.text.text;
+  document.getElementById('overlayTextPositionSelect').value = overlay.text.position;
+  document.getElementById('introDurationInput').value = overlay.intro.duration;
+  document.getElementById('outroDurationInput').value = overlay.outro.duration;
+
+  ['watermark', 'intro', 'outro'].forEach((key) => {
+    document.getElementById(`${key}ImageStatus`).textContent = overlay[key].image_id ? 'Image set' : 'No image';
+  });
+}
+
+/**
+ * A profile's overlay with defaults for fields it doesn't have
+ * @param {Object} profile
+ * @returns {Object}
+ */
+function getProfileOverlay(profile) {
+  const overlay = profile.overlay || {};
+
+  return Object.fromEntries(
+    Object.entries(DEFAULT_OVERLAY).map(([key, defaults]) => [key, { ...defaults, ...(overlay[key] || {}) }])
+  );
+}
+
+/**
+ * Read the overlay fields into a profile's overlay (images are kept)
+ * @param {Object} overlay - Current overlay of the profile
+ * @returns {Object}
+ */
+function readOverlayFields(overlay) {
+  const number = (id, fallback) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return Number.isFinite(value) ? value : fallback;
+  };
+
+  return {
+    watermark: {
+      ...overlay.watermark,
+      position: document.getElementById('watermarkPositionSelect').value,
+      opacity: number('watermarkOpacityInput', 80) / 100,
+      scale: number('watermarkScaleInput', 15) / 100,
+    },
+    text: {
+      ...overlay.text,
+      text: document.getElementById('overlayTextInput').value,
+      position: document.getElementById('overlayTextPositionSelect').value,
+    },
+    intro: { ...overlay.intro, duration: number('introDurationInput', 3) },
+    outro: { ...overlay.outro, duration: number('outroDurationInput', 3) },
+  };
+}
+
+/**
+ * Change the selected profile's overlay and save it
+ * @param {Function} change - (overlay) => updated overlay
+ */
+function updateOverlayProfile(change) {
+  const profile = appState.storage.getOverlayProfile(document.getElementById('overlayProfileSelect').value);
+  if (!profile) return;
+
+  if (!appState.storage.saveOverlayProfile({ ...profile, overlay: change(getProfileOverlay(profile)) })) {
+    alert('Could not save the profile. The browser storage may be full.');
+  }
+  fillOverlayFields();
+}
+
+/**
+ * Store an image for the selected profile (the profile keeps its image_id)
+ * @param {string} key - 'watermark' | 'intro' | 'outro'
+ * @param {File} file
  */
-async function handleFileSelect(file) {
-  if (!file) return;
+async function setOverlayImage(key, file) {
+  if (!VideoCompressionEngine.OVERLAY.imageTypes[file.type]) {
+    alert('Please choose a PNG or JPEG image.');
+    return;
+  }
+
+  if (file.size > MAX_OVERLAY_IMAGE_SIZE) {
+    alert(`Images are stored in the browser and can be at most ${MAX_OVERLAY_IMAGE_SIZE / 1024} KB.`);
+    return;
+  }
 
-  // Quick validation
-  if (!file.type.startsWith('video/')) {
-    showError('Please select a video file (MP4, WebM, AVI, MOV, etc.)');
+  let imageId;
+  try {
+    imageId = await appState.storage.saveOverlayImage(file);
+  } catch (error) {
+    console.error('❌ Error saving overlay image:', error);
+    alert(`Could not store the image: ${error.message}`);
     return;
   }
 
-  const maxSize = 5 * 1024 * 1024 * 1024; // 5GB
+  updateOverlayProfile((overlay) => ({ ...overlay, [key]: { ...overlay[key], image_id: imageId } }));
+}
+
+/**
+ * Swap the overlay's image_ids for the data: URLs the engine composites
+ * @param {Object|null} overlay - Overlay of the profile chosen when the file was added
+ * @returns {Promise<Object|null>}
+ */
+async function loadOverlayImages(overlay) {
+  if (!overlay) return null;
+
+  const entries = await Promise.all(Object.entries(overlay).map(async ([key, value]) => {
+    if (!value || !value.image_id) return [key, value];
+
+    const { image_id: imageId, ...rest } = value;
+    const blob = await appState.storage.getOverlayImage(imageId);
+    if (!blob) throw new Error(`The ${key} image of the overlay profile is missing`);
+
+    const image = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+
+    return [key, { ...rest, image: image }];
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+/**
+ * Translate the saved settings into VideoCompressionEngine settings
+ * @returns {Object|null}
+ */
+function getEngineSettings() {
+  if (!appState.compressionSettings) return null;
+
+  const { preset, format, targetSizeMB, hls, stripMetadata, burnSubtitles, overlayProfile, custom, audio } = appState.compressionSettings;
+  const targetSize = targetSizeMB ? Math.floor(targetSizeMB * 1024 * 1024) : null;
+  // Every file added with a profile selected gets its watermark / text / intro / outro
+  const profile = appState.storage.getOverlayProfile(overlayProfile);
+  const overlay = profile ? profile.overlay : null;
+  // Used for the "Audio only" preset and for audio files
+  const audioOnly = {
+    audioFormat: audio.format,
+    audioOnlyBitrate: audio.bitrate,
+    normalizeLoudness: audio.normalize,
+  };
+
+  if (preset !== 'custom') return { preset, format, targetSize, hls, stripMetadata, burnSubtitles, overlay, ...audioOnly };
+
+  const [maxWidth, maxHeight] = CUSTOM_RESOLUTIONS[custom.resolution] || CUSTOM_RESOLUTIONS[720];
+
+  return {
+    preset: 'custom',
+    format: format,
+    targetSize: targetSize,
+    hls: hls,
+    stripMetadata: stripMetadata,
+    burnSubtitles: burnSubtitles,
+    overlay: overlay,
+    ...audioOnly,
+    maxWidth: maxWidth,
+    maxHeight: maxHeight,
+    rateControl: 'crf',
+    crf: custom.crf,
+    videoBitrate: custom.videoBitrate, // takes precedence over CRF when set
+    encoderPreset: custom.encoderPreset,
+    audioBitrate: custom.audioBitrate,
+  };
+}
+
+/**
+ * Translate the saved settings into ImageCompressionEngine settings
+ * @returns {Object|null}
+ */
+function getImageSettings() {
+  if (!appState.compressionSettings) return null;
+
+  const { stripMetadata, image } = appState.compressionSettings;
+
+  return {
+    format: image.format,
+    quality: image.quality,
+    maxWidth: image.maxSize,
+    maxHeight: image.maxSize,
+    stripMetadata: stripMetadata,
+  };
+}
+
+/**
+ * Validate a selected file
+ * @param {File} file
+ * @returns {string|null} Error message, or null when the file is acceptable
+ */
+function validateFile(file) {
+  if (file.size === 0) {
+    return 'The selected file is empty.';
+  }
+
+  // Chunked uploads are capped by the server's part limit (about 3.9GB with 4MB parts)
+  const maxSize = appState.github.getMaxFileSize();
   if (file.size > maxSize) {
-    showError('File is too large. Maximum size is 5GB.');
+    return `File is too large. Maximum size is ${(maxSize / 1024 ** 3).toFixed(1)}GB.`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a file goes through the video compression pipeline (everything else is uploaded as is)
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isVideoFile(file) {
+  return file.type.startsWith('video/');
+}
+
+/**
+ * Whether a file is re-encoded to the audio-only output
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isAudioFile(file) {
+  return file.type.startsWith('audio/');
+}
+
+/**
+ * Whether a file goes through the image compression pipeline
+ * @param {File} file
+ * @returns {boolean}
+ */
+function isImageFile(file) {
+  return ImageCompressionEngine.canCompress(file);
+}
+
+/**
+ * Subtitle files that belong to a video in the same selection
+ * (matched by name, or all of them when there is only one video)
+ * @param {File} file - Video file
+ * @param {File[]} files - Selected files without the subtitle files
+ * @param {File[]} subtitleFiles - Selected .srt / .vtt files
+ * @returns {File[]}
+ */
+function getSubtitleFiles(file, files, subtitleFiles) {
+  if (!isVideoFile(file)) return [];
+  if (files.filter(isVideoFile).length === 1) return subtitleFiles;
+
+  return subtitleFiles.filter((subtitle) => Subtitles.matches(subtitle.name, file.name));
+}
+
+/**
+ * Handle file selection - every file becomes a queue entry (subtitle files are attached to their video)
+ * @param {File[]} files
+ * @param {Object|null} session - Interrupted upload session to resume (single file only)
+ */
+function handleFileSelect(files, session = null) {
+  files = Array.from(files || []).filter(Boolean);
+  if (files.length === 0) return;
+
+  const subtitleFiles = files.filter((file) => Subtitles.isSubtitleFile(file));
+  files = files.filter((file) => !Subtitles.isSubtitleFile(file));
+
+  if (files.length === 0) {
+    showError('Subtitle files have to be selected together with their video.');
     return;
   }
 
-  appState.currentFile = file;
+  // A single invalid file keeps the old behaviour of showing the error screen
+  if (files.length === 1 && validateFile(files[0])) {
+    showError(validateFile(files[0]));
+    return;
+  }
+
+  const editBeforeUpload = Boolean(
+    appState.editor && appState.compressionSettings && appState.compressionSettings.editBeforeUpload
+  );
+
+  files.forEach((file) => {
+    const error = validateFile(file);
+    // Pick up an interrupted session for the same file automatically
+    const resumeSession = session || appState.storage.findUploadSession(file);
+    // A resumed upload has to reproduce the same output, so it reuses the recorded edits
+    const editing = !error && !resumeSession && editBeforeUpload && isVideoFile(file);
+
+    appState.uploadQueue.push({
+      id: appState.nextQueueId++,
+      file: file,
+      session: resumeSession,
+      status: error ? 'error' : editing ? 'editing' : 'queued',
+      progress: 0,
+      message: error || (editing ? 'Waiting for edits...' : 'Waiting...'),
+      error: error,
+      result: null,
+      cancelled: false,
+      controller: null,
+      // Settings are fixed when the file is added, later changes only affect new files
+      settings: isImageFile(file) ? getImageSettings() : getEngineSettings(),
+      edits: resumeSession ? resumeSession.metadata.edits || null : null,
+      subtitleFiles: getSubtitleFiles(file, files, subtitleFiles),
+    });
+  });
+
   showProcessing();
+  renderQueue();
+  openNextEditor();
+  processQueue();
+}
 
-  try {
-    // 1. COMPRESS (on client)
-    console.log('📥 Starting compression...');
-    updateProgress(5, 'Compressing video...');
+/**
+ * Show the editor for the next entry waiting for edits (one file at a time)
+ */
+async function openNextEditor() {
+  if (!appState.editor || appState.editingEntry) return;
 
-    const compressedBlob = await appState.compression.compress(
-      file,
-      (percent, message) => {
-        updateProgress(percent * 0.4, message); // 40% of total
+  const entry = appState.uploadQueue.find((item) => item.status === 'editing');
+  if (!entry) return;
+
+  appState.editingEntry = entry;
+  entry.message = 'Editing...';
+  renderQueueItem(entry);
+
+  const edits = await appState.editor.edit(entry.file);
+  appState.editingEntry = null;
+
+  // The entry may have been cancelled while the editor was open
+  if (entry.status === 'editing') {
+    Object.assign(entry, { status: 'queued', message: 'Waiting...', edits: edits });
+  }
+
+  openNextEditor();
+  processQueue();
+
+  // Cancelling the last pending entry in the editor leaves no job that would report back
+  if (appState.isProcessing && appState.activeUploads === 0 && !hasPendingQueueItems()) {
+    onQueueFinished();
+  }
+}
+
+/**
+ * Whether any entry is still waiting to be edited or started
+ * @returns {boolean}
+ */
+function hasPendingQueueItems() {
+  return appState.uploadQueue.some((item) => item.status === 'queued' || item.status === 'editing');
+}
+
+/**
+ * Start queued entries until the concurrency limit is reached
+ */
+function processQueue() {
+  while (appState.activeUploads < appState.maxConcurrentUploads) {
+    const entry = appState.uploadQueue.find((item) => item.status === 'queued');
+    if (!entry) break;
+
+    appState.activeUploads++;
+    entry.status = 'compressing';
+    entry.running = true;
+    entry.controller = new AbortController();
+
+    processFile(entry).finally(() => {
+      entry.running = false;
+      appState.activeUploads--;
+      renderQueue();
+
+      if (appState.activeUploads === 0 && !hasPendingQueueItems()) {
+        onQueueFinished();
+      } else {
+        processQueue();
       }
-    );
+    });
+  }
 
-    console.log('✅ Compression complete');
-    updateProgress(40, 'Uploading to cloud...');
+  renderQueue();
+}
+
+/**
+ * Compress and upload a single queue entry
+ * @param {Object} entry
+ */
+async function processFile(entry) {
+  const { file } = entry;
+  const { signal } = entry.controller;
+  let session = entry.session;
+  let sessionId = null;
+
+  const setProgress = (percent, message) => {
+    entry.progress = Math.min(percent, 100);
+    entry.message = message;
+    renderQueueItem(entry);
+    updateAggregateProgress();
+  };
+
+  try {
+    const isMedia = isVideoFile(file) || isAudioFile(file);
+    const isImage = isImageFile(file);
+    let compressedBlob = file;
+    let compressionInfo = null;
+
+    // 1. COMPRESS (on client) - the engine runs one job at a time; other files skip ffmpeg
+    if (isImage) {
+      console.log(`📥 Starting image compression: ${file.name}`);
+
+      compressedBlob = await appState.imageCompression.compress(
+        file,
+        (percent, message) => {
+          setProgress(percent * 0.4, message); // 40% of total
+        },
+        { signal: signal, settings: entry.settings }
+      );
+
+      if (entry.cancelled) return;
+      compressionInfo = appState.imageCompression.getCompressionInfo(compressedBlob);
+    } else if (isMedia) {
+      console.log(`📥 Starting compression: ${file.name}`);
+      setProgress(0, 'Waiting for encoder...');
+
+      const subtitles = await Promise.all(entry.subtitleFiles.map((subtitle) => Subtitles.read(subtitle)));
+      const settings = entry.settings && { ...entry.settings, overlay: await loadOverlayImages(entry.settings.overlay) };
+
+      compressedBlob = await appState.compression.compress(
+        file,
+        (percent, message) => {
+          setProgress(percent * 0.4, message); // 40% of total
+        },
+        { signal: signal, settings: settings, edits: entry.edits, subtitles: subtitles }
+      );
+
+      if (entry.cancelled) return;
+      console.log(`✅ Compression complete: ${file.name}`);
+      compressionInfo = appState.compression.getCompressionInfo(compressedBlob);
+    }
+
+    // Parts already on GitHub are only reusable if the output is identical (size and per-part hashes)
+    if (session && !(await appState.github.matchesSession(compressedBlob, session))) {
+      console.warn('⚠️ Compressed output changed, discarding interrupted session');
+      await discardUploadSession(session);
+      session = null;
+    }
+
+    entry.status = 'uploading';
+    setProgress(40, session ? 'Resuming upload...' : 'Uploading to cloud...');
 
     // 2. UPLOAD to GitHub via Netlify
-    const fileId = generateUUID();
-    const metadata = {
+    const fileId = session ? session.metadata.file_id : generateUUID();
+    const metadata = session ? session.metadata : {
       file_id: fileId,
       original_filename: file.name,
       original_size: file.size,
       compressed_size: compressedBlob.size,
       compression_ratio: (compressedBlob.size / file.size).toFixed(4),
-      resolution: '720p',
-      fps: 30,
+      ...(isImage
+        ? UploadMetadata.describeImage(compressionInfo)
+        : isMedia ? UploadMetadata.describeVideo(compressionInfo) : UploadMetadata.describeFile(file)),
       upload_time: new Date().toISOString(),
       uploader_id: appState.storage.getUserId(),
       title: file.name.replace(/\.[^/.]+$/, ''),
     };
 
+    sessionId = session ? session.session_id : fileId;
+
     const uploadResult = await appState.github.uploadWithMetadata(
       compressedBlob,
       metadata,
       (percent, message) => {
-        updateProgress(40 + percent * 0.6, message); // 60% of total
+        setProgress(40 + percent * 0.6, message); // 60% of total
+      },
+      {
+        session: session,
+        onSessionUpdate: (update) => {
+          appState.storage.saveUploadSession({
+            session_id: sessionId,
+            fingerprint: appState.storage.getFileFingerprint(file),
+            file_name: file.name,
+            file_size: file.size,
+            metadata: metadata,
+            ...update,
+          });
+        },
+        signal: signal,
+        artifacts: compressionInfo ? compressionInfo.artifacts : [],
       }
     );
 
-    console.log('✅ Upload complete');
+    appState.storage.removeUploadSession(sessionId);
+
+    // Cancelled while the last request was in flight: don't leave the release behind
+    if (entry.cancelled) {
+      await discardUploadSession({ session_id: sessionId, release_id: uploadResult.release_id });
+      return;
+    }
+
+    console.log(`✅ Upload complete: ${file.name}`);
 
     // 3. SAVE to localStorage
     appState.storage.addUpload({
@@ -151,18 +857,294 @@ async function handleFileSelect(file) {
       original_filename: file.name,
       original_size: file.size,
       compressed_size: compressedBlob.size,
+      compression_ratio: Number(metadata.compression_ratio),
       asset_url: uploadResult.asset_url,
       download_url: uploadResult.asset_url,
+      ...getArtifactUrls(uploadResult.artifacts),
     });
 
-    // 4. SHOW SUCCESS
-    updateProgress(100, 'Complete!');
-    showSuccess(uploadResult);
-
+    entry.status = 'done';
+    entry.result = uploadResult;
+    entry.removedMetadata = compressionInfo && compressionInfo.privacy ? compressionInfo.privacy.removedFields : [];
+    setProgress(100, entry.removedMetadata.length > 0
+      ? `Complete! Removed metadata: ${entry.removedMetadata.join(', ')}`
+      : 'Complete!');
   } catch (error) {
-    console.error('❌ Error:', error);
-    const userMessage = GitHubUploadManagerNetlify.getErrorMessage(error);
-    showError(userMessage);
+    if (entry.cancelled) {
+      // uploadWithMetadata has already deleted the release
+      if (sessionId) appState.storage.removeUploadSession(sessionId);
+      return;
+    }
+
+    console.error(`❌ Error (${file.name}):`, error);
+    entry.status = 'error';
+    entry.error = GitHubUploadManagerNetlify.getErrorMessage(error);
+    setProgress(entry.progress, entry.error);
+  }
+}
+
+/**
+ * Pick the preview image/clip URLs that the file list shows
+ * @param {Object|undefined} artifacts - uploadWithMetadata() result.artifacts
+ * @returns {Object} - { poster_url, thumbnail_url, preview_url }
+ */
+function getArtifactUrls(artifacts = {}) {
+  return {
+    poster_url: artifacts.poster ? artifacts.poster.url : null,
+    thumbnail_url: artifacts.thumbnail ? artifacts.thumbnail.url : null,
+    preview_url: artifacts.preview ? artifacts.preview.url : null,
+  };
+}
+
+/**
+ * Cancel a queue entry
+ * @param {Object} entry
+ */
+function cancelQueueItem(entry) {
+  if (entry.status === 'queued') {
+    entry.status = 'cancelled';
+  } else if (entry.status === 'editing') {
+    entry.status = 'cancelled';
+    if (appState.editingEntry === entry) appState.editor.close();
+  } else if (entry.status === 'compressing' || entry.status === 'uploading') {
+    // Stops ffmpeg / in-flight requests; the job cleans up its release before it settles
+    entry.cancelled = true;
+    entry.status = 'cancelled';
+    entry.controller.abort();
+  }
+
+  entry.message = 'Cancelled';
+  renderQueue();
+  updateAggregateProgress();
+}
+
+/**
+ * Cancel every queued or running entry
+ */
+function cancelAllQueueItems() {
+  appState.uploadQueue
+    .filter((entry) => ['queued', 'editing', 'compressing', 'uploading'].includes(entry.status))
+    .forEach((entry) => cancelQueueItem(entry));
+}
+
+/**
+ * Put a failed or cancelled entry back into the queue
+ * @param {Object} entry
+ */
+function retryQueueItem(entry) {
+  // A cancelled job may still be finishing in the background
+  if (entry.running || validateFile(entry.file)) return;
+
+  Object.assign(entry, {
+    status: 'queued',
+    progress: 0,
+    message: 'Waiting...',
+    error: null,
+    cancelled: false,
+    session: appState.storage.findUploadSession(entry.file),
+  });
+
+  showProcessing();
+  processQueue();
+}
+
+/**
+ * Drop finished entries from the queue list
+ */
+function clearFinishedQueueItems() {
+  appState.uploadQueue = appState.uploadQueue.filter(
+    (entry) => ['queued', 'editing', 'compressing', 'uploading'].includes(entry.status)
+  );
+  renderQueue();
+}
+
+/**
+ * Called when nothing is queued or running anymore
+ */
+function onQueueFinished() {
+  appState.isProcessing = false;
+
+  const entries = appState.uploadQueue;
+  const succeeded = entries.filter((entry) => entry.status === 'done');
+  const failed = entries.filter((entry) => entry.status === 'error');
+
+  if (succeeded.length > 0) {
+    const last = succeeded[succeeded.length - 1];
+    showSuccess(last.result, last.removedMetadata);
+  } else if (failed.length > 0) {
+    showError(failed[0].error);
+  } else {
+    resetForm();
+  }
+}
+
+/**
+ * Render the whole queue list
+ */
+function renderQueue() {
+  const queueArea = document.getElementById('queueArea');
+  const queueList = document.getElementById('queueList');
+  if (!queueArea || !queueList) return;
+
+  queueArea.style.display = appState.uploadQueue.length > 1 ? 'block' : 'none';
+
+  // Keep existing rows so progress bars don't flicker
+  const ids = new Set(appState.uploadQueue.map((entry) => String(entry.id)));
+  Array.from(queueList.children).forEach((row) => {
+    if (!ids.has(row.dataset.queueId)) row.remove();
+  });
+
+  appState.uploadQueue.forEach((entry) => renderQueueItem(entry));
+}
+
+/**
+ * Render (or update) a single queue row
+ * @param {Object} entry
+ */
+function renderQueueItem(entry) {
+  const queueList = document.getElementById('queueList');
+  if (!queueList) return;
+
+  let row = queueList.querySelector(`[data-queue-id="${entry.id}"]`);
+
+  if (!row) {
+    row = document.createElement('li');
+    row.className = 'queue-item';
+    row.dataset.queueId = entry.id;
+    row.innerHTML = `
+      <div class="queue-item-header">
+        <span class="queue-item-name"></span>
+        <span class="queue-item-status"></span>
+        <button class="btn btn-secondary btn-small queue-item-action"></button>
+      </div>
+      <div class="progress-bar"><div class="progress-fill"></div></div>
+      <p class="queue-item-message"></p>
+    `;
+    row.querySelector('.queue-item-name').textContent = entry.subtitleFiles.length > 0
+      ? `${entry.file.name} (+${entry.subtitleFiles.length} subtitles)`
+      : entry.file.name;
+    row.querySelector('.queue-item-action').addEventListener('click', () => {
+      if (entry.status === 'error' || entry.status === 'cancelled') {
+        retryQueueItem(entry);
+      } else if (entry.status === 'done') {
+        navigator.clipboard.writeText(getShareUrl(entry.result));
+      } else {
+        cancelQueueItem(entry);
+      }
+    });
+    queueList.appendChild(row);
+  }
+
+  const actionLabels = {
+    queued: 'Cancel',
+    editing: 'Cancel',
+    compressing: 'Cancel',
+    uploading: 'Cancel',
+    done: 'Copy Link',
+    error: 'Retry',
+    cancelled: 'Retry',
+  };
+
+  row.className = `queue-item queue-item-${entry.status}`;
+  row.querySelector('.queue-item-status').textContent = `${Math.round(entry.progress)}%`;
+  row.querySelector('.queue-item-message').textContent = entry.message;
+  row.querySelector('.progress-fill').style.width = entry.progress + '%';
+  row.querySelector('.queue-item-action').textContent = actionLabels[entry.status];
+}
+
+/**
+ * Update the aggregate progress bar from all queue entries
+ */
+function updateAggregateProgress() {
+  const entries = appState.uploadQueue.filter((entry) => entry.status !== 'cancelled');
+  if (entries.length === 0) return;
+
+  if (entries.length === 1) {
+    updateProgress(entries[0].progress, entries[0].message);
+    return;
+  }
+
+  const total = entries.reduce((sum, entry) => sum + entry.progress, 0) / entries.length;
+  const finished = entries.filter((entry) => entry.status === 'done' || entry.status === 'error').length;
+
+  updateProgress(total, `Uploading ${entries.length} files (${finished} finished)...`);
+}
+
+/**
+ * Build the share URL for an upload result
+ * @param {Object} uploadResult
+ * @returns {string}
+ */
+function getShareUrl(uploadResult) {
+  return `${window.location.origin}/v/${uploadResult.release_id}`;
+}
+
+/**
+ * Render interrupted upload sessions with Resume / Discard buttons
+ */
+function renderResumeSessions() {
+  const resumeArea = document.getElementById('resumeArea');
+  const resumeList = document.getElementById('resumeList');
+  if (!resumeArea || !resumeList) return;
+
+  const sessions = appState.storage.getUploadSessions();
+  resumeList.innerHTML = '';
+
+  if (sessions.length === 0 || appState.isProcessing) {
+    resumeArea.style.display = 'none';
+    return;
+  }
+
+  sessions.forEach((session) => {
+    const item = document.createElement('li');
+    item.className = 'resume-item';
+
+    const progress = session.part_count
+      ? `${session.uploaded_parts || 0}/${session.part_count} parts`
+      : 'Not started';
+    const sizeStr = (session.file_size / 1024 / 1024).toFixed(1);
+
+    const info = document.createElement('span');
+    info.className = 'resume-info';
+    info.textContent = `${session.file_name} (${sizeStr} MB) - ${progress}`;
+
+    const resumeBtn = document.createElement('button');
+    resumeBtn.className = 'btn btn-primary btn-small';
+    resumeBtn.textContent = 'Resume';
+    resumeBtn.addEventListener('click', () => {
+      const input = document.getElementById('resumeFileInput');
+      input.dataset.sessionId = session.session_id;
+      input.click();
+    });
+
+    const discardBtn = document.createElement('button');
+    discardBtn.className = 'btn btn-secondary btn-small';
+    discardBtn.textContent = 'Discard';
+    discardBtn.addEventListener('click', async () => {
+      await discardUploadSession(session);
+      renderResumeSessions();
+    });
+
+    item.append(info, resumeBtn, discardBtn);
+    resumeList.appendChild(item);
+  });
+
+  resumeArea.style.display = 'block';
+}
+
+/**
+ * Forget an interrupted session and remove its orphaned release
+ * @param {Object} session
+ */
+async function discardUploadSession(session) {
+  appState.storage.removeUploadSession(session.session_id);
+
+  if (session.release_id) {
+    try {
+      await appState.github.deleteRelease(session.release_id);
+    } catch (error) {
+      console.warn('⚠️ Could not delete orphaned release:', error.message);
+    }
   }
 }
 
@@ -175,6 +1157,7 @@ function showProcessing() {
   document.getElementById('successArea').style.display = 'none';
   document.getElementById('errorArea').style.display = 'none';
   appState.isProcessing = true;
+  renderResumeSessions();
 }
 
 /**
@@ -196,15 +1179,21 @@ function updateProgress(percent, message) {
 /**
  * Show success
  */
-function showSuccess(uploadResult) {
+function showSuccess(uploadResult, removedMetadata = []) {
   document.getElementById('uploadArea').style.display = 'none';
   document.getElementById('processingArea').style.display = 'none';
   document.getElementById('successArea').style.display = 'block';
   document.getElementById('errorArea').style.display = 'none';
 
   // Generate share URL
-  const shareUrl = `${window.location.origin}/v/${uploadResult.release_id}`;
-  document.getElementById('shareUrl').value = shareUrl;
+  document.getElementById('shareUrl').value = getShareUrl(uploadResult);
+
+  // Tell the uploader what was scrubbed before the file went public
+  const privacySummary = document.getElementById('privacySummary');
+  if (privacySummary) {
+    privacySummary.textContent = `🔒 Removed metadata: ${removedMetadata.join(', ')}`;
+    privacySummary.style.display = removedMetadata.length > 0 ? 'block' : 'none';
+  }
 
   // Update stats
   const stats = appState.storage.getStatistics();
@@ -224,12 +1213,16 @@ function showError(message) {
 
   document.getElementById('errorMessage').textContent = message;
   appState.isProcessing = false;
+  renderResumeSessions();
 }
 
 /**
  * Reset form
  */
 function resetForm() {
+  // Don't let hidden jobs keep running in the background
+  cancelAllQueueItems();
+
   document.getElementById('uploadArea').style.display = 'block';
   document.getElementById('processingArea').style.display = 'none';
   document.getElementById('successArea').style.display = 'none';
@@ -240,6 +1233,8 @@ function resetForm() {
 
   appState.currentFile = null;
   appState.isProcessing = false;
+  clearFinishedQueueItems();
+  renderResumeSessions();
 }
 
 /**
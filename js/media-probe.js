@@ -0,0 +1,544 @@
+/**
+ * js/media-probe.js
+ *
+ * 動画ファイルのプロパティ（解像度・回転・フレームレート・長さ・コーデック・音声有無）を取得
+ * 位置情報・端末名・撮影日時などのメタデータのフィールド名（metadataFields）も収集する
+ * - MP4 / MOV（ISO BMFF）はコンテナを直接解析（moov ボックスのみ読み込むため高速）
+ * - それ以外は FFmpeg の `-i` ログ出力を解析
+ *
+ * 使用方法:
+ * const info = await MediaProbe.probe(file);          // MP4 以外は null
+ * const info = MediaProbe.parseFFmpegLog(logLines);   // FFmpeg ログから解析
+ */
+
+class MediaProbe {
+  /**
+   * ファイルを解析（コンテナ解析に対応していない形式は null）
+   * @param {File|Blob} file
+   * @returns {Promise<Object|null>}
+   */
+  static async probe(file) {
+    try {
+      const head = new Uint8Array(await file.slice(0, 12).arrayBuffer());
+      const type = MediaProbe.readType(head, 4);
+
+      if (MediaProbe.MP4_LEADING_BOXES.includes(type)) {
+        return await MediaProbe.probeMP4(file);
+      }
+    } catch (error) {
+      console.warn('⚠️ Container probe failed:', error.message);
+    }
+
+    return null;
+  }
+
+  /**
+   * MP4 / MOV のトップレベルボックスを走査して moov を解析
+   * @param {File|Blob} file
+   * @returns {Promise<Object|null>}
+   */
+  static async probeMP4(file) {
+    let offset = 0;
+    let moov = null;
+    let moovBeforeMdat = false;
+    let sawMdat = false;
+
+    while (offset + 8 <= file.size) {
+      const header = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+      let size = header.getUint32(0);
+      const type = MediaProbe.readType(new Uint8Array(header.buffer), 4);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = header.getUint32(8) * 2 ** 32 + header.getUint32(12);
+        headerSize = 16;
+      } else if (size === 0) {
+        size = file.size - offset;
+      }
+
+      if (size < headerSize) {
+        break;
+      }
+
+      if (type === 'mdat') {
+        sawMdat = true;
+      } else if (type === 'moov') {
+        moovBeforeMdat = !sawMdat;
+        const buffer = await file.slice(offset + headerSize, offset + size).arrayBuffer();
+        moov = new DataView(buffer);
+        break;
+      }
+
+      offset += size;
+    }
+
+    if (!moov) {
+      return null;
+    }
+
+    const info = MediaProbe.parseMoov(moov);
+    info.container = 'mp4';
+    info.faststart = moovBeforeMdat;
+
+    if (info.duration > 0) {
+      info.bitrate = Math.round((file.size * 8) / info.duration / 1000); // kb/s
+    }
+
+    return MediaProbe.finalize(info);
+  }
+
+  /**
+   * moov ボックスの中身を解析
+   * @param {DataView} view
+   * @returns {Object}
+   */
+  static parseMoov(view) {
+    const info = {
+      width: 0,
+      height: 0,
+      rotation: 0,
+      fps: 0,
+      duration: 0,
+      videoCodec: null,
+      audioCodec: null,
+      hasAudio: false,
+      metadataFields: [],
+    };
+    const fields = new Set();
+
+    MediaProbe.walkBoxes(view, 0, view.byteLength, (type, start, end) => {
+      if (type === 'mvhd') {
+        const version = view.getUint8(start);
+        const creationTime = version === 1 ? MediaProbe.readUint64(view, start + 4) : view.getUint32(start + 4);
+        if (creationTime > 0) {
+          fields.add('creation_time');
+        }
+
+        const timescale = view.getUint32(start + (version === 1 ? 20 : 12));
+        const duration = version === 1
+          ? MediaProbe.readUint64(view, start + 24)
+          : view.getUint32(start + 16);
+        if (timescale > 0) {
+          info.duration = duration / timescale;
+        }
+      } else if (type === 'trak') {
+        const track = MediaProbe.parseTrak(view, start, end);
+
+        if (track.handler === 'vide' && !info.videoCodec) {
+          info.width = track.width;
+          info.height = track.height;
+          info.rotation = track.rotation;
+          info.fps = track.fps;
+          info.videoCodec = track.codec;
+        } else if (track.handler === 'soun' && !info.audioCodec) {
+          info.hasAudio = true;
+          info.audioCodec = track.codec;
+        }
+      } else if (type === 'udta') {
+        MediaProbe.parseUserData(view, start, end, fields);
+      } else if (type === 'meta') {
+        MediaProbe.parseMetaBox(view, start, end, fields);
+      }
+    });
+
+    info.metadataFields = MediaProbe.filterMetadataFields(fields);
+    return info;
+  }
+
+  /**
+   * udta ボックス（QuickTime / Android のユーザーデータ）のフィールド名を収集
+   * @param {DataView} view
+   * @param {number} start
+   * @param {number} end
+   * @param {Set<string>} fields
+   */
+  static parseUserData(view, start, end, fields) {
+    MediaProbe.walkBoxes(view, start, end, (type, boxStart, boxEnd) => {
+      if (type === 'meta') {
+        MediaProbe.parseMetaBox(view, boxStart, boxEnd, fields);
+      } else {
+        fields.add(MediaProbe.METADATA_TAGS[type] || type.trim());
+      }
+    });
+  }
+
+  /**
+   * meta ボックスのフィールド名を収集
+   * - keys: iPhone の com.apple.quicktime.location.ISO6709 など
+   * - ilst: iTunes 形式の ©nam など（keys がある場合は 1 から始まる番号）
+   * @param {DataView} view
+   * @param {number} start
+   * @param {number} end
+   * @param {Set<string>} fields
+   */
+  static parseMetaBox(view, start, end, fields) {
+    const bytes = new Uint8Array(view.buffer);
+    // ISO BMFF の meta はフルボックス（version / flags の 4 バイト）、QuickTime は通常のボックス
+    const offset = view.getUint32(start) === 0 ? start + 4 : start;
+    let hasKeys = false;
+
+    MediaProbe.walkBoxes(view, offset, end, (type, boxStart, boxEnd) => {
+      if (type === 'keys') {
+        hasKeys = true;
+        let entry = boxStart + 8;
+        const count = view.getUint32(boxStart + 4);
+
+        for (let i = 0; i < count && entry + 8 <= boxEnd; i++) {
+          const size = view.getUint32(entry);
+          if (size < 8) {
+            break;
+          }
+          fields.add(new TextDecoder().decode(bytes.subarray(entry + 8, Math.min(entry + size, boxEnd))));
+          entry += size;
+        }
+      } else if (type === 'ilst' && !hasKeys) {
+        MediaProbe.walkBoxes(view, boxStart, boxEnd, (item) => {
+          fields.add(MediaProbe.METADATA_TAGS[item] || item.trim());
+        });
+      }
+    });
+  }
+
+  /**
+   * trak ボックスを解析
+   * @param {DataView} view
+   * @param {number} start
+   * @param {number} end
+   * @returns {Object}
+   */
+  static parseTrak(view, start, end) {
+    const track = {
+      handler: null,
+      codec: null,
+      width: 0,
+      height: 0,
+      rotation: 0,
+      fps: 0,
+    };
+    let timescale = 0;
+    let mediaDuration = 0;
+    let sampleCount = 0;
+
+    MediaProbe.walkBoxes(view, start, end, (type, boxStart) => {
+      const version = view.getUint8(boxStart);
+
+      switch (type) {
+        case 'tkhd': {
+          const matrix = boxStart + (version === 1 ? 52 : 40);
+          const a = view.getInt32(matrix) / 65536;
+          const b = view.getInt32(matrix + 4) / 65536;
+          track.rotation = (Math.round(Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
+          track.width = view.getUint32(matrix + 36) / 65536;
+          track.height = view.getUint32(matrix + 40) / 65536;
+          break;
+        }
+
+        case 'mdhd':
+          timescale = view.getUint32(boxStart + (version === 1 ? 20 : 12));
+          mediaDuration = version === 1
+            ? MediaProbe.readUint64(view, boxStart + 24)
+            : view.getUint32(boxStart + 16);
+          break;
+
+        case 'hdlr':
+          track.handler = MediaProbe.readType(new Uint8Array(view.buffer), boxStart + 8);
+          break;
+
+        case 'stsd':
+          if (view.getUint32(boxStart + 4) > 0) {
+            const fourcc = MediaProbe.readType(new Uint8Array(view.buffer), boxStart + 12);
+            track.codec = MediaProbe.CODECS[fourcc] || fourcc.trim();
+          }
+          break;
+
+        case 'stts': {
+          const entries = view.getUint32(boxStart + 4);
+          for (let i = 0; i < entries; i++) {
+            sampleCount += view.getUint32(boxStart + 8 + i * 8);
+          }
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+
+    if (timescale > 0 && mediaDuration > 0 && sampleCount > 0) {
+      track.fps = Math.round((sampleCount / (mediaDuration / timescale)) * 100) / 100;
+    }
+
+    return track;
+  }
+
+  /**
+   * ボックスを再帰的に走査（コンテナボックスの中も辿る）
+   * @param {DataView} view
+   * @param {number} start
+   * @param {number} end
+   * @param {Function} visit - (type, contentStart, contentEnd) => void
+   */
+  static walkBoxes(view, start, end, visit) {
+    const bytes = new Uint8Array(view.buffer);
+    let offset = start;
+
+    while (offset + 8 <= end) {
+      let size = view.getUint32(offset);
+      const type = MediaProbe.readType(bytes, offset + 4);
+      let headerSize = 8;
+
+      if (size === 1) {
+        size = MediaProbe.readUint64(view, offset + 8);
+        headerSize = 16;
+      } else if (size === 0) {
+        size = end - offset;
+      }
+
+      if (size < headerSize || offset + size > end) {
+        break;
+      }
+
+      const contentStart = offset + headerSize;
+      const contentEnd = offset + size;
+
+      if (MediaProbe.CONTAINER_BOXES.includes(type)) {
+        // trak は呼び出し側でまとめて解析する
+        if (type === 'trak') {
+          visit(type, contentStart, contentEnd);
+        } else {
+          MediaProbe.walkBoxes(view, contentStart, contentEnd, visit);
+        }
+      } else {
+        visit(type, contentStart, contentEnd);
+      }
+
+      offset += size;
+    }
+  }
+
+  /**
+   * FFmpeg の `-i` ログを解析
+   * @param {string[]} lines - ログ行
+   * @returns {Object}
+   */
+  static parseFFmpegLog(lines) {
+    const text = lines.join('\n');
+    const info = {
+      width: 0,
+      height: 0,
+      rotation: 0,
+      fps: 0,
+      duration: 0,
+      videoCodec: null,
+      audioCodec: null,
+      hasAudio: false,
+      container: null,
+      bitrate: 0,
+      metadataFields: MediaProbe.parseLogMetadata(text.split('\n')),
+    };
+
+    const input = text.match(/Input #0, ([^\s,]+)/);
+    if (input) {
+      info.container = input[1];
+    }
+
+    const duration = text.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (duration) {
+      info.duration = Number(duration[1]) * 3600 + Number(duration[2]) * 60 + Number(duration[3]);
+    }
+
+    const bitrate = text.match(/Duration:.*bitrate: (\d+) kb\/s/);
+    if (bitrate) {
+      info.bitrate = Number(bitrate[1]);
+    }
+
+    // 音声ファイルのジャケット画像（attached pic）は映像として扱わない
+    const video = text.split('\n')
+      .map((line) => line.match(/Stream #\d+:\d+.*?: Video: (\w+)(.*)/))
+      .find((match) => match && !/attached pic/.test(match[2]));
+    if (video) {
+      info.videoCodec = video[1];
+
+      const size = video[2].match(/, (\d{2,5})x(\d{2,5})/);
+      if (size) {
+        info.width = Number(size[1]);
+        info.height = Number(size[2]);
+      }
+
+      const fps = video[2].match(/([\d.]+) fps/) || video[2].match(/([\d.]+) tbr/);
+      if (fps) {
+        info.fps = Number(fps[1]);
+      }
+    }
+
+    const audio = text.match(/Stream #\d+:\d+.*?: Audio: (\w+)/);
+    if (audio) {
+      info.hasAudio = true;
+      info.audioCodec = audio[1];
+    }
+
+    // displaymatrix は表示時の回転と逆向きで出力される
+    const displayMatrix = text.match(/rotation of (-?[\d.]+) degrees/);
+    const rotateTag = text.match(/^\s*rotate\s*:\s*(-?\d+)/m);
+    if (displayMatrix) {
+      info.rotation = (Math.round(-Number(displayMatrix[1])) + 360) % 360;
+    } else if (rotateTag) {
+      info.rotation = (Number(rotateTag[1]) + 360) % 360;
+    }
+
+    return MediaProbe.finalize(info);
+  }
+
+  /**
+   * FFmpeg の `-i` ログの Metadata: ブロック（ファイル全体・ストリームごと）からフィールド名を収集
+   * @param {string[]} lines
+   * @returns {string[]}
+   */
+  static parseLogMetadata(lines) {
+    const fields = new Set();
+    let blockIndent = -1;
+
+    lines.forEach((line) => {
+      const indent = line.search(/\S/);
+
+      if (/^\s*Metadata:\s*$/.test(line)) {
+        blockIndent = indent;
+        return;
+      }
+
+      if (blockIndent >= 0 && indent > blockIndent) {
+        // 複数行の値の続きは "      : ..." の形式
+        const field = /^\s*([^:\s][^:]*?)\s*:/.exec(line);
+        if (field) {
+          fields.add(field[1]);
+        }
+      } else {
+        blockIndent = -1;
+      }
+    });
+
+    return MediaProbe.filterMetadataFields(fields);
+  }
+
+  /**
+   * コーデック・ハンドラー名などの技術的なフィールドを除外
+   * @param {Iterable<string>} fields
+   * @returns {string[]}
+   */
+  static filterMetadataFields(fields) {
+    return Array.from(fields).filter((field) => field && !MediaProbe.TECHNICAL_TAGS.includes(field));
+  }
+
+  /**
+   * 2 つの解析結果をマージ（primary の値を優先、欠けている値のみ補完）
+   * @param {Object|null} primary
+   * @param {Object|null} fallback
+   * @returns {Object}
+   */
+  static merge(primary, fallback) {
+    const merged = { ...(fallback || {}) };
+
+    Object.entries(primary || {}).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== 0 && value !== false) {
+        merged[key] = value;
+      }
+    });
+
+    // メタデータのフィールド名は両方の結果を合わせる
+    merged.metadataFields = Array.from(new Set([
+      ...((fallback && fallback.metadataFields) || []),
+      ...((primary && primary.metadataFields) || []),
+    ]));
+
+    return MediaProbe.finalize(merged);
+  }
+
+  /**
+   * 回転を考慮した表示サイズを付与
+   * @param {Object} info
+   * @returns {Object}
+   */
+  static finalize(info) {
+    const rotated = info.rotation === 90 || info.rotation === 270;
+    info.displayWidth = rotated ? info.height : info.width;
+    info.displayHeight = rotated ? info.width : info.height;
+    return info;
+  }
+
+  /**
+   * 4 文字のボックスタイプを読み込み
+   * @param {Uint8Array} bytes
+   * @param {number} offset
+   * @returns {string}
+   */
+  static readType(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+  }
+
+  /**
+   * 64bit 符号なし整数を読み込み（Number の範囲内）
+   * @param {DataView} view
+   * @param {number} offset
+   * @returns {number}
+   */
+  static readUint64(view, offset) {
+    return view.getUint32(offset) * 2 ** 32 + view.getUint32(offset + 4);
+  }
+}
+
+// udta / ilst のフィールド（fourcc）→ FFmpeg の表記に合わせた名前
+MediaProbe.METADATA_TAGS = {
+  '\u00a9xyz': 'location',
+  '\u00a9mak': 'make',
+  '\u00a9mod': 'model',
+  '\u00a9swr': 'software',
+  '\u00a9day': 'date',
+  '\u00a9nam': 'title',
+  '\u00a9ART': 'artist',
+  '\u00a9cmt': 'comment',
+  '\u00a9too': 'encoder',
+};
+
+// 個人を特定する情報を含まないフィールド（メタデータとして報告しない）
+MediaProbe.TECHNICAL_TAGS = [
+  'major_brand',
+  'minor_version',
+  'compatible_brands',
+  'handler_name',
+  'vendor_id',
+  'encoder',
+  'language',
+  'hdlr',
+];
+
+// MP4 / MOV ファイルの先頭に現れるボックス
+MediaProbe.MP4_LEADING_BOXES = ['ftyp', 'moov', 'mdat', 'wide', 'free', 'skip'];
+
+// 子ボックスを持つコンテナボックス
+MediaProbe.CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl', 'edts'];
+
+// サンプルエントリ fourcc → コーデック名（FFmpeg の表記に合わせる）
+MediaProbe.CODECS = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  vp08: 'vp8',
+  mp4v: 'mpeg4',
+  mp4a: 'aac',
+  Opus: 'opus',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+  '.mp3': 'mp3',
+};
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MediaProbe;
+}
+
+if (typeof window !== 'undefined') {
+  window.MediaProbe = MediaProbe;
+}
@@ -4,6 +4,9 @@
  * localStorage を使用したユーザーデータ管理
  * - ユーザー ID（UUID）生成・管理
  * - アップロード履歴管理
+ * - 中断されたアップロードセッション管理（レジューム用）
+ * - 圧縮設定（プリセット・カスタム値）の保存
+ * - 透かし・テキスト・静止画のプロファイルの保存（画像は容量の大きい Cache Storage に保存）
  * - 統計情報管理
  * - ローカルストレージのエクスポート・インポート
  * 
@@ -20,6 +23,7 @@ class StorageManager {
       storageKey: 'gofile_clone',
       maxStorageSize: 100 * 1024 * 1024, // 100MB
       retentionDays: 30,
+      overlayImageCacheName: 'gofile_clone-overlay-images',
       ...config,
     };
 
@@ -39,6 +43,9 @@ class StorageManager {
           version: '1.0.0',
           user_id: this.generateUUID(),
           uploads: [],
+          upload_sessions: [],
+          compression_settings: null,
+          overlay_profiles: [],
           created_at: new Date().toISOString(),
         });
 
@@ -68,23 +75,29 @@ class StorageManager {
   /**
    * ストレージデータを保存
    * @param {Object} data
+   * @param {boolean} cleanup - 容量が足りない場合に古いデータを削除して再試行するか
+   * @returns {boolean} - 保存できたか
    */
-  saveStorageData(data) {
+  saveStorageData(data, cleanup = true) {
     try {
       localStorage.setItem(this.storageKey, JSON.stringify(data));
+      return true;
     } catch (error) {
       console.error('❌ Error saving storage:', error);
 
       // ストレージ満杯の場合
-      if (error.name === 'QuotaExceededError') {
+      if (error.name === 'QuotaExceededError' && cleanup) {
         console.warn('⚠️ Storage quota exceeded. Cleaning old data...');
         this.cleanOldData();
         try {
           localStorage.setItem(this.storageKey, JSON.stringify(data));
+          return true;
         } catch (retryError) {
           console.error('❌ Failed to save even after cleanup:', retryError);
         }
       }
+
+      return false;
     }
   }
 
@@ -133,6 +146,9 @@ class StorageManager {
         compression_ratio: upload.compression_ratio || 1.0,
         asset_url: upload.asset_url,
         download_url: upload.download_url,
+        poster_url: upload.poster_url || null,
+        thumbnail_url: upload.thumbnail_url || null,
+        preview_url: upload.preview_url || null,
         uploaded_at: new Date().toISOString(),
         view_count: 0,
         download_count: 0,
@@ -284,6 +300,371 @@ class StorageManager {
     }
   }
 
+  /**
+   * ファイルの識別子を生成（レジューム時の照合用）
+   * @param {File} file
+   * @returns {string}
+   */
+  getFileFingerprint(file) {
+    return `${file.name}:${file.size}:${file.lastModified || 0}`;
+  }
+
+  /**
+   * アップロードセッションを保存（同じ session_id は上書き）
+   * @param {Object} session - セッション情報
+   * @returns {Object|undefined}
+   */
+  saveUploadSession(session) {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        console.error('❌ Storage not initialized');
+        return;
+      }
+
+      const sessions = data.upload_sessions || [];
+      const index = sessions.findIndex((s) => s.session_id === session.session_id);
+      const now = new Date().toISOString();
+
+      const sessionData = {
+        ...(index >= 0 ? sessions[index] : { created_at: now }),
+        ...session,
+        updated_at: now,
+      };
+
+      if (index >= 0) {
+        sessions[index] = sessionData;
+      } else {
+        sessions.push(sessionData);
+      }
+
+      data.upload_sessions = sessions;
+      this.saveStorageData(data);
+
+      return sessionData;
+    } catch (error) {
+      console.error('❌ Error saving upload session:', error);
+    }
+  }
+
+  /**
+   * 未完了のアップロードセッション一覧を取得
+   * @returns {Array}
+   */
+  getUploadSessions() {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        return [];
+      }
+
+      return (data.upload_sessions || [])
+        .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+    } catch (error) {
+      console.error('❌ Error getting upload sessions:', error);
+      return [];
+    }
+  }
+
+  /**
+   * アップロードセッションを取得
+   * @param {string} sessionId
+   * @returns {Object|null}
+   */
+  getUploadSession(sessionId) {
+    return this.getUploadSessions().find((s) => s.session_id === sessionId) || null;
+  }
+
+  /**
+   * ファイルに対応するアップロードセッションを検索
+   * @param {File} file
+   * @returns {Object|null}
+   */
+  findUploadSession(file) {
+    const fingerprint = this.getFileFingerprint(file);
+    return this.getUploadSessions().find((s) => s.fingerprint === fingerprint) || null;
+  }
+
+  /**
+   * アップロードセッションを削除
+   * @param {string} sessionId
+   */
+  removeUploadSession(sessionId) {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        return;
+      }
+
+      data.upload_sessions = (data.upload_sessions || []).filter(
+        (s) => s.session_id !== sessionId
+      );
+      this.saveStorageData(data);
+    } catch (error) {
+      console.error('❌ Error removing upload session:', error);
+    }
+  }
+
+  /**
+   * 圧縮設定を取得（未保存の場合は既定値）
+   * @returns {Object} - { preset, format, targetSizeMB, hls, stripMetadata, editBeforeUpload, burnSubtitles, overlayProfile, custom: { resolution, crf, videoBitrate, encoderPreset, audioBitrate }, image: { format, quality, maxSize }, audio: { format, bitrate, normalize } }
+   */
+  getCompressionSettings() {
+    const defaults = {
+      preset: 'balanced',
+      format: 'mp4',
+      targetSizeMB: null,
+      hls: false,
+      stripMetadata: true,
+      editBeforeUpload: false,
+      burnSubtitles: '', // 映像に焼き込む字幕の言語コード（空は焼き込まない）
+      overlayProfile: '', // 適用する透かし・テキスト・静止画のプロファイル ID（空は合成しない）
+      custom: {
+        resolution: '720',
+        crf: 23,
+        videoBitrate: null,
+        encoderPreset: 'fast',
+        audioBitrate: 128,
+      },
+      image: {
+        format: 'webp',
+        quality: 82,
+        maxSize: 2560, // 長辺の上限（px）
+      },
+      // 音声のみの出力（音声のみのプリセット・音声ファイル）
+      audio: {
+        format: 'aac',
+        bitrate: 128,
+        normalize: false,
+      },
+    };
+
+    const data = this.getStorageData();
+    const saved = (data && data.compression_settings) || {};
+
+    return {
+      preset: saved.preset || defaults.preset,
+      format: saved.format || defaults.format,
+      targetSizeMB: saved.targetSizeMB || defaults.targetSizeMB,
+      hls: saved.hls === true,
+      // 位置情報などの削除は明示的に無効にした場合のみ行わない
+      stripMetadata: saved.stripMetadata !== false,
+      editBeforeUpload: saved.editBeforeUpload === true,
+      burnSubtitles: saved.burnSubtitles || defaults.burnSubtitles,
+      overlayProfile: saved.overlayProfile || defaults.overlayProfile,
+      custom: { ...defaults.custom, ...(saved.custom || {}) },
+      image: { ...defaults.image, ...(saved.image || {}) },
+      audio: { ...defaults.audio, ...(saved.audio || {}) },
+    };
+  }
+
+  /**
+   * 圧縮設定を保存
+   * @param {Object} settings - { preset, format, targetSizeMB, custom }
+   */
+  saveCompressionSettings(settings) {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        console.error('❌ Storage not initialized');
+        return;
+      }
+
+      data.compression_settings = settings;
+      this.saveStorageData(data);
+    } catch (error) {
+      console.error('❌ Error saving compression settings:', error);
+    }
+  }
+
+  /**
+   * 透かし・テキスト・静止画のプロファイル一覧を取得
+   * @returns {Array} - [{ profile_id, name, overlay, created_at, updated_at }]（overlay は VideoCompressionEngine.normalizeOverlay() を参照）
+   */
+  getOverlayProfiles() {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        return [];
+      }
+
+      return (data.overlay_profiles || []).sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('❌ Error getting overlay profiles:', error);
+      return [];
+    }
+  }
+
+  /**
+   * プロファイルを取得
+   * @param {string} profileId
+   * @returns {Object|null}
+   */
+  getOverlayProfile(profileId) {
+    return this.getOverlayProfiles().find((p) => p.profile_id === profileId) || null;
+  }
+
+  /**
+   * プロファイルを保存（profile_id がない場合は新規作成、同じ profile_id は上書き）
+   * 画像は saveOverlayImage() で保存し、overlay には image_id のみ記録する。
+   * 容量が足りない場合もアップロード履歴は削除せず、保存に失敗する。
+   * @param {Object} profile - { profile_id, name, overlay }
+   * @returns {Object|undefined} - 保存できなかった場合は undefined
+   */
+  saveOverlayProfile(profile) {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        console.error('❌ Storage not initialized');
+        return;
+      }
+
+      const profiles = data.overlay_profiles || [];
+      const index = profiles.findIndex((p) => p.profile_id === profile.profile_id);
+      const now = new Date().toISOString();
+
+      const profileData = {
+        ...(index >= 0 ? profiles[index] : { created_at: now }),
+        ...profile,
+        profile_id: profile.profile_id || this.generateUUID(),
+        updated_at: now,
+      };
+
+      if (index >= 0) {
+        profiles[index] = profileData;
+      } else {
+        profiles.push(profileData);
+      }
+
+      data.overlay_profiles = profiles;
+      if (!this.saveStorageData(data, false)) {
+        return;
+      }
+
+      return profileData;
+    } catch (error) {
+      console.error('❌ Error saving overlay profile:', error);
+    }
+  }
+
+  /**
+   * プロファイルを削除
+   * @param {string} profileId
+   */
+  deleteOverlayProfile(profileId) {
+    try {
+      const data = this.getStorageData();
+
+      if (!data) {
+        return;
+      }
+
+      data.overlay_profiles = (data.overlay_profiles || []).filter((p) => p.profile_id !== profileId);
+      this.saveStorageData(data);
+    } catch (error) {
+      console.error('❌ Error deleting overlay profile:', error);
+    }
+  }
+
+  /**
+   * 透かし・静止画の画像を保存
+   * @param {Blob} blob - PNG / JPEG
+   * @returns {Promise<string>} - image_id（プロファイルの overlay に記録する）
+   */
+  async saveOverlayImage(blob) {
+    const cache = await this.openOverlayImageCache();
+    const imageId = this.generateUUID();
+
+    await cache.put(this.getOverlayImageKey(imageId), new Response(blob, { headers: { 'Content-Type': blob.type } }));
+
+    return imageId;
+  }
+
+  /**
+   * 保存した画像を取得
+   * @param {string} imageId
+   * @returns {Promise<Blob|null>} - 見つからない場合は null
+   */
+  async getOverlayImage(imageId) {
+    const cache = await this.openOverlayImageCache();
+    const response = await cache.match(this.getOverlayImageKey(imageId));
+
+    return response ? response.blob() : null;
+  }
+
+  /**
+   * どのプロファイルからも使われていない画像を削除
+   * @returns {Promise<void>}
+   */
+  async pruneOverlayImages() {
+    const cache = await this.openOverlayImageCache();
+    const used = this.getOverlayProfiles()
+      .flatMap((profile) => Object.values(profile.overlay || {}))
+      .map((value) => value && value.image_id)
+      .filter(Boolean)
+      .map((imageId) => new URL(this.getOverlayImageKey(imageId), location.href).href);
+    const requests = await cache.keys();
+
+    await Promise.all(
+      requests
+        .filter((request) => !used.includes(request.url))
+        .map((request) => cache.delete(request))
+    );
+  }
+
+  /**
+   * 以前のバージョンで overlay に data: URL のまま保存した画像を Cache Storage に移す
+   * @returns {Promise<void>}
+   */
+  async migrateOverlayImages() {
+    for (const profile of this.getOverlayProfiles()) {
+      const overlay = { ...(profile.overlay || {}) };
+      let changed = false;
+
+      for (const [key, value] of Object.entries(overlay)) {
+        if (!value || typeof value.image !== 'string') {
+          continue;
+        }
+
+        const { image, ...rest } = value;
+        const blob = await (await fetch(image)).blob();
+        overlay[key] = { ...rest, image_id: await this.saveOverlayImage(blob) };
+        changed = true;
+      }
+
+      if (changed) {
+        this.saveOverlayProfile({ ...profile, overlay: overlay });
+      }
+    }
+  }
+
+  /**
+   * 画像のキャッシュキー
+   * @param {string} imageId
+   * @returns {string}
+   */
+  getOverlayImageKey(imageId) {
+    return `/overlay-images/${encodeURIComponent(imageId)}`;
+  }
+
+  /**
+   * 画像を保存する Cache Storage を開く
+   * @returns {Promise<Cache>}
+   */
+  async openOverlayImageCache() {
+    if (typeof caches === 'undefined') {
+      throw new Error('Cache Storage is not available in this browser');
+    }
+
+    return caches.open(this.config.overlayImageCacheName);
+  }
+
   /**
    * 統計情報を取得
    * @returns {Object}
@@ -367,7 +748,8 @@ class StorageManager {
         return true;
       });
 
-      this.saveStorageData(data);
+      // 容量不足で呼ばれた場合に再び削除を繰り返さない
+      this.saveStorageData(data, false);
       console.log('✅ Old data cleaned');
     } catch (error) {
       console.error('❌ Error cleaning old data:', error);
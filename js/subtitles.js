@@ -0,0 +1,209 @@
+/**
+ * js/subtitles.js
+ *
+ * 字幕ファイル（SRT / WebVTT）の読み込み・変換
+ * - SRT を WebVTT に変換
+ * - ファイル名から言語コードを判定（例: meeting.en.srt → en、meeting.pt-BR.vtt → pt-BR）
+ * - 切り出し（トリミング）に合わせてキューの時間をずらす
+ *
+ * 使用方法:
+ * const track = await Subtitles.read(file); // { language, label, vtt }
+ * const trimmed = Subtitles.shift(track.vtt, 10, 40); // 10 秒〜40 秒の範囲を 0 秒始まりに
+ */
+
+class Subtitles {
+  /**
+   * 字幕ファイルか（拡張子で判定、.srt / .vtt は MIME タイプが空のことが多い）
+   * @param {File} file
+   * @returns {boolean}
+   */
+  static isSubtitleFile(file) {
+    return /\.(srt|vtt)$/i.test(file.name);
+  }
+
+  /**
+   * 字幕ファイルを読み込んで WebVTT に変換
+   * @param {File} file
+   * @returns {Promise<Object>} - { language, label, vtt }
+   */
+  static async read(file) {
+    const language = Subtitles.getLanguage(file.name);
+
+    return {
+      language: language,
+      label: Subtitles.getLabel(language),
+      vtt: Subtitles.toWebVTT(await file.text()),
+    };
+  }
+
+  /**
+   * SRT / WebVTT の文字列を WebVTT に変換
+   * @param {string} text
+   * @returns {string}
+   */
+  static toWebVTT(text) {
+    const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim();
+
+    if (/^WEBVTT/.test(normalized)) {
+      return `${normalized}\n`;
+    }
+
+    // SRT の時刻はミリ秒の区切りがカンマ（00:00:01,000）
+    const body = normalized.replace(
+      /(\d{1,2}:\d{2}:\d{2}),(\d{3})\s*-->\s*(\d{1,2}:\d{2}:\d{2}),(\d{3})/g,
+      '$1.$2 --> $3.$4'
+    );
+
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  /**
+   * WebVTT のキューを解析
+   * @param {string} vtt
+   * @returns {Object} - { header: キューより前のブロック, cues: [{ id, start, end, settings, text }] }
+   */
+  static parse(vtt) {
+    const blocks = vtt.replace(/\r\n?/g, '\n').trim().split(/\n{2,}/);
+    const header = [];
+    const cues = [];
+
+    blocks.forEach((block) => {
+      const lines = block.split('\n').filter((line, index) => index > 0 || line.trim());
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+
+      if (timingIndex === -1) {
+        // WEBVTT 行・STYLE・NOTE などはそのまま残す
+        if (cues.length === 0 && block.trim()) {
+          header.push(block.trim());
+        }
+        return;
+      }
+
+      const timing = lines[timingIndex].match(/^\s*([\d:.]+)\s*-->\s*([\d:.]+)(.*)$/);
+      if (!timing) {
+        return;
+      }
+
+      cues.push({
+        id: timingIndex > 0 ? lines[0] : null,
+        start: Subtitles.parseTimestamp(timing[1]),
+        end: Subtitles.parseTimestamp(timing[2]),
+        settings: timing[3].trim(),
+        text: lines.slice(timingIndex + 1).join('\n'),
+      });
+    });
+
+    return { header: header.length > 0 ? header : ['WEBVTT'], cues: cues };
+  }
+
+  /**
+   * キューの時間をずらして切り出した範囲に合わせる（範囲外のキューは削除）
+   * @param {string} vtt
+   * @param {number} start - 切り出し開始（秒）
+   * @param {number|null} end - 切り出し終了（秒、null は最後まで）
+   * @returns {string}
+   */
+  static shift(vtt, start = 0, end = null) {
+    const { header, cues } = Subtitles.parse(vtt);
+    const limit = end === null ? Infinity : end;
+
+    const shifted = cues
+      .filter((cue) => cue.end > start && cue.start < limit)
+      .map((cue) => ({
+        ...cue,
+        start: Math.max(cue.start, start) - start,
+        end: Math.min(cue.end, limit) - start,
+      }));
+
+    const blocks = shifted.map((cue) => [
+      ...(cue.id ? [cue.id] : []),
+      `${Subtitles.formatTimestamp(cue.start)} --> ${Subtitles.formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}`,
+      cue.text,
+    ].join('\n'));
+
+    return `${[...header, ...blocks].join('\n\n')}\n`;
+  }
+
+  /**
+   * ファイル名から言語コードを取得（判定できない場合は 'und'）
+   * @param {string} fileName - 例: meeting.en.srt
+   * @returns {string}
+   */
+  static getLanguage(fileName) {
+    const match = fileName.match(/\.([a-z]{2,3}(?:-[a-z0-9]{2,8})*)\.(?:srt|vtt)$/i);
+    if (!match) {
+      return 'und';
+    }
+
+    // 言語は小文字、地域は大文字（pt-br → pt-BR）
+    const [language, ...subtags] = match[1].split('-');
+    return [language.toLowerCase(), ...subtags.map((tag) => (tag.length === 2 ? tag.toUpperCase() : tag))].join('-');
+  }
+
+  /**
+   * 言語コードの表示名（例: en → English）
+   * @param {string} language
+   * @returns {string}
+   */
+  static getLabel(language) {
+    if (language === 'und') {
+      return 'Subtitles';
+    }
+
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(language) || language;
+    } catch (error) {
+      return language;
+    }
+  }
+
+  /**
+   * 字幕ファイルが動画ファイルに対応するか（拡張子と言語コードを除いた名前が同じ）
+   * @param {string} subtitleName - 例: meeting.en.srt
+   * @param {string} videoName - 例: meeting.mp4
+   * @returns {boolean}
+   */
+  static matches(subtitleName, videoName) {
+    const language = Subtitles.getLanguage(subtitleName);
+    const base = subtitleName
+      .replace(/\.(srt|vtt)$/i, '')
+      .replace(new RegExp(`\\.${language.replace(/-/g, '\\-')}$`, 'i'), '');
+
+    return base.toLowerCase() === videoName.replace(/\.[^/.]+$/, '').toLowerCase();
+  }
+
+  /**
+   * WebVTT / SRT の時刻を秒に変換（時間は省略可）
+   * @param {string} timestamp - 例: "00:01:02.500" / "01:02.500"
+   * @returns {number}
+   */
+  static parseTimestamp(timestamp) {
+    return timestamp
+      .replace(',', '.')
+      .split(':')
+      .reduce((total, part) => total * 60 + Number(part), 0);
+  }
+
+  /**
+   * 秒を WebVTT の時刻に変換
+   * @param {number} seconds
+   * @returns {string} - 例: "00:01:02.500"
+   */
+  static formatTimestamp(seconds) {
+    const ms = Math.max(Math.round(seconds * 1000), 0);
+    const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+    const m = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+    const s = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+
+    return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+  }
+}
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Subtitles;
+}
+
+if (typeof window !== 'undefined') {
+  window.Subtitles = Subtitles;
+}
@@ -0,0 +1,128 @@
+/**
+ * js/upload-metadata.js
+ *
+ * アップロード時に Release 本文へ保存するメタデータ（ファイルの種類に応じた部分）を作成
+ * - 動画・音声: VideoCompressionEngine.getCompressionInfo() の解析結果・圧縮設定
+ * - 画像: ImageCompressionEngine.getCompressionInfo() の解析結果・圧縮設定
+ * - その他のファイル: Content-Type と拡張子のみ
+ *
+ * 使用方法:
+ * const metadata = {
+ *   file_id: fileId,
+ *   ...UploadMetadata.describeVideo(engine.getCompressionInfo(blob)),
+ * };
+ */
+
+class UploadMetadata {
+  /**
+   * 圧縮しないファイルのメタデータを作成
+   * @param {File} file
+   * @returns {Object}
+   */
+  static describeFile(file) {
+    const extension = /\.([a-z0-9]+)$/i.exec(file.name);
+
+    return {
+      media_type: 'file',
+      content_type: file.type || 'application/octet-stream',
+      // 空文字列は拡張子なし（Asset はファイル ID のみの名前で保存される）
+      file_ext: extension ? extension[1].toLowerCase() : '',
+    };
+  }
+
+  /**
+   * 画像の解析結果からメタデータを作成
+   * @param {Object|null} info - ImageCompressionEngine.getCompressionInfo() の戻り値
+   * @returns {Object}
+   */
+  static describeImage(info) {
+    if (!info) return {};
+
+    const { source, output } = info;
+
+    return {
+      media_type: 'image',
+      resolution: `${output.width}x${output.height}`,
+      width: output.width,
+      height: output.height,
+      content_type: output.contentType,
+      privacy: { metadata_stripped: info.privacy.stripped, removed_fields: info.privacy.removedFields },
+      file_ext: output.extension,
+      compression: {
+        mode: output.mode,
+        format: output.format,
+        quality: output.quality,
+      },
+      source_image: {
+        width: source.width,
+        height: source.height,
+        content_type: source.contentType,
+        orientation: source.orientation,
+      },
+    };
+  }
+
+  /**
+   * 動画・音声の解析結果からメタデータを作成
+   * @param {Object|null} info - VideoCompressionEngine.getCompressionInfo() の戻り値
+   * @returns {Object}
+   */
+  static describeVideo(info) {
+    if (!info) return {};
+
+    const { source, output } = info;
+    // 音声のみの出力・そのまま使った音声ファイル
+    const isAudio = output.mode === 'audio' || (!source.videoCodec && source.hasAudio);
+
+    return {
+      media_type: isAudio ? 'audio' : 'video',
+      resolution: output.width ? `${output.width}x${output.height}` : null,
+      width: output.width,
+      height: output.height,
+      fps: output.fps,
+      duration: source.duration || null,
+      has_audio: output.hasAudio,
+      content_type: output.contentType,
+      edits: info.edits || null,
+      subtitles: info.artifacts
+        .filter((artifact) => artifact.kind === 'subtitles')
+        .map((artifact) => artifact.language),
+      privacy: info.privacy
+        ? { metadata_stripped: info.privacy.stripped, removed_fields: info.privacy.removedFields }
+        : null,
+      file_ext: output.extension,
+      compression: {
+        preset: output.qualityPreset || null,
+        mode: output.mode,
+        format: output.format,
+        video_bitrate: output.bitrate,
+        crf: output.crf,
+        audio_bitrate: output.audioBitrate,
+        loudness_normalized: Boolean(output.normalizeLoudness),
+        burned_subtitles: output.burnedSubtitles || null,
+        overlay: output.overlay || null,
+        target_size: output.targetSize || null,
+        attempts: output.attempts || 1,
+      },
+      source_video: {
+        width: source.width || null,
+        height: source.height || null,
+        rotation: source.rotation || 0,
+        fps: source.fps || null,
+        duration: source.duration || null,
+        video_codec: source.videoCodec,
+        audio_codec: source.audioCodec,
+        has_audio: source.hasAudio,
+      },
+    };
+  }
+}
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UploadMetadata;
+}
+
+if (typeof window !== 'undefined') {
+  window.UploadMetadata = UploadMetadata;
+}
@@ -95,28 +95,37 @@ function setupEventListeners() {
 async function handleFileSelect(file) {
   if (!file) return;
 
-  // ファイルバリデーション
-  if (!file.type.startsWith('video/')) {
-    showError('動画ファイル（MP4, WebM など）を選択してください。');
+  // ファイルバリデーション（動画以外は圧縮せずにそのままアップロード）
+  if (file.size === 0) {
+    showError('空のファイルはアップロードできません。');
     return;
   }
 
+  // 音声ファイルも FFmpeg で音声のみの出力に再エンコードする
+  const isMedia = file.type.startsWith('video/') || file.type.startsWith('audio/');
+
   appState.currentFile = file;
 
   // UI を処理中に変更
   showProcessing();
 
   try {
-    // 1. 圧縮処理（クライアント側）
-    console.log('📥 ファイルを圧縮中...', file.name);
-    const compressedBlob = await appState.compression.compress(
-      file,
-      (percent, message) => {
-        updateProgress(percent * 0.5, message); // 圧縮は全体の 50%
-      }
-    );
-
-    console.log('✅ 圧縮完了');
+    // 1. 圧縮処理（クライアント側、動画のみ）
+    let compressedBlob = file;
+    let compressionInfo = null;
+
+    if (isMedia) {
+      console.log('📥 ファイルを圧縮中...', file.name);
+      compressedBlob = await appState.compression.compress(
+        file,
+        (percent, message) => {
+          updateProgress(percent * 0.5, message); // 圧縮は全体の 50%
+        }
+      );
+
+      console.log('✅ 圧縮完了');
+      compressionInfo = appState.compression.getCompressionInfo(compressedBlob);
+    }
 
     // 2. Netlify Functions 経由で GitHub へアップロード
     console.log('📤 Netlify Functions にアップロード中...');
@@ -129,8 +138,7 @@ async function handleFileSelect(file) {
       original_size: file.size,
       compressed_size: compressedBlob.size,
       compression_ratio: (compressedBlob.size / file.size).toFixed(4),
-      resolution: '720p',
-      fps: 30,
+      ...(isMedia ? UploadMetadata.describeVideo(compressionInfo) : UploadMetadata.describeFile(file)),
       upload_time: new Date().toISOString(),
       uploader_id: appState.storage.getUserId(),
       title: file.name.replace(/\.[^/.]+$/, ''), // 拡張子を除去
@@ -141,7 +149,8 @@ async function handleFileSelect(file) {
       metadata,
       (percent, message) => {
         updateProgress(50 + percent * 0.5, message); // アップロードは 50-100%
-      }
+      },
+      { artifacts: compressionInfo ? compressionInfo.artifacts : [] }
     );
 
     // 3. localStorage に記録
@@ -154,6 +163,9 @@ async function handleFileSelect(file) {
       compressed_size: compressedBlob.size,
       asset_url: uploadResult.asset_url,
       download_url: uploadResult.asset_url,
+      poster_url: uploadResult.artifacts?.poster?.url || null,
+      thumbnail_url: uploadResult.artifacts?.thumbnail?.url || null,
+      preview_url: uploadResult.artifacts?.preview?.url || null,
     });
 
     // 4. 成功画面を表示
@@ -327,7 +339,21 @@ function displayMyFiles() {
     const uploadDate = new Date(upload.uploaded_at).toLocaleString('ja-JP');
     const sizeStr = (upload.compressed_size / 1024 / 1024).toFixed(1);
 
+    // サムネイルがない（生成前にアップロードした）ファイルはプレースホルダーを表示
+    const thumbnail = upload.thumbnail_url
+      ? `<img class="file-card-thumbnail" src="${escapeHtml(upload.thumbnail_url)}" alt="" loading="lazy" />`
+      : '<div class="file-card-thumbnail"></div>';
+
+    // プレビュー動画はホバーした時だけ読み込んで再生
+    const preview = upload.preview_url
+      ? `<video class="file-card-preview" src="${escapeHtml(upload.preview_url)}" muted loop playsinline preload="none"></video>`
+      : '';
+
     fileCard.innerHTML = `
+      <div class="file-card-media">
+        ${thumbnail}
+        ${preview}
+      </div>
       <div class="file-card-title" title="${upload.title}">
         ${escapeHtml(upload.title)}
       </div>
@@ -346,10 +372,36 @@ function displayMyFiles() {
       </div>
     `;
 
+    setupCardPreview(fileCard);
     filesList.appendChild(fileCard);
   });
 }
 
+/**
+ * ファイルカードにホバーした時にプレビュー動画を再生
+ * @param {HTMLElement} card - .file-card-preview を含む要素
+ */
+function setupCardPreview(card) {
+  const video = card.querySelector('.file-card-preview');
+  if (!video) {
+    return;
+  }
+
+  card.addEventListener('mouseenter', () => {
+    video.classList.add('playing');
+    video.play().catch(() => {
+      // 読み込み失敗時はサムネイルのまま
+      video.classList.remove('playing');
+    });
+  });
+
+  card.addEventListener('mouseleave', () => {
+    video.classList.remove('playing');
+    video.pause();
+    video.currentTime = 0;
+  });
+}
+
 /**
  * グローバル関数
  */
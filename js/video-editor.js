@@ -0,0 +1,360 @@
+/**
+ * js/video-editor.js
+ *
+ * アップロード前の動画編集画面
+ * - タイムラインの開始・終了ハンドルで切り出す範囲を指定
+ * - プレビュー上の枠をドラッグして切り抜き範囲を指定
+ * - 回転（90° 単位）・左右 / 上下反転・消音
+ *
+ * 結果は VideoCompressionEngine.compress() の options.edits にそのまま渡せる形式で返す。
+ * 切り抜き範囲は回転前の表示上の座標（px）。
+ *
+ * 使用方法:
+ * const editor = new VideoEditor();
+ * const edits = await editor.edit(file); // 編集しない場合・閉じた場合は null
+ */
+
+class VideoEditor {
+  constructor() {
+    this.area = document.getElementById('editorArea');
+    this.stage = document.getElementById('editorStage');
+    this.video = document.getElementById('editorVideo');
+    this.cropBox = document.getElementById('editorCrop');
+    this.startInput = document.getElementById('editorStart');
+    this.endInput = document.getElementById('editorEnd');
+
+    this.objectUrl = null;
+    this.resolve = null;
+    this.state = null;
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * ファイルを編集画面で開く
+   * @param {File} file
+   * @returns {Promise<Object|null>} - { start, end, crop, rotate, flipH, flipV, mute } / 編集しない場合は null
+   */
+  edit(file) {
+    this.close();
+
+    this.state = {
+      duration: 0,
+      rotate: 0,
+      // 切り抜き範囲（表示サイズに対する割合）
+      crop: { x: 0.1, y: 0.1, width: 0.8, height: 0.8 },
+    };
+
+    this.objectUrl = URL.createObjectURL(file);
+    this.video.src = this.objectUrl;
+    document.getElementById('editorFileName').textContent = file.name;
+    document.getElementById('editorCropInput').checked = false;
+    document.getElementById('editorFlipHInput').checked = false;
+    document.getElementById('editorFlipVInput').checked = false;
+    document.getElementById('editorMuteInput').checked = false;
+    this.video.muted = false;
+    this.startInput.value = 0;
+    this.endInput.value = 0;
+
+    this.updateCropBox();
+    this.updateTransform();
+    this.area.style.display = 'block';
+
+    return new Promise((resolve) => {
+      this.resolve = resolve;
+    });
+  }
+
+  /**
+   * 編集画面を閉じる（開いている edit() は null で完了する）
+   */
+  close() {
+    this.finish(null);
+  }
+
+  /**
+   * 編集画面を閉じて edit() の Promise を完了
+   * @param {Object|null} edits
+   */
+  finish(edits) {
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    this.area.style.display = 'none';
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+
+    const resolve = this.resolve;
+    this.resolve = null;
+
+    if (resolve) {
+      resolve(edits);
+    }
+  }
+
+  /**
+   * イベントリスナー登録
+   */
+  setupEventListeners() {
+    this.video.addEventListener('loadedmetadata', () => {
+      const duration = this.video.duration;
+      this.state.duration = Number.isFinite(duration) ? duration : 0;
+
+      [this.startInput, this.endInput].forEach((input) => {
+        input.max = this.state.duration;
+      });
+      this.endInput.value = this.state.duration;
+
+      // 枠の縦横比を動画に合わせ、切り抜き枠の割合がそのまま画素の割合になるようにする
+      if (this.video.videoWidth && this.video.videoHeight) {
+        this.stage.style.setProperty('--aspect-ratio', this.video.videoWidth / this.video.videoHeight);
+      }
+      this.updateTransform();
+      this.updateTimeline();
+    });
+
+    // 切り出す範囲だけをループ再生
+    this.video.addEventListener('timeupdate', () => {
+      if (this.video.currentTime >= Number(this.endInput.value)) {
+        this.video.currentTime = Number(this.startInput.value);
+      }
+    });
+
+    this.video.addEventListener('play', () => {
+      document.getElementById('editorPlayBtn').textContent = 'Pause';
+    });
+    this.video.addEventListener('pause', () => {
+      document.getElementById('editorPlayBtn').textContent = 'Play';
+    });
+
+    document.getElementById('editorPlayBtn').addEventListener('click', () => {
+      if (this.video.paused) {
+        if (this.video.currentTime < Number(this.startInput.value)) {
+          this.video.currentTime = Number(this.startInput.value);
+        }
+        this.video.play();
+      } else {
+        this.video.pause();
+      }
+    });
+
+    // 開始・終了ハンドル（最短の長さより近づけない）
+    this.startInput.addEventListener('input', () => {
+      const max = Number(this.endInput.value) - VideoCompressionEngine.MIN_TRIM_DURATION;
+      this.startInput.value = Math.max(Math.min(Number(this.startInput.value), max), 0);
+      this.video.currentTime = Number(this.startInput.value);
+      this.updateTimeline();
+    });
+
+    this.endInput.addEventListener('input', () => {
+      const min = Number(this.startInput.value) + VideoCompressionEngine.MIN_TRIM_DURATION;
+      this.endInput.value = Math.min(Math.max(Number(this.endInput.value), min), this.state.duration);
+      this.video.currentTime = Number(this.endInput.value);
+      this.updateTimeline();
+    });
+
+    document.getElementById('editorCropInput').addEventListener('change', () => this.updateCropBox());
+    document.getElementById('editorFlipHInput').addEventListener('change', () => this.updateTransform());
+    document.getElementById('editorFlipVInput').addEventListener('change', () => this.updateTransform());
+    document.getElementById('editorMuteInput').addEventListener('change', (e) => {
+      this.video.muted = e.target.checked;
+    });
+
+    document.getElementById('editorRotateLeftBtn').addEventListener('click', () => this.rotate(-90));
+    document.getElementById('editorRotateRightBtn').addEventListener('click', () => this.rotate(90));
+
+    document.getElementById('editorApplyBtn').addEventListener('click', () => {
+      try {
+        this.finish(this.getEdits());
+      } catch (error) {
+        // 範囲が短すぎる場合などは画面を閉じずに修正してもらう
+        alert(error.message);
+      }
+    });
+    document.getElementById('editorSkipBtn').addEventListener('click', () => this.finish(null));
+
+    this.setupCropDrag();
+  }
+
+  /**
+   * 切り抜き枠のドラッグ（枠内: 移動 / 右下のハンドル: サイズ変更）
+   */
+  setupCropDrag() {
+    let drag = null;
+
+    this.cropBox.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      drag = {
+        resize: e.target.id === 'editorCropHandle',
+        x: e.clientX,
+        y: e.clientY,
+        crop: { ...this.state.crop },
+      };
+      this.cropBox.setPointerCapture(e.pointerId);
+    });
+
+    this.cropBox.addEventListener('pointermove', (e) => {
+      if (!drag) return;
+
+      const delta = this.toStageDelta(e.clientX - drag.x, e.clientY - drag.y);
+      const crop = { ...drag.crop };
+
+      if (drag.resize) {
+        crop.width = Math.min(Math.max(crop.width + delta.x, VideoEditor.MIN_CROP), 1 - crop.x);
+        crop.height = Math.min(Math.max(crop.height + delta.y, VideoEditor.MIN_CROP), 1 - crop.y);
+      } else {
+        crop.x = Math.min(Math.max(crop.x + delta.x, 0), 1 - crop.width);
+        crop.y = Math.min(Math.max(crop.y + delta.y, 0), 1 - crop.height);
+      }
+
+      this.state.crop = crop;
+      this.updateCropBox();
+    });
+
+    const endDrag = () => {
+      drag = null;
+    };
+    this.cropBox.addEventListener('pointerup', endDrag);
+    this.cropBox.addEventListener('pointercancel', endDrag);
+  }
+
+  /**
+   * 画面上の移動量を、回転・反転したプレビュー内の割合に変換
+   * @param {number} dx - px
+   * @param {number} dy - px
+   * @returns {Object} - { x, y }
+   */
+  toStageDelta(dx, dy) {
+    const { scale } = this.getTransform();
+    const flipH = document.getElementById('editorFlipHInput').checked ? -1 : 1;
+    const flipV = document.getElementById('editorFlipVInput').checked ? -1 : 1;
+
+    // 反転を戻してから逆向きに回転する
+    let x = (dx * flipH) / scale;
+    let y = (dy * flipV) / scale;
+
+    if (this.state.rotate === 90) {
+      [x, y] = [y, -x];
+    } else if (this.state.rotate === 180) {
+      [x, y] = [-x, -y];
+    } else if (this.state.rotate === 270) {
+      [x, y] = [-y, x];
+    }
+
+    return { x: x / this.stage.offsetWidth, y: y / this.stage.offsetHeight };
+  }
+
+  /**
+   * 回転
+   * @param {number} degrees - 90（時計回り）/ -90（反時計回り）
+   */
+  rotate(degrees) {
+    this.state.rotate = (this.state.rotate + degrees + 360) % 360;
+    this.updateTransform();
+  }
+
+  /**
+   * プレビューの回転・反転の CSS transform を算出
+   * @returns {Object} - { scale: 枠に収めるための縮小率, transform }
+   */
+  getTransform() {
+    const { rotate } = this.state;
+    const width = this.stage.offsetWidth || 1;
+    const height = this.stage.offsetHeight || 1;
+
+    // 縦横が入れ替わる場合は元の枠に収まるように縮小する
+    const scale = rotate === 90 || rotate === 270 ? Math.min(width / height, height / width) : 1;
+    const flipH = document.getElementById('editorFlipHInput').checked ? -1 : 1;
+    const flipV = document.getElementById('editorFlipVInput').checked ? -1 : 1;
+
+    // FFmpeg と同じく回転してから反転する（transform は右から順に適用される）
+    return {
+      scale: scale,
+      transform: `scale(${flipH * scale}, ${flipV * scale}) rotate(${rotate}deg)`,
+    };
+  }
+
+  /**
+   * プレビューに回転・反転を反映
+   */
+  updateTransform() {
+    this.stage.style.transform = this.getTransform().transform;
+    document.getElementById('editorRotation').textContent = `${this.state.rotate}°`;
+  }
+
+  /**
+   * 切り抜き枠の表示を更新
+   */
+  updateCropBox() {
+    const { crop } = this.state;
+
+    this.cropBox.style.display = document.getElementById('editorCropInput').checked ? 'block' : 'none';
+    this.cropBox.style.left = `${crop.x * 100}%`;
+    this.cropBox.style.top = `${crop.y * 100}%`;
+    this.cropBox.style.width = `${crop.width * 100}%`;
+    this.cropBox.style.height = `${crop.height * 100}%`;
+  }
+
+  /**
+   * タイムラインの選択範囲と時間表示を更新
+   */
+  updateTimeline() {
+    const { duration } = this.state;
+    const start = Number(this.startInput.value);
+    const end = Number(this.endInput.value);
+    const range = document.getElementById('editorRange');
+
+    range.style.left = duration ? `${(start / duration) * 100}%` : '0';
+    range.style.width = duration ? `${((end - start) / duration) * 100}%` : '100%';
+
+    document.getElementById('editorStartTime').textContent = VideoCompressionEngine.formatDuration(start);
+    document.getElementById('editorEndTime').textContent = VideoCompressionEngine.formatDuration(end);
+    document.getElementById('editorDuration').textContent = VideoCompressionEngine.formatDuration(end - start);
+  }
+
+  /**
+   * 現在の編集内容を取得
+   * @returns {Object|null} - normalizeEdits() で正規化した値（何も変更しない場合は null）
+   */
+  getEdits() {
+    const { duration, rotate, crop } = this.state;
+    const width = this.video.videoWidth;
+    const height = this.video.videoHeight;
+    const useCrop = document.getElementById('editorCropInput').checked && width > 0;
+
+    return VideoCompressionEngine.normalizeEdits(
+      {
+        start: Number(this.startInput.value),
+        end: Number(this.endInput.value),
+        crop: useCrop
+          ? {
+            x: crop.x * width,
+            y: crop.y * height,
+            width: crop.width * width,
+            height: crop.height * height,
+          }
+          : null,
+        rotate: rotate,
+        flipH: document.getElementById('editorFlipHInput').checked,
+        flipV: document.getElementById('editorFlipVInput').checked,
+        mute: document.getElementById('editorMuteInput').checked,
+      },
+      { duration: duration, displayWidth: width, displayHeight: height }
+    );
+  }
+}
+
+// 切り抜き枠の最小サイズ（表示サイズに対する割合）
+VideoEditor.MIN_CROP = 0.1;
+
+// グローバルエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VideoEditor;
+}
+
+if (typeof window !== 'undefined') {
+  window.VideoEditor = VideoEditor;
+}
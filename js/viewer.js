@@ -4,6 +4,12 @@
  * ビデオプレビュー・ビューアページのロジック
  * - Release ID からファイル情報を取得
  * - 動画をストリーミング再生
+ * - 音声は波形画像付きのプレイヤーで再生
+ * - 動画・音声以外のファイルはダウンロードページを表示（画像はプレビュー付き）
+ * - 分割アップロードされたファイルを 1 つのファイルとしてストリーミング（/release-assets/ 経由）
+ * - シークバーのホバープレビュー（スプライト画像 + WebVTT）
+ * - 字幕トラックの表示と言語の切り替え
+ * - HLS のアダプティブ再生（ネイティブ再生 / hls.js）
  * - ダウンロード・共有機能
  * - 通報機能
  */
@@ -14,6 +20,10 @@ const viewerState = {
   releaseId: null,
   fileData: null,
   isLoaded: false,
+  spriteCues: [],
+  subtitleTracks: [],
+  hls: null,
+  apiBaseUrl: '/.netlify/functions',
 };
 
 /**
@@ -57,22 +67,46 @@ async function loadFileInfo() {
     console.log('📥 Loading file info...');
     showPreparing();
 
-    // モック実装: 実際は Netlify Function で取得
-    // const response = await fetch(`/.netlify/functions/file-info?releaseId=${viewerState.releaseId}`);
-    // const data = await response.json();
+    const response = await fetch(
+      `${viewerState.apiBaseUrl}/file-info?action=get-release&releaseId=${viewerState.releaseId}`
+    );
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP ${response.status}`);
+    }
+
+    const release = data.data;
+    const metadata = release.metadata || {};
+    const manifest = metadata.upload_manifest || null;
+    const contentType = metadata.content_type || (manifest && manifest.content_type) || 'video/mp4';
 
-    // テスト用のサンプルデータ
     viewerState.fileData = {
-      file_id: 'test-' + viewerState.releaseId,
-      release_id: viewerState.releaseId,
-      title: 'Sample Video',
-      original_filename: 'sample-video.mp4',
-      compressed_size: 95000000,
-      created_at: new Date().toISOString(),
-      download_url: `https://github.com/releases/download/video_${viewerState.releaseId}/video_${viewerState.releaseId}.mp4`,
-      view_count: Math.floor(Math.random() * 100),
+      file_id: metadata.file_id || `release-${release.release_id}`,
+      release_id: release.release_id,
+      title: metadata.title || release.title,
+      original_filename: metadata.original_filename,
+      compressed_size: manifest ? manifest.total_size : metadata.compressed_size,
+      content_type: contentType,
+      // media_type がない古いアップロードは Content-Type から判定
+      media_type: metadata.media_type || getMediaType(contentType),
+      created_at: metadata.upload_time || release.created_at,
+      download_url: null,
+      metadata: metadata,
+      assets: release.assets || [],
     };
 
+    if (manifest) {
+      viewerState.fileData.download_url = getPartedAssetUrl(manifest, viewerState.fileData.assets);
+    } else {
+      const asset = viewerState.fileData.assets.find((a) => a.name === metadata.file_name) ||
+        viewerState.fileData.assets.find((a) => !/\.part\d+$/.test(a.name));
+      if (!asset) {
+        throw new Error('No downloadable asset found');
+      }
+      viewerState.fileData.download_url = getAssetUrl(asset.download_url);
+    }
+
     // 再生回数を増加
     viewerState.storage.incrementViewCount(viewerState.fileData.file_id);
 
@@ -80,6 +114,16 @@ async function loadFileInfo() {
     showContent(viewerState.fileData);
     viewerState.isLoaded = true;
 
+    // シークバーのプレビュー（読み込めなくても再生には影響しない）
+    loadSpriteTrack(viewerState.fileData).catch((error) => {
+      console.warn('⚠️ Could not load seek previews:', error.message);
+    });
+
+    // 字幕（読み込めなくても再生には影響しない）
+    loadSubtitleTracks(viewerState.fileData).catch((error) => {
+      console.warn('⚠️ Could not load subtitles:', error.message);
+    });
+
     console.log('✅ File loaded');
   } catch (error) {
     console.error('❌ Error loading file:', error);
@@ -87,6 +131,201 @@ async function loadFileInfo() {
   }
 }
 
+/**
+ * Content-Type からファイルの種類を判定
+ * @param {string} contentType
+ * @returns {string} - 'video' | 'audio' | 'image' | 'file'
+ */
+function getMediaType(contentType) {
+  const type = contentType.split('/')[0];
+  return ['video', 'audio', 'image'].includes(type) ? type : 'file';
+}
+
+/**
+ * Release Asset の URL をサイト経由の URL に変換（netlify/edge-functions/release-asset.js を参照）
+ *
+ * GitHub のダウンロード URL は fetch や hls.js から CORS で読み込めないため、同じオリジンから取得する。
+ * @param {string} url - browser_download_url
+ * @returns {string} - /release-assets/<タグ>/<ファイル名>（GitHub 以外の URL はそのまま）
+ */
+function getAssetUrl(url) {
+  const match = /^https:\/\/github\.com\/[^/]+\/[^/]+\/releases\/download\/([^/?#]+\/[^/?#]+)$/.exec(url || '');
+  return match ? `/release-assets/${match[1]}` : url;
+}
+
+/**
+ * 分割アップロードされたファイルを 1 つのファイルとして読み込む URL
+ *
+ * パートはサイト側で順番に中継されるため、メモリに再結合せずに再生・ダウンロードできる。
+ * @param {Object} manifest - Release メタデータの upload_manifest
+ * @param {Array} assets - Release の Asset 一覧
+ * @returns {string}
+ */
+function getPartedAssetUrl(manifest, assets) {
+  const partAssets = manifest.parts.map((part) => {
+    const asset = assets.find((a) => a.name === part.name);
+    if (!asset) {
+      throw new Error(`Missing part: ${part.name}`);
+    }
+    return asset;
+  });
+
+  const params = new URLSearchParams({
+    parts: String(manifest.part_count),
+    part_size: String(manifest.part_size),
+    size: String(manifest.total_size),
+    type: manifest.content_type,
+  });
+
+  return `${getAssetUrl(partAssets[0].download_url).replace(/\.part\d+$/, '')}?${params}`;
+}
+
+/**
+ * スプライト画像の WebVTT を読み込み
+ * @param {Object} fileData - ファイル情報
+ */
+async function loadSpriteTrack(fileData) {
+  const track = getArtifact(fileData, 'sprite_vtt');
+  if (!track) {
+    return;
+  }
+
+  // GitHub から直接読み込めない（CORS）ため、サイト経由で取得する
+  // （スプライト画像は <img> と同じく CORS の対象外のため、WebVTT 内の URL はそのまま使う）
+  const response = await fetch(getAssetUrl(track.url));
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  viewerState.spriteCues = parseSpriteTrack(await response.text(), track.url);
+  console.log(`🎞️ Loaded ${viewerState.spriteCues.length} seek previews`);
+}
+
+/**
+ * 字幕トラック（アップロード時に WebVTT に変換したもの）を <track> として追加
+ *
+ * Release Asset は GitHub から直接読み込めない（CORS）ため、サイト経由（getAssetUrl()）で取得して Blob URL にする。
+ * 閲覧者の言語の字幕があれば表示する（映像に焼き込んだ字幕は重なるため表示しない）。
+ * @param {Object} fileData - ファイル情報
+ */
+async function loadSubtitleTracks(fileData) {
+  const artifacts = Object.values((fileData.metadata && fileData.metadata.artifacts) || {})
+    .filter((artifact) => artifact.kind === 'subtitles');
+  if (fileData.media_type !== 'video' || artifacts.length === 0) {
+    return;
+  }
+
+  const videoPlayer = document.getElementById('videoPlayer');
+  const select = document.getElementById('subtitleSelect');
+
+  for (const artifact of artifacts) {
+    const response = await fetch(getAssetUrl(artifact.url));
+    if (!response.ok) {
+      console.warn(`⚠️ Could not load subtitles (${artifact.language}): HTTP ${response.status}`);
+      continue;
+    }
+
+    const track = document.createElement('track');
+    track.kind = 'subtitles';
+    track.srclang = artifact.language;
+    track.label = artifact.burned ? `${artifact.label} (burned in)` : artifact.label;
+    track.src = URL.createObjectURL(new Blob([await response.text()], { type: 'text/vtt' }));
+    videoPlayer.appendChild(track);
+
+    select.add(new Option(track.label, String(viewerState.subtitleTracks.length)));
+    viewerState.subtitleTracks.push({ element: track, language: artifact.language, burned: Boolean(artifact.burned) });
+  }
+
+  if (viewerState.subtitleTracks.length === 0) {
+    return;
+  }
+
+  const language = (navigator.language || '').split('-')[0].toLowerCase();
+  const hasBurned = viewerState.subtitleTracks.some((track) => track.burned);
+  const index = hasBurned
+    ? -1
+    : viewerState.subtitleTracks.findIndex((track) => track.language.split('-')[0].toLowerCase() === language);
+
+  select.value = index === -1 ? '' : String(index);
+  select.style.display = 'block';
+  selectSubtitleTrack(index);
+  console.log(`💬 Loaded ${viewerState.subtitleTracks.length} subtitle tracks`);
+}
+
+/**
+ * 表示する字幕を切り替え
+ * @param {number} index - viewerState.subtitleTracks の位置（-1 は字幕なし）
+ */
+function selectSubtitleTrack(index) {
+  viewerState.subtitleTracks.forEach((track, i) => {
+    track.element.track.mode = i === index ? 'showing' : 'disabled';
+  });
+}
+
+/**
+ * サムネイル用 WebVTT を解析
+ * 例: "00:00:04.000 --> 00:00:08.000\nhttps://.../sprite.jpg#xywh=160,0,160,90"
+ * @param {string} text - WebVTT の内容
+ * @param {string} baseUrl - 相対 URL の基準
+ * @returns {Array} - [{ start, end, url, x, y, width, height }]
+ */
+function parseSpriteTrack(text, baseUrl) {
+  const cues = [];
+  const blocks = text.replace(/\r/g, '').split(/\n{2,}/);
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n');
+    const timing = lines.findIndex((line) => line.includes('-->'));
+    if (timing === -1 || !lines[timing + 1]) {
+      return;
+    }
+
+    const [start, end] = lines[timing].split('-->').map((time) => parseTimestamp(time.trim()));
+    const [url, hash] = lines[timing + 1].trim().split('#');
+    const xywh = /xywh=(\d+),(\d+),(\d+),(\d+)/.exec(hash || '');
+    if (!xywh) {
+      return;
+    }
+
+    cues.push({
+      start: start,
+      end: end,
+      url: new URL(url, baseUrl).href,
+      x: Number(xywh[1]),
+      y: Number(xywh[2]),
+      width: Number(xywh[3]),
+      height: Number(xywh[4]),
+    });
+  });
+
+  return cues;
+}
+
+/**
+ * WebVTT のタイムスタンプ（hh:mm:ss.mmm / mm:ss.mmm）を秒に変換
+ * @param {string} timestamp
+ * @returns {number}
+ */
+function parseTimestamp(timestamp) {
+  return timestamp
+    .split(':')
+    .reduce((total, part) => total * 60 + parseFloat(part), 0);
+}
+
+/**
+ * 秒数を m:ss 形式に変換
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatTime(seconds) {
+  const total = Math.max(Math.floor(seconds), 0);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = String(total % 60).padStart(2, '0');
+
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+}
+
 /**
  * 準備中画面を表示
  */
@@ -132,18 +371,260 @@ function showContent(fileData) {
   document.getElementById('uploadTime').innerHTML =
     `<strong>Uploaded:</strong> ${uploadDate}`;
 
-  // 動画ソースを設定
+  // 動画・音声以外はダウンロードページを表示
+  if (fileData.media_type === 'video') {
+    showPlayer(fileData);
+  } else if (fileData.media_type === 'audio') {
+    showAudioPlayer(fileData);
+  } else {
+    showDownloadSection(fileData);
+  }
+
+  // 共有 URL を設定
+  const shareUrl = window.location.href;
+  document.getElementById('shareUrl').value = shareUrl;
+
+  updateSharePreview(fileData, shareUrl);
+}
+
+/**
+ * 動画プレイヤーを表示
+ * @param {Object} fileData - ファイル情報
+ */
+function showPlayer(fileData) {
+  // ポスター画像（アップロード時に生成したもの）
+  const videoPlayer = document.getElementById('videoPlayer');
+  const poster = getArtifact(fileData, 'poster');
+  if (poster) {
+    videoPlayer.poster = poster.url;
+  }
+
+  // 動画ソースを設定（HLS があればアダプティブ再生）
+  if (!attachStream(fileData)) {
+    setProgressiveSource(fileData);
+  }
+}
+
+/**
+ * 音声プレイヤーを表示（波形画像がない場合はプレイヤーのみ）
+ * @param {Object} fileData - ファイル情報
+ */
+function showAudioPlayer(fileData) {
+  const audioPlayer = document.getElementById('audioPlayer');
+  const waveform = getArtifact(fileData, 'waveform');
+
+  document.getElementById('playerSection').style.display = 'none';
+  document.getElementById('audioSection').style.display = 'flex';
+
+  if (waveform) {
+    document.getElementById('waveformImage').src = waveform.url;
+  } else {
+    document.getElementById('waveform').style.display = 'none';
+  }
+
+  audioPlayer.src = fileData.download_url;
+}
+
+/**
+ * 動画・音声以外のファイルのダウンロードページを表示
+ * @param {Object} fileData - ファイル情報
+ */
+function showDownloadSection(fileData) {
+  const ext = fileData.metadata.file_ext ||
+    ((/\.([a-z0-9]+)$/i.exec(fileData.original_filename || '') || [])[1]) || 'file';
+
+  document.getElementById('playerSection').style.display = 'none';
+  document.getElementById('downloadSection').style.display = 'flex';
+  document.getElementById('fileTypeBadge').textContent = ext.toUpperCase().slice(0, 5);
+  document.getElementById('fileType').textContent = fileData.content_type;
+
+  // 画像は分割されていなければそのまま表示
+  if (fileData.media_type === 'image' && fileData.download_url) {
+    const preview = document.getElementById('imagePreview');
+    preview.src = fileData.download_url;
+    preview.alt = fileData.title || '';
+    preview.style.display = 'block';
+    document.getElementById('fileTypeBadge').style.display = 'none';
+  }
+}
+
+/**
+ * アップロード時に生成した付随ファイル（metadata.artifacts）を取得
+ * @param {Object} fileData - ファイル情報
+ * @param {string} key - 'poster' | 'thumbnail'
+ * @returns {Object|null} - { name, url, size, content_type, width, height }
+ */
+function getArtifact(fileData, key) {
+  const artifacts = (fileData.metadata && fileData.metadata.artifacts) || {};
+  return artifacts[key] || null;
+}
+
+/**
+ * ソーシャルシェア用のメタタグを更新
+ * （JavaScript を実行するクローラー向け。実行しないクローラーには viewer.html の既定値が使われる）
+ * @param {Object} fileData - ファイル情報
+ * @param {string} shareUrl - 共有 URL
+ */
+function updateSharePreview(fileData, shareUrl) {
+  const title = fileData.title || fileData.original_filename || getMediaLabel(fileData);
+  const poster = getArtifact(fileData, 'poster') || getImagePreview(fileData);
+
+  document.title = `${title} - Gofile Clone`;
+  setMetaTag('property', 'og:type', fileData.media_type === 'video' ? 'video.other' : 'website');
+  setMetaTag('property', 'og:title', title);
+  setMetaTag('property', 'og:url', shareUrl);
+
+  if (poster) {
+    setMetaTag('property', 'og:image', poster.url);
+    setMetaTag('property', 'og:image:width', String(poster.width));
+    setMetaTag('property', 'og:image:height', String(poster.height));
+    setMetaTag('name', 'twitter:image', poster.url);
+  }
+}
+
+/**
+ * 画像ファイル自体を共有用の画像として使う（ポスター画像がない場合）
+ * @param {Object} fileData - ファイル情報
+ * @returns {Object|null} - { url, width, height }
+ */
+function getImagePreview(fileData) {
+  if (fileData.media_type !== 'image' || !fileData.download_url) {
+    return null;
+  }
+
+  return { url: fileData.download_url, width: fileData.metadata.width, height: fileData.metadata.height };
+}
+
+/**
+ * 表示・共有文言用のファイルの種類
+ * @param {Object} fileData - ファイル情報
+ * @returns {string} - 'Video' | 'Audio' | 'Image' | 'File'
+ */
+function getMediaLabel(fileData) {
+  const type = fileData ? fileData.media_type : 'video';
+  return { video: 'Video', audio: 'Audio', image: 'Image' }[type] || 'File';
+}
+
+/**
+ * メタタグを設定（存在しない場合は作成）
+ * @param {string} attribute - 'property' | 'name'
+ * @param {string} key
+ * @param {string} content
+ */
+function setMetaTag(attribute, key, content) {
+  let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+
+  if (!meta) {
+    meta = document.createElement('meta');
+    meta.setAttribute(attribute, key);
+    document.head.appendChild(meta);
+  }
+
+  meta.setAttribute('content', content);
+}
+
+/**
+ * 通常の（1 ファイルの）動画を再生
+ * @param {Object} fileData - ファイル情報
+ */
+function setProgressiveSource(fileData) {
+  const videoPlayer = document.getElementById('videoPlayer');
   const videoSource = document.getElementById('videoSource');
+
+  videoPlayer.removeAttribute('src');
   videoSource.src = fileData.download_url;
-  videoSource.type = 'video/mp4';
+  videoSource.type = fileData.content_type;
 
   // ビデオプレイヤーを再読み込み
-  const videoPlayer = document.getElementById('videoPlayer');
   videoPlayer.load();
+}
 
-  // 共有 URL を設定
-  const shareUrl = window.location.href;
-  document.getElementById('shareUrl').value = shareUrl;
+/**
+ * HLS で再生できるか（HLS が生成されていて、ブラウザがネイティブまたは hls.js で再生できる）
+ * @param {Object} fileData - ファイル情報
+ * @returns {boolean}
+ */
+function canStream(fileData) {
+  if (!getArtifact(fileData, 'hls')) {
+    return false;
+  }
+
+  const video = document.createElement('video');
+  return Boolean(video.canPlayType('application/vnd.apple.mpegurl')) ||
+    Boolean(window.Hls && window.Hls.isSupported());
+}
+
+/**
+ * HLS のマスタープレイリストを再生（帯域に応じて解像度を切り替える）
+ * 再生できなくなった場合は通常の動画に切り替える。
+ * @param {Object} fileData - ファイル情報
+ * @returns {boolean} - HLS で再生を開始したか
+ */
+function attachStream(fileData) {
+  if (!canStream(fileData)) {
+    return false;
+  }
+
+  const videoPlayer = document.getElementById('videoPlayer');
+  // プレイリスト・セグメントは hls.js が XHR で読み込むため、サイト経由にする（CORS）
+  const url = getAssetUrl(getArtifact(fileData, 'hls').url);
+
+  const fallback = () => {
+    console.warn('⚠️ HLS playback failed, switching to the original file');
+    setProgressiveSource(fileData);
+  };
+
+  // Safari などはネイティブで再生
+  if (videoPlayer.canPlayType('application/vnd.apple.mpegurl')) {
+    videoPlayer.addEventListener('error', fallback, { once: true });
+    videoPlayer.src = url;
+    console.log('📺 Playing HLS natively');
+    return true;
+  }
+
+  const hls = new window.Hls();
+  hls.on(window.Hls.Events.ERROR, (event, data) => {
+    if (data.fatal) {
+      hls.destroy();
+      viewerState.hls = null;
+      fallback();
+    }
+  });
+  hls.loadSource(url);
+  hls.attachMedia(videoPlayer);
+  viewerState.hls = hls;
+
+  console.log('📺 Playing HLS with hls.js');
+  return true;
+}
+
+/**
+ * ダウンロード時のファイル名（拡張子は保存された形式に合わせる）
+ * @param {Object} fileData - ファイル情報
+ * @returns {string}
+ */
+function getDownloadName(fileData) {
+  const original = fileData.original_filename || 'download';
+  const ext = fileData.metadata && fileData.metadata.file_ext;
+
+  return ext ? `${original.replace(/\.[^/.]+$/, '')}.${ext}` : original;
+}
+
+/**
+ * ファイルをダウンロード（分割ファイルもサイト経由で 1 つのファイルとして保存される）
+ */
+function downloadFile() {
+  if (!viewerState.fileData) {
+    return;
+  }
+
+  const link = document.createElement('a');
+  link.href = viewerState.fileData.download_url;
+  link.download = getDownloadName(viewerState.fileData);
+  link.target = '_blank';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
 }
 
 /**
@@ -180,15 +661,19 @@ function setupEventListeners() {
 
   // ダウンロードボタン
   document.getElementById('downloadBtn')?.addEventListener('click', () => {
-    if (viewerState.fileData) {
-      const link = document.createElement('a');
-      link.href = viewerState.fileData.download_url;
-      link.download = viewerState.fileData.original_filename || 'download';
-      link.target = '_blank';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-    }
+    downloadFile();
+  });
+
+  // 音声・その他のファイルのダウンロードボタン
+  ['audioDownloadBtn', 'fileDownloadBtn'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('click', () => {
+      downloadFile();
+    });
+  });
+
+  // 字幕の言語選択
+  document.getElementById('subtitleSelect')?.addEventListener('change', (e) => {
+    selectSubtitleTrack(e.target.value === '' ? -1 : Number(e.target.value));
   });
 
   // 再生ボタン
@@ -246,6 +731,12 @@ function setupEventListeners() {
     document.getElementById('charCount').textContent = `${count}/500`;
   });
 
+  // シークバー
+  setupSeekBar();
+
+  // 音声の波形
+  setupWaveform();
+
   // ソーシャルシェア
   setupSocialShare();
 
@@ -257,6 +748,89 @@ function setupEventListeners() {
   });
 }
 
+/**
+ * シークバー（再生位置の表示・クリックでシーク・ホバーでプレビュー）
+ */
+function setupSeekBar() {
+  const videoPlayer = document.getElementById('videoPlayer');
+  const seekBar = document.getElementById('seekBar');
+  if (!videoPlayer || !seekBar) {
+    return;
+  }
+
+  const seekProgress = document.getElementById('seekProgress');
+  const preview = document.getElementById('seekPreview');
+  const previewImage = document.getElementById('seekPreviewImage');
+  const previewTime = document.getElementById('seekPreviewTime');
+
+  const getDuration = () => videoPlayer.duration ||
+    (viewerState.fileData && viewerState.fileData.metadata.duration) || 0;
+
+  // シークバー上の位置 → 再生時間
+  const getTimeAt = (e) => {
+    const rect = seekBar.getBoundingClientRect();
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    return { ratio: ratio, time: ratio * getDuration() };
+  };
+
+  videoPlayer.addEventListener('timeupdate', () => {
+    const duration = getDuration();
+    seekProgress.style.width = duration > 0 ? (videoPlayer.currentTime / duration) * 100 + '%' : '0';
+  });
+
+  seekBar.addEventListener('click', (e) => {
+    if (getDuration() > 0) {
+      videoPlayer.currentTime = getTimeAt(e).time;
+    }
+  });
+
+  seekBar.addEventListener('mousemove', (e) => {
+    const { ratio, time } = getTimeAt(e);
+    const cue = viewerState.spriteCues.find((c) => time >= c.start && time < c.end) ||
+      viewerState.spriteCues[viewerState.spriteCues.length - 1];
+
+    preview.style.left = ratio * 100 + '%';
+    previewTime.textContent = formatTime(time);
+
+    if (cue) {
+      previewImage.style.display = 'block';
+      previewImage.style.width = cue.width + 'px';
+      previewImage.style.height = cue.height + 'px';
+      previewImage.style.backgroundImage = `url("${cue.url}")`;
+      previewImage.style.backgroundPosition = `-${cue.x}px -${cue.y}px`;
+    } else {
+      previewImage.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * 音声の波形（再生済みの範囲を表示・クリックでシーク）
+ */
+function setupWaveform() {
+  const audioPlayer = document.getElementById('audioPlayer');
+  const waveform = document.getElementById('waveform');
+  if (!audioPlayer || !waveform) {
+    return;
+  }
+
+  const progress = document.getElementById('waveformProgress');
+
+  audioPlayer.addEventListener('timeupdate', () => {
+    const duration = audioPlayer.duration || 0;
+    progress.style.width = duration > 0 ? (audioPlayer.currentTime / duration) * 100 + '%' : '0';
+  });
+
+  waveform.addEventListener('click', (e) => {
+    const rect = waveform.getBoundingClientRect();
+    const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+
+    if (audioPlayer.duration > 0) {
+      audioPlayer.currentTime = ratio * audioPlayer.duration;
+    }
+  });
+}
+
 /**
  * ソーシャルシェア機能
  */
@@ -264,7 +838,8 @@ function setupSocialShare() {
   const shareUrl = window.location.href;
 
   document.getElementById('shareTwitter')?.addEventListener('click', () => {
-    const text = encodeURIComponent(`Check out this video: "${viewerState.fileData?.title || 'Video'}"`);
+    const label = getMediaLabel(viewerState.fileData);
+    const text = encodeURIComponent(`Check out this ${label.toLowerCase()}: "${viewerState.fileData?.title || label}"`);
     window.open(
       `https://twitter.com/intent/tweet?text=${text}&url=${encodeURIComponent(shareUrl)}`,
       '_blank',
@@ -280,8 +855,9 @@ function setupSocialShare() {
   });
 
   document.getElementById('shareEmail')?.addEventListener('click', () => {
-    const subject = encodeURIComponent(`Video: ${viewerState.fileData?.title || 'Shared Video'}`);
-    const body = encodeURIComponent(`Check out this video:\n\n${shareUrl}`);
+    const label = getMediaLabel(viewerState.fileData);
+    const subject = encodeURIComponent(`${label}: ${viewerState.fileData?.title || `Shared ${label}`}`);
+    const body = encodeURIComponent(`Check out this ${label.toLowerCase()}:\n\n${shareUrl}`);
     window.location.href = `mailto:?subject=${subject}&body=${body}`;
   });
 }
\ No newline at end of file
@@ -96,6 +96,27 @@ class NetlifyAPIClient {
     return response.data;
   }
 
+  /**
+   * Blob を Base64 文字列に変換
+   * @param {Blob} blob
+   * @returns {Promise<string>}
+   */
+  blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+
+      reader.onload = () => {
+        resolve(reader.result.split(',')[1]);
+      };
+
+      reader.onerror = () => {
+        reject(new Error('Failed to read file'));
+      };
+
+      reader.readAsDataURL(blob);
+    });
+  }
+
   /**
    * ファイルをアップロード
    * @param {Blob} fileBlob - 圧縮済みファイル
@@ -108,44 +129,29 @@ class NetlifyAPIClient {
     console.log(`📤 Uploading asset: ${fileName}`);
 
     // Blob を Base64 に変換
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader();
-
-      reader.onload = async () => {
-        try {
-          const base64 = reader.result.split(',')[1];
-
-          onProgress(50, 'Sending to server...');
-
-          const response = await this.request('github-upload', {
-            method: 'POST',
-            body: {
-              action: 'upload-asset',
-              fileBase64: base64,
-              uploadUrl: uploadUrl,
-              fileName: fileName,
-            },
-          });
-
-          if (!response.success) {
-            throw new Error(response.error || 'Failed to upload asset');
-          }
-
-          onProgress(100, 'Upload complete');
-          console.log('✅ Asset uploaded:', response.data.asset_id);
-
-          resolve(response.data);
-        } catch (error) {
-          reject(error);
-        }
-      };
+    const base64 = await this.blobToBase64(fileBlob);
 
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'));
-      };
+    onProgress(50, 'Sending to server...');
 
-      reader.readAsDataURL(fileBlob);
+    const response = await this.request('github-upload', {
+      method: 'POST',
+      body: {
+        action: 'upload-asset',
+        fileBase64: base64,
+        uploadUrl: uploadUrl,
+        fileName: fileName,
+        contentType: fileBlob.type || undefined,
+      },
     });
+
+    if (!response.success) {
+      throw new Error(response.error || 'Failed to upload asset');
+    }
+
+    onProgress(100, 'Upload complete');
+    console.log('✅ Asset uploaded:', response.data.asset_id);
+
+    return response.data;
   }
 
   /**
@@ -233,42 +239,22 @@ class NetlifyAPIClient {
 
   /**
    * 一括アップロード（Release + Asset）
+   * 分割アップロード・上限の確認・レジュームは GitHubUploadManagerNetlify に任せる
+   * （js/github-api-netlify.js を先に読み込む）
    * @param {Blob} fileBlob - 圧縮済みファイル
    * @param {Object} metadata - メタデータ
    * @param {Function} onProgress - 進捗コールバック
+   * @param {Object} options - GitHubUploadManagerNetlify.uploadWithMetadata() の options
    * @returns {Promise<Object>}
    */
-  async uploadWithMetadata(fileBlob, metadata, onProgress = () => {}) {
+  async uploadWithMetadata(fileBlob, metadata, onProgress = () => {}, options = {}) {
+    const uploader = new GitHubUploadManagerNetlify({
+      apiBaseUrl: this.baseUrl,
+      requestTimeout: this.requestTimeout,
+    });
+
     try {
-      onProgress(0, 'Creating release...');
-
-      // 1. Release を作成
-      const release = await this.createRelease(
-        `video_${metadata.file_id}`,
-        metadata
-      );
-
-      onProgress(25, 'Uploading file...');
-
-      // 2. Asset をアップロード
-      const asset = await this.uploadAsset(
-        fileBlob,
-        release.upload_url,
-        `${metadata.file_id}.mp4`,
-        (percent, message) => {
-          const overallPercent = 25 + percent * 0.75;
-          onProgress(overallPercent, message);
-        }
-      );
-
-      onProgress(100, 'Upload complete!');
-
-      return {
-        release_id: release.release_id,
-        asset_id: asset.asset_id,
-        asset_url: asset.download_url,
-        release_url: release.html_url,
-      };
+      return await uploader.uploadWithMetadata(fileBlob, metadata, onProgress, options);
     } catch (error) {
       console.error('❌ Upload failed:', error);
       throw error;
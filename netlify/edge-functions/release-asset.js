@@ -0,0 +1,391 @@
+/**
+ * netlify/edge-functions/release-asset.js
+ *
+ * Release Asset をサイトと同じオリジンから配信する Netlify Edge Function
+ *
+ * リクエスト:
+ * GET /release-assets/<タグ>/<ファイル名>
+ * GET /release-assets/<タグ>/<ファイル名>?parts=3&part_size=4194304&size=10485760&type=video%2Fmp4
+ *
+ * GitHub のダウンロード URL（browser_download_url）は objects.githubusercontent.com に
+ * リダイレクトされ、fetch や hls.js からは CORS で読み込めないため、ここで中継する。
+ * - Range リクエストに対応（動画のシーク）
+ * - HLS のプレイリスト内の Release Asset の URL をここを経由する URL に書き換える
+ *   （hls.js はセグメントも fetch / XHR で読み込むため）
+ * - parts を指定すると、分割アップロードされたパート（<ファイル名>.part0001 ...）を
+ *   1 つのファイルとして返す（メモリに読み込まずに順番に中継する）
+ *
+ * Netlify Functions はレスポンスが約 6MB までで、ストリーミングもできないため Edge Function にしている。
+ * 中継するのは GITHUB_OWNER / GITHUB_REPO の Release のみ。
+ *
+ * 誰でも任意のファイルをアップロードできるため、サイトと同じオリジンでページやスクリプトとして
+ * 解釈される形式では返さない（Content-Type は動画・音声・画像などの許可した形式のみ、
+ * それ以外は application/octet-stream でダウンロードさせ、すべてのレスポンスに nosniff を付ける）。
+ */
+
+// github-upload.js の MAX_PARTS / PART_INDEX_DIGITS と同じ
+const MAX_PARTS = 999;
+const PART_INDEX_DIGITS = 4;
+
+// そのまま返すレスポンスヘッダー
+const FORWARDED_HEADERS = ['Content-Type', 'Content-Length', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified'];
+
+// そのままの Content-Type で返す形式（SVG はスクリプトを含められるため除く）
+const MEDIA_TYPE_PATTERN = /^(video|audio|image)\/[a-z0-9.+-]+$/;
+const UNSAFE_MEDIA_TYPES = ['image/svg+xml'];
+const PLAYLIST_CONTENT_TYPES = ['application/vnd.apple.mpegurl'];
+const TEXT_CONTENT_TYPES = ['text/vtt', 'text/plain'];
+
+// 参照先の URL を書き換える形式（アップロード時に GitHubUploadManagerNetlify.rewriteReferences() で
+// ファイル名を GitHub のダウンロード URL に置き換えたもの）と Content-Type
+const PLAYLIST_TYPES = { '.m3u8': 'application/vnd.apple.mpegurl' };
+
+// Release Asset は上書きされないため、ブラウザ・CDN にキャッシュさせる
+const CACHE_CONTROL = 'public, max-age=86400';
+
+export default async (request) => {
+  return secureResponse(await handleRequest(request));
+};
+
+/**
+ * リクエストを処理
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function handleRequest(request) {
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405, headers: { Allow: 'GET, HEAD' } });
+  }
+
+  const url = new URL(request.url);
+  const asset = parseAssetPath(url.pathname);
+  if (!asset) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  try {
+    if (url.searchParams.has('parts')) {
+      const layout = parseLayout(url.searchParams);
+      if (!layout) {
+        return new Response('Invalid part layout', { status: 400 });
+      }
+
+      return await servePartedAsset(request, asset, layout);
+    }
+
+    return await serveAsset(request, asset);
+  } catch (error) {
+    console.error(`[release-asset] ${asset.tag}/${asset.name}:`, error.message);
+    return new Response('Could not load the file', { status: 502 });
+  }
+}
+
+/**
+ * Content-Type を許可した形式に制限し、ブラウザに解釈させないヘッダーを付ける
+ * @param {Response} response
+ * @returns {Response}
+ */
+function secureResponse(response) {
+  const type = getSafeContentType(response.headers.get('Content-Type'));
+
+  response.headers.set('Content-Type', type);
+  response.headers.set('X-Content-Type-Options', 'nosniff');
+
+  // 動画・音声・画像・プレイリスト以外はページ内で開かずにダウンロードさせる
+  if (response.ok && !isMediaType(type) && !PLAYLIST_CONTENT_TYPES.includes(type)) {
+    response.headers.set('Content-Disposition', 'attachment');
+  }
+
+  return response;
+}
+
+/**
+ * 返してよい Content-Type に変換（許可していない形式は application/octet-stream）
+ * @param {string|null} value - アップロード時・クエリで指定された Content-Type
+ * @returns {string}
+ */
+function getSafeContentType(value) {
+  const type = (value || '').split(';')[0].trim().toLowerCase();
+
+  if (isMediaType(type) || PLAYLIST_CONTENT_TYPES.includes(type) || TEXT_CONTENT_TYPES.includes(type)) {
+    return type;
+  }
+
+  return 'application/octet-stream';
+}
+
+/**
+ * 動画・音声・画像の形式か
+ * @param {string} type
+ * @returns {boolean}
+ */
+function isMediaType(type) {
+  return MEDIA_TYPE_PATTERN.test(type) && !UNSAFE_MEDIA_TYPES.includes(type);
+}
+
+/**
+ * パスからタグとファイル名を取得
+ * @param {string} pathname - 例: /release-assets/video_abc123/video_abc123.mp4
+ * @returns {Object|null} - { tag, name }（不正なパスは null）
+ */
+function parseAssetPath(pathname) {
+  const segments = pathname.replace(/^\/release-assets\//, '').split('/');
+  if (segments.length !== 2) {
+    return null;
+  }
+
+  let tag;
+  let name;
+  try {
+    tag = decodeURIComponent(segments[0]);
+    name = decodeURIComponent(segments[1]);
+  } catch (e) {
+    return null;
+  }
+
+  const valid = [tag, name].every((value) => value && !value.includes('/') && value !== '.' && value !== '..');
+  return valid ? { tag, name } : null;
+}
+
+/**
+ * 分割アップロードのパート構成を取得
+ * @param {URLSearchParams} params - parts / part_size / size / type
+ * @returns {Object|null} - { count, partSize, size, type }（不正な値は null）
+ */
+function parseLayout(params) {
+  const count = toInteger(params.get('parts'));
+  const partSize = toInteger(params.get('part_size'));
+  const size = toInteger(params.get('size'));
+
+  if (!(count >= 1 && count <= MAX_PARTS && partSize > 0 && size > 0) || Math.ceil(size / partSize) !== count) {
+    return null;
+  }
+
+  // type は誰でも指定できるため、許可した形式以外は application/octet-stream にする
+  return { count, partSize, size, type: getSafeContentType(params.get('type')) };
+}
+
+/**
+ * 1 つの Release Asset を中継
+ * @param {Request} request
+ * @param {Object} asset - { tag, name }
+ * @returns {Promise<Response>}
+ */
+async function serveAsset(request, { tag, name }) {
+  const extension = name.slice(name.lastIndexOf('.')).toLowerCase();
+  if (PLAYLIST_TYPES[extension]) {
+    return servePlaylist(request, { tag, name }, PLAYLIST_TYPES[extension]);
+  }
+
+  const upstream = await fetchAsset(tag, name, request.headers.get('Range'));
+  const headers = new Headers({ 'Cache-Control': CACHE_CONTROL });
+
+  FORWARDED_HEADERS.forEach((key) => {
+    if (upstream.headers.has(key)) {
+      headers.set(key, upstream.headers.get(key));
+    }
+  });
+
+  return new Response(request.method === 'HEAD' ? null : upstream.body, { status: upstream.status, headers });
+}
+
+/**
+ * HLS のプレイリストを中継（GitHub のダウンロード URL をここを経由する URL に書き換える）
+ * @param {Request} request
+ * @param {Object} asset - { tag, name }
+ * @param {string} contentType
+ * @returns {Promise<Response>}
+ */
+async function servePlaylist(request, { tag, name }, contentType) {
+  const upstream = await fetchAsset(tag, name);
+  if (!upstream.ok) {
+    return new Response(null, { status: upstream.status });
+  }
+
+  const text = (await upstream.text()).split(getDownloadBaseURL()).join('/release-assets/');
+  const headers = new Headers({ 'Content-Type': contentType, 'Cache-Control': CACHE_CONTROL });
+
+  return new Response(request.method === 'HEAD' ? null : text, { status: 200, headers });
+}
+
+/**
+ * 分割アップロードされたパートを 1 つのファイルとして中継
+ *
+ * Range を指定された場合は、開始位置を含むパートに収まる範囲だけを返す
+ * （ブラウザは残りの範囲を続けて要求する）。
+ * @param {Request} request
+ * @param {Object} asset - { tag, name }
+ * @param {Object} layout - parseLayout() の戻り値
+ * @returns {Promise<Response>}
+ */
+async function servePartedAsset(request, { tag, name }, layout) {
+  const headers = new Headers({
+    'Content-Type': layout.type,
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': CACHE_CONTROL,
+  });
+
+  const range = parseRange(request.headers.get('Range'), layout.size);
+
+  if (range === false) {
+    headers.set('Content-Range', `bytes */${layout.size}`);
+    return new Response(null, { status: 416, headers });
+  }
+
+  if (!range) {
+    headers.set('Content-Length', String(layout.size));
+    if (request.method === 'HEAD') {
+      return new Response(null, { status: 200, headers });
+    }
+
+    // 最初のパートはレスポンスを返す前に取得し、取得できなければエラーにする
+    const first = await fetchPart(tag, name, 0);
+    return new Response(streamParts(tag, name, layout.count, first), { status: 200, headers });
+  }
+
+  const index = Math.floor(range.start / layout.partSize);
+  const partStart = index * layout.partSize;
+  const end = Math.min(range.end, partStart + layout.partSize - 1);
+
+  const upstream = await fetchAsset(
+    tag,
+    getPartName(name, index),
+    `bytes=${range.start - partStart}-${end - partStart}`
+  );
+
+  if (upstream.status !== 206) {
+    throw new Error(`Could not download ${getPartName(name, index)} (HTTP ${upstream.status})`);
+  }
+
+  headers.set('Content-Range', `bytes ${range.start}-${end}/${layout.size}`);
+  headers.set('Content-Length', String(end - range.start + 1));
+
+  return new Response(request.method === 'HEAD' ? null : upstream.body, { status: 206, headers });
+}
+
+/**
+ * パートを順番に読み込むストリームを作成（次のパートは前のパートを送り終えてから取得する）
+ * @param {string} tag
+ * @param {string} name - 元のファイル名
+ * @param {number} count - パート数
+ * @param {Response} first - 取得済みの最初のパート
+ * @returns {ReadableStream}
+ */
+function streamParts(tag, name, count, first) {
+  let index = 1;
+  let reader = first.body.getReader();
+
+  return new ReadableStream({
+    async pull(controller) {
+      for (;;) {
+        if (!reader) {
+          if (index === count) {
+            controller.close();
+            return;
+          }
+
+          const upstream = await fetchPart(tag, name, index);
+          index++;
+          reader = upstream.body.getReader();
+        }
+
+        const { done, value } = await reader.read();
+        if (done) {
+          reader = null;
+          continue;
+        }
+
+        controller.enqueue(value);
+        return;
+      }
+    },
+
+    cancel(reason) {
+      if (reader) {
+        return reader.cancel(reason);
+      }
+    },
+  });
+}
+
+/**
+ * Range ヘッダーを解析（1 つの範囲のみ対応）
+ * @param {string|null} header - 例: "bytes=0-1023" / "bytes=1024-" / "bytes=-500"
+ * @param {number} size - ファイル全体のサイズ
+ * @returns {Object|null|false} - { start, end }（指定なし・対応していない形式は null、範囲外は false）
+ */
+function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec((header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  let start;
+  let end;
+
+  if (match[1] === '') {
+    // 末尾から N バイト
+    start = Math.max(size - parseInt(match[2], 10), 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  return start < size && start <= end ? { start, end } : false;
+}
+
+/**
+ * GitHub から Release Asset を取得
+ * @param {string} tag
+ * @param {string} name
+ * @param {string|null} range - Range ヘッダー
+ * @returns {Promise<Response>}
+ */
+async function fetchAsset(tag, name, range = null) {
+  const url = `${getDownloadBaseURL()}${encodeURIComponent(tag)}/${encodeURIComponent(name)}`;
+  return fetch(url, { headers: range ? { Range: range } : {} });
+}
+
+/**
+ * Release Asset のダウンロード URL の共通部分
+ * @returns {string} - 例: https://github.com/owner/repo/releases/download/
+ */
+function getDownloadBaseURL() {
+  return `https://github.com/${Netlify.env.get('GITHUB_OWNER')}/${Netlify.env.get('GITHUB_REPO')}/releases/download/`;
+}
+
+/**
+ * パートを取得
+ * @param {string} tag
+ * @param {string} name - 元のファイル名
+ * @param {number} index - 0 始まり
+ * @returns {Promise<Response>}
+ */
+async function fetchPart(tag, name, index) {
+  const partName = getPartName(name, index);
+  const upstream = await fetchAsset(tag, partName);
+  if (!upstream.ok) {
+    throw new Error(`Could not download ${partName} (HTTP ${upstream.status})`);
+  }
+  return upstream;
+}
+
+/**
+ * パートの Asset 名（github-upload.js の getPartName() と同じ）
+ * @param {string} fileName
+ * @param {number} index - 0 始まり
+ * @returns {string}
+ */
+function getPartName(fileName, index) {
+  return `${fileName}.part${String(index + 1).padStart(PART_INDEX_DIGITS, '0')}`;
+}
+
+/**
+ * 正の整数に変換
+ * @param {string|null} value
+ * @returns {number} - 変換できない場合は NaN
+ */
+function toInteger(value) {
+  return /^\d+$/.test(value || '') ? parseInt(value, 10) : NaN;
+}
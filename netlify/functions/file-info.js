@@ -134,6 +134,25 @@ async function getRelease(releaseId) {
   });
 }
 
+/**
+ * Release 本文のメタデータから一覧表示用の付随ファイル（サムネイル・プレビュー動画）の URL を取得
+ * @param {string} body - Release 本文
+ * @returns {Object} - { thumbnail_url, preview_url }
+ */
+function getArtifactUrls(body) {
+  let artifacts = {};
+  try {
+    artifacts = JSON.parse(body || '{}').artifacts || {};
+  } catch (e) {
+    // メタデータのない Release
+  }
+
+  return {
+    thumbnail_url: artifacts.thumbnail ? artifacts.thumbnail.url : null,
+    preview_url: artifacts.preview ? artifacts.preview.url : null,
+  };
+}
+
 /**
  * リポジトリの最新 Release を取得
  * @returns {Promise<Array>}
@@ -156,6 +175,7 @@ async function getLatestReleases(limit = 10) {
         (sum, asset) => sum + asset.download_count,
         0
       ),
+      ...getArtifactUrls(data.body),
     }));
   });
 }
@@ -6,13 +6,26 @@
  * リクエスト:
  * POST /api/github-upload
  * {
- *   action: "create-release" | "upload-asset" | "get-info",
+ *   action: "create-release" | "upload-asset" | "upload-part" | "finalize-upload" | "list-parts" | "update-metadata" | "get-info",
  *   releaseTag: "video_abc123",
  *   fileName: "video_abc123.mp4",
  *   metadata: {...},
  *   contentType: "application/octet-stream",
  *   body: base64-encoded-file | null
  * }
+ *
+ * 分割アップロード:
+ * Netlify Functions のリクエストサイズ上限（約 6MB）を超えるファイルは、
+ * クライアント側でパートに分割し "upload-part" で 1 パートずつ
+ * Release Asset（<fileName>.part0001 ...）として保存する。
+ * 全パート送信後に "finalize-upload" を呼ぶと、パート一覧（manifest）を
+ * Release 本文のメタデータに書き込み、ビューアで 1 つのファイルとして読み込めるようにする
+ * （netlify/edge-functions/release-asset.js が順番に中継する）。
+ * 中断したアップロードは "list-parts" で送信済みパートを確認して再開できる。
+ *
+ * ポスター画像などの付随ファイルは "upload-asset" で保存した後、
+ * "update-metadata" で URL を Release 本文のメタデータ（artifacts）に記録する
+ * （その Release の Asset を指す URL のみ）。
  * 
  * レスポンス:
  * {
@@ -30,15 +43,24 @@ const GITHUB_TOKEN = process.env.GITHUB_TOKEN;
 const GITHUB_OWNER = process.env.GITHUB_OWNER;
 const GITHUB_REPO = process.env.GITHUB_REPO;
 
+// 分割アップロードのパート名サフィックス桁数（GitHub の Asset 上限 1000 件に合わせる）
+const PART_INDEX_DIGITS = 4;
+const MAX_PARTS = 999; // js/github-api-netlify.js の MAX_PARTS と同じ
+
 // Rate Limiting (簡易版)
 const requestCache = new Map();
 
+// Asset 系アクションは 1 ファイルで多数のリクエストになるため別枠で制限
+const ASSET_ACTIONS = ['upload-asset', 'upload-part'];
+const ASSET_RATE_LIMIT = 2000;
+
 /**
  * Rate Limit チェック
  * @param {string} clientId - クライアント識別子（IP アドレスなど）
+ * @param {number} limit - 1時間あたりの上限
  * @returns {boolean} - リクエスト許可フラグ
  */
-function checkRateLimit(clientId) {
+function checkRateLimit(clientId, limit = 60) {
   const now = Date.now();
   const window = 3600 * 1000; // 1時間
 
@@ -56,8 +78,8 @@ function checkRateLimit(clientId) {
 
   record.count++;
 
-  // 1時間に60回まで
-  return record.count <= 60;
+  // 1時間に limit 回まで
+  return record.count <= limit;
 }
 
 /**
@@ -106,7 +128,9 @@ async function githubRequest(method, path, body = null, headers = {}) {
             resolve({ status: res.statusCode, data: json });
           } else {
             const error = data ? JSON.parse(data) : { message: 'Unknown error' };
-            reject(new Error(`GitHub API Error (${res.statusCode}): ${error.message}`));
+            const apiError = new Error(`GitHub API Error (${res.statusCode}): ${error.message}`);
+            apiError.statusCode = res.statusCode;
+            reject(apiError);
           }
         } catch (e) {
           reject(new Error(`JSON Parse Error: ${e.message}`));
@@ -159,9 +183,10 @@ async function createRelease(releaseTag, metadata) {
  * @param {string} uploadUrl - upload_url（テンプレート）
  * @param {Buffer} fileData - ファイルデータ
  * @param {string} fileName - ファイル名
+ * @param {string} contentType - MIME タイプ
  * @returns {Promise<Object>} - Asset 情報
  */
-async function uploadAsset(uploadUrl, fileData, fileName) {
+async function uploadAsset(uploadUrl, fileData, fileName, contentType = 'application/octet-stream') {
   console.log(`[uploadAsset] File: ${fileName}, Size: ${fileData.length} bytes`);
 
   // upload_url テンプレートを展開
@@ -169,13 +194,30 @@ async function uploadAsset(uploadUrl, fileData, fileName) {
   const assetUrl = `${cleanUrl}?name=${encodeURIComponent(fileName)}`;
 
   const path = assetUrl.replace('https://uploads.github.com', '');
+  const upload = () => githubRequest('POST', path, fileData, { 'Content-Type': contentType });
+
+  let response;
+  try {
+    response = await upload();
+  } catch (error) {
+    // 同じ名前の途中で失敗したアップロード（state: "starter" など）があると 422 になるため、
+    // 削除してから 1 回だけ再試行する
+    // アップロード済みの Asset は上書きさせない（公開済みのファイルの差し替え・キャッシュとの不一致を防ぐ）
+    const releaseId = (cleanUrl.match(/\/releases\/(\d+)\/assets/) || [])[1];
+    if (error.statusCode !== 422 || !releaseId) {
+      throw error;
+    }
+
+    const release = await getRelease(releaseId);
+    const existing = release.assets.find((asset) => asset.name === fileName);
+    if (!existing || existing.state === 'uploaded') {
+      throw error;
+    }
 
-  const response = await githubRequest(
-    'POST',
-    path,
-    fileData,
-    { 'Content-Type': 'application/octet-stream' }
-  );
+    console.log(`[uploadAsset] Replacing existing asset: ${fileName} (${existing.state})`);
+    await deleteAsset(existing.id);
+    response = await upload();
+  }
 
   return {
     asset_id: response.data.id,
@@ -185,6 +227,233 @@ async function uploadAsset(uploadUrl, fileData, fileName) {
   };
 }
 
+/**
+ * パート番号から Asset 名を生成
+ * @param {string} fileName - 元のファイル名
+ * @param {number} index - パート番号（0 始まり）
+ * @returns {string} - 例: abc.mp4.part0001
+ */
+function getPartName(fileName, index) {
+  return `${fileName}.part${String(index + 1).padStart(PART_INDEX_DIGITS, '0')}`;
+}
+
+/**
+ * パートを Release Asset としてアップロード
+ * @param {string} uploadUrl - upload_url（テンプレート）
+ * @param {Buffer} partData - パートデータ
+ * @param {string} fileName - 元のファイル名
+ * @param {number} partIndex - パート番号（0 始まり）
+ * @returns {Promise<Object>} - Asset 情報
+ */
+async function uploadPart(uploadUrl, partData, fileName, partIndex) {
+  if (!Number.isInteger(partIndex) || partIndex < 0 || partIndex >= MAX_PARTS) {
+    throw new Error(`Invalid partIndex: ${partIndex}`);
+  }
+
+  const asset = await uploadAsset(uploadUrl, partData, getPartName(fileName, partIndex));
+
+  return {
+    ...asset,
+    part_index: partIndex,
+  };
+}
+
+/**
+ * Release のメタデータ（本文の JSON）を更新
+ * @param {number} releaseId - Release ID
+ * @param {Function} updater - 現在のメタデータを受け取り新しいメタデータを返す関数
+ * @returns {Promise<Object>} - 更新後のメタデータ
+ */
+async function updateReleaseMetadata(releaseId, updater) {
+  const release = await getRelease(releaseId);
+
+  let metadata = {};
+  if (release.body) {
+    try {
+      metadata = JSON.parse(release.body);
+    } catch (e) {
+      console.warn('[updateReleaseMetadata] Failed to parse metadata:', e.message);
+    }
+  }
+
+  const updated = updater(metadata, release);
+
+  const path = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/releases/${releaseId}`;
+  await githubRequest('PATCH', path, {
+    body: JSON.stringify(updated, null, 2),
+  });
+
+  return updated;
+}
+
+/**
+ * 分割アップロードを完了し、パート一覧をメタデータに記録
+ * @param {number} releaseId - Release ID
+ * @param {string} fileName - 元のファイル名
+ * @param {Object} info - { partCount, partSize, totalSize, contentType }
+ * @returns {Promise<Object>} - manifest
+ */
+async function finalizeUpload(releaseId, fileName, info) {
+  console.log(`[finalizeUpload] Release: ${releaseId}, File: ${fileName}`);
+
+  let manifest = null;
+
+  await updateReleaseMetadata(releaseId, (metadata, release) => {
+    const parts = [];
+
+    // GitHub 上に実在する Asset からパート一覧を組み立てる
+    for (let index = 0; index < info.partCount; index++) {
+      const name = getPartName(fileName, index);
+      const asset = release.assets.find((a) => a.name === name);
+
+      if (!asset) {
+        throw new Error(`Missing part ${index + 1}/${info.partCount}: ${name}`);
+      }
+
+      parts.push({ index, name, size: asset.size });
+    }
+
+    const totalSize = parts.reduce((sum, part) => sum + part.size, 0);
+    if (info.totalSize && totalSize !== info.totalSize) {
+      throw new Error(`Size mismatch: expected ${info.totalSize}, got ${totalSize}`);
+    }
+
+    manifest = {
+      file_name: fileName,
+      content_type: info.contentType || 'application/octet-stream',
+      total_size: totalSize,
+      part_size: info.partSize,
+      part_count: parts.length,
+      parts: parts,
+    };
+
+    return {
+      ...metadata,
+      upload_manifest: manifest,
+    };
+  });
+
+  return manifest;
+}
+
+/**
+ * Release に保存済みのパート・Asset を確認（レジューム用）
+ * @param {number} releaseId - Release ID
+ * @param {string} fileName - 元のファイル名
+ * @returns {Promise<Object>}
+ */
+async function listParts(releaseId, fileName) {
+  console.log(`[listParts] Release: ${releaseId}, File: ${fileName}`);
+
+  const release = await getRelease(releaseId);
+  const prefix = `${fileName}.part`;
+
+  // アップロード途中で失敗したパート（state: "starter"）は同じ名前でアップロードし直せないため削除する
+  // （このファイルのパート以外は触らない。付随ファイルは uploadAsset() が再試行時に置き換える）
+  const unfinished = release.assets.filter((asset) => asset.state !== 'uploaded' && asset.name.startsWith(prefix));
+  await Promise.all(unfinished.map((asset) => deleteAsset(asset.id)));
+
+  const uploaded = release.assets.filter((asset) => asset.state === 'uploaded');
+
+  const parts = uploaded
+    .filter((asset) => asset.name.startsWith(prefix))
+    .map((asset) => ({
+      index: parseInt(asset.name.slice(prefix.length), 10) - 1,
+      name: asset.name,
+      size: asset.size,
+    }))
+    .filter((part) => Number.isInteger(part.index))
+    .sort((a, b) => a.index - b.index);
+
+  const asset = uploaded.find((a) => a.name === fileName);
+  const toAsset = (a) => ({
+    asset_id: a.id,
+    name: a.name,
+    download_url: a.browser_download_url,
+    size: a.size,
+  });
+
+  return {
+    release_id: release.release_id,
+    upload_url: release.upload_url,
+    html_url: release.html_url,
+    parts: parts,
+    asset: asset ? toAsset(asset) : null,
+    // ポスター画像などパート以外の Asset
+    assets: uploaded.filter((a) => !a.name.startsWith(prefix)).map(toAsset),
+  };
+}
+
+/**
+ * Release のメタデータに付随ファイルの一覧（artifacts）を記録
+ * 書き換えられるのは artifacts のみで、URL はその Release の Asset を指すものに限る
+ * （他のサイトや別の Release のファイルをビューアに読み込ませない）
+ * @param {number} releaseId - Release ID
+ * @param {Object} values - { artifacts: { [key]: { name, url, ... } } }
+ * @returns {Promise<Object>} - 更新後のメタデータ
+ */
+async function updateMetadata(releaseId, values) {
+  console.log(`[updateMetadata] Release: ${releaseId}, Keys: ${Object.keys(values).join(', ')}`);
+
+  const invalid = Object.keys(values).filter((key) => key !== 'artifacts');
+  if (invalid.length > 0) {
+    throw new Error(`Cannot update metadata field: ${invalid.join(', ')}`);
+  }
+
+  const artifacts = values.artifacts;
+  if (!isPlainObject(artifacts) || !Object.values(artifacts).every(isPlainObject)) {
+    throw new Error('Invalid artifacts');
+  }
+
+  return updateReleaseMetadata(releaseId, (metadata, release) => {
+    const assetUrls = new Map(
+      release.assets
+        .filter((asset) => asset.state === 'uploaded')
+        .map((asset) => [asset.browser_download_url, asset.name])
+    );
+
+    for (const [key, artifact] of Object.entries(artifacts)) {
+      if (assetUrls.get(artifact.url) !== artifact.name) {
+        throw new Error(`Artifact is not an asset of this release: ${key}`);
+      }
+
+      // url 以外の値にも URL を含めさせない
+      const urls = collectUrls(artifact);
+      if (urls.some((url) => !assetUrls.has(url))) {
+        throw new Error(`Artifact is not an asset of this release: ${key}`);
+      }
+    }
+
+    return { ...metadata, artifacts };
+  });
+}
+
+/**
+ * 配列・null を除くオブジェクトか
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * 値に含まれる URL らしき文字列をすべて集める
+ * @param {*} value
+ * @returns {string[]}
+ */
+function collectUrls(value) {
+  if (typeof value === 'string') {
+    return /^(https?:|javascript:|data:|blob:|file:|\/\/)/i.test(value.trim()) ? [value] : [];
+  }
+
+  if (typeof value === 'object' && value !== null) {
+    return Object.values(value).flatMap(collectUrls);
+  }
+
+  return [];
+}
+
 /**
  * Release 情報を取得
  * @param {number} releaseId - Release ID
@@ -199,12 +468,28 @@ async function getRelease(releaseId) {
   return {
     release_id: response.data.id,
     tag_name: response.data.tag_name,
+    upload_url: response.data.upload_url,
+    html_url: response.data.html_url,
     assets: response.data.assets || [],
     created_at: response.data.created_at,
     body: response.data.body,
   };
 }
 
+/**
+ * Asset を削除
+ * @param {number} assetId - Asset ID
+ * @returns {Promise<boolean>}
+ */
+async function deleteAsset(assetId) {
+  console.log(`[deleteAsset] ID: ${assetId}`);
+
+  const path = `/repos/${GITHUB_OWNER}/${GITHUB_REPO}/releases/assets/${assetId}`;
+  await githubRequest('DELETE', path);
+
+  return true;
+}
+
 /**
  * Release を削除（Admin用）
  * @param {number} releaseId - Release ID
@@ -235,24 +520,32 @@ exports.handler = async (event, context) => {
     };
   }
 
-  // Rate Limit チェック
   const clientIp = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
-  if (!checkRateLimit(clientIp)) {
-    return {
-      statusCode: 429,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        success: false,
-        error: 'Rate limit exceeded. Max 60 requests per hour.',
-      }),
-    };
-  }
 
   try {
     // リクエストボディをパース
     const body = JSON.parse(event.body || '{}');
     const action = body.action || 'upload-asset';
 
+    // Rate Limit チェック
+    const isAssetAction = ASSET_ACTIONS.includes(action);
+    const allowed = isAssetAction
+      ? checkRateLimit(`${clientIp}:assets`, ASSET_RATE_LIMIT)
+      : checkRateLimit(clientIp);
+
+    if (!allowed) {
+      return {
+        statusCode: 429,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: false,
+          error: isAssetAction
+            ? `Rate limit exceeded. Max ${ASSET_RATE_LIMIT} asset uploads per hour.`
+            : 'Rate limit exceeded. Max 60 requests per hour.',
+        }),
+      };
+    }
+
     console.log(`[${action}] Request received from ${clientIp}`);
 
     let response;
@@ -269,7 +562,47 @@ exports.handler = async (event, context) => {
 
         // Base64 からバッファへ変換
         const fileBuffer = Buffer.from(body.fileBase64, 'base64');
-        response = await uploadAsset(body.uploadUrl, fileBuffer, body.fileName);
+        response = await uploadAsset(body.uploadUrl, fileBuffer, body.fileName, body.contentType);
+        break;
+
+      case 'upload-part':
+        if (!body.fileBase64 || !body.uploadUrl || !body.fileName) {
+          throw new Error('Missing fileBase64, uploadUrl or fileName');
+        }
+
+        response = await uploadPart(
+          body.uploadUrl,
+          Buffer.from(body.fileBase64, 'base64'),
+          body.fileName,
+          body.partIndex
+        );
+        break;
+
+      case 'finalize-upload':
+        if (!body.releaseId || !body.fileName || !body.partCount) {
+          throw new Error('Missing releaseId, fileName or partCount');
+        }
+
+        response = await finalizeUpload(body.releaseId, body.fileName, {
+          partCount: body.partCount,
+          partSize: body.partSize,
+          totalSize: body.totalSize,
+          contentType: body.contentType,
+        });
+        break;
+
+      case 'list-parts':
+        if (!body.releaseId || !body.fileName) {
+          throw new Error('Missing releaseId or fileName');
+        }
+        response = await listParts(body.releaseId, body.fileName);
+        break;
+
+      case 'update-metadata':
+        if (!body.releaseId || !body.metadata || typeof body.metadata !== 'object') {
+          throw new Error('Missing releaseId or metadata');
+        }
+        response = await updateMetadata(body.releaseId, body.metadata);
         break;
 
       case 'get-info':
@@ -303,8 +636,14 @@ exports.handler = async (event, context) => {
   } catch (error) {
     console.error('[Error]', error.message);
 
+    // 422（アップロード済みの同じ名前の Asset がある など）はそのまま返す
+    let statusCode = error.message.includes('Rate limit') ? 429 : 400;
+    if (error.statusCode === 422) {
+      statusCode = 422;
+    }
+
     return {
-      statusCode: error.message.includes('Rate limit') ? 429 : 400,
+      statusCode,
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
         success: false,